@@ -0,0 +1,43 @@
+const js = require("@eslint/js");
+const globals = require("globals");
+
+module.exports = [
+    {
+        ignores: ["node_modules/", "public/lib/jquery/", "public/lib/less/"]
+    },
+    js.configs.recommended,
+    {
+        rules: {
+            /** callbacks keep the parameters they are documented with **/
+            "no-unused-vars": ["error", { args: "none", caughtErrors: "none" }]
+        }
+    },
+    {
+        files: ["public/**/*.js"],
+        languageOptions: {
+            ecmaVersion: 2018,
+            sourceType: "script",
+            /** 'Screen' is backstack.js's in these scripts, not the browser's (see the end of backstack.js) **/
+            globals: Object.assign({}, globals.browser, { Screen: "off" })
+        }
+    },
+    {
+        files: ["public/test/*.js"],
+        languageOptions: {
+            globals: { backstack: "readonly" }
+        }
+    },
+    {
+        files: ["public/lib/backstackjs/js/backstack-sw.js"],
+        languageOptions: {
+            globals: globals.serviceworker
+        }
+    },
+    {
+        files: ["eslint.config.js", "public/test/headless.js", "public/test/sw-tests.js"],
+        languageOptions: {
+            sourceType: "commonjs",
+            globals: globals.node
+        }
+    }
+];
@@ -0,0 +1,362 @@
+﻿/**
+    backstack-gestures.js:
+
+    Optional touch gestures for backstack.js: swipe back and pull to refresh (see setGestureListeners()). Load it after
+    backstack.js:
+
+        <script src="lib/backstackjs/js/backstack.js"></script>
+        <script src="lib/backstackjs/js/backstack-gestures.js"></script>
+
+    It adds this option to TabBar's constructor:
+    - gestures: false (default); true to handle touch gestures on the app view: a swipe from its left edge drags the
+      current Screen away to go back (see back()), and pulling down from the top loads the Screen again (see retry());
+      or an object to choose: { swipeBack, pullToRefresh, edgeWidth, swipeThreshold, pullThreshold }, where edgeWidth
+      is how near the edge a swipe must start (24px by default), swipeThreshold the fraction of the app view's width
+      a slow swipe must cover to go back (0.4 by default) and pullThreshold the distance to pull to refresh (64px by
+      default).
+*/
+(function (backstack) {
+
+if (backstack == null) {
+    console.error("backstack-gestures.js: load backstack.js first");
+    return;
+}
+
+let withDefaults = backstack.helpers.withDefaults;
+let createElement = backstack.helpers.createElement;
+let childrenWithClass = backstack.helpers.childrenWithClass;
+
+backstack.TabBar.extend({
+
+    options: {
+        gestures: false
+    },
+
+    /** the gestures' class names and settings (see the 'gestures' option), and the touch gesture in progress (see onGestureStart()) **/
+    setup: function () {
+        this.gesturesClassName = "bs-gestures";
+        this.swipingClassName = "bs-swiping";
+        this.swipeCurrentClassName = "bs-swipe-current";
+        this.swipePreviewClassName = "bs-swipe-preview";
+        this.pullIndicatorClassName = "bs-pull-indicator";
+        this.pullReadyClassName = "bs-pull-ready";
+        this.refreshingClassName = "bs-refreshing";
+        this.gestures = withDefaults({
+            swipeBack: false,
+            pullToRefresh: false,
+            edgeWidth: 24,
+            swipeThreshold: 0.4,
+            pullThreshold: 64
+        }, (this.options.gestures === true) ? { swipeBack: true, pullToRefresh: true } : this.options.gestures);
+        this.gesture = null;
+        this.setGestureListeners();
+    },
+
+    methods: {
+
+        /**
+         * setGestureListeners():
+         * Listens to touches on the app view for the gestures turned on by the 'gestures' option:
+         *  - swipe back: a swipe that starts at the left edge drags the current Screen to the right, uncovering a preview of
+         *    the previous one (see startSwipeBack()). Letting go past 'swipeThreshold', or with a flick, goes back.
+         *  - pull to refresh: pulling down while the Screen is scrolled to the top pulls down an indicator. Letting go past
+         *    'pullThreshold' loads the Screen again (see retry()).
+         * Gestures are ignored while a modal is presented or a transition is running.
+         */
+        setGestureListeners() {
+            let self = this;
+            if (!this.gestures.swipeBack && !this.gestures.pullToRefresh) {
+                return;
+            }
+            let viewport = this.getAppView();
+            let onEnd = function (e) {
+                self.onGestureEnd(e);
+            };
+            viewport.classList.add(this.gesturesClassName);
+            viewport.addEventListener("touchstart", function (e) {
+                self.onGestureStart(e);
+            });
+            /** not passive, so that scrolling can be stopped while a gesture is followed **/
+            viewport.addEventListener("touchmove", function (e) {
+                self.onGestureMove(e);
+            }, { passive: false });
+            viewport.addEventListener("touchend", onEnd);
+            viewport.addEventListener("touchcancel", onEnd);
+        },
+
+        /**
+         * onGestureStart():
+         * Notes where a touch on the app view started, and which gestures it could become (see setGestureListeners()).
+         * A second finger cancels the gesture being followed.
+         *
+         * @param {TouchEvent} e - the touchstart event.
+         */
+        onGestureStart(e) {
+            let touches = e.touches;
+            let viewport = this.getAppView();
+            if (this.gesture != null) {
+                /** the end of the last touch may not have reached the app view (e.g. if its element was removed) **/
+                this.onGestureEnd({ type: "touchcancel" });
+            }
+            if (touches.length != 1 || this.isModalOpen() || viewport.classList.contains(this.transitioningClassName) || viewport.classList.contains(this.swipingClassName)) {
+                return;
+            }
+            let tab = this.getActiveTab();
+            let x = touches[0].clientX;
+            let y = touches[0].clientY;
+            this.gesture = {
+                type: null,
+                tab: tab,
+                startX: x,
+                startY: y,
+                lastX: x,
+                lastTime: Date.now(),
+                velocity: 0,
+                distance: 0,
+                canSwipe: this.gestures.swipeBack && tab.isHeaderBackVisible() && x - viewport.getBoundingClientRect().left <= this.gestures.edgeWidth,
+                canPull: this.gestures.pullToRefresh && this.isScrolledToTop(e.target)
+            };
+        },
+
+        /**
+         * onGestureMove():
+         * Once a touch has moved far enough to tell which way it is going, starts the gesture it is (if any), then follows it.
+         * Scrolling is stopped while a gesture is followed.
+         *
+         * @param {TouchEvent} e - the touchmove event.
+         */
+        onGestureMove(e) {
+            let gesture = this.gesture;
+            if (gesture == null || e.touches.length != 1) {
+                return;
+            }
+            let touch = e.touches[0];
+            let dx = touch.clientX - gesture.startX;
+            let dy = touch.clientY - gesture.startY;
+            if (gesture.type == null) {
+                if (Math.abs(dx) < 10 && Math.abs(dy) < 10) {
+                    return;
+                }
+                if (gesture.canSwipe && dx > Math.abs(dy)) {
+                    gesture.type = "swipe";
+                    this.startSwipeBack(gesture);
+                } else if (gesture.canPull && dy > Math.abs(dx)) {
+                    gesture.type = "pull";
+                    this.startPull(gesture);
+                } else {
+                    this.gesture = null;
+                    return;
+                }
+            }
+
+            let now = Date.now();
+            if (now > gesture.lastTime) {
+                gesture.velocity = (touch.clientX - gesture.lastX) / (now - gesture.lastTime);
+                gesture.lastX = touch.clientX;
+                gesture.lastTime = now;
+            }
+            e.preventDefault();
+            if (gesture.type == "swipe") {
+                this.moveSwipeBack(gesture, Math.max(0, dx));
+            } else {
+                this.movePull(gesture, Math.max(0, dy));
+            }
+        },
+
+        /**
+         * onGestureEnd():
+         * Finishes the gesture being followed when the touch ends: goes back or refreshes if it went far (or fast) enough,
+         * and otherwise puts things back as they were.
+         *
+         * @param {TouchEvent} e - the touchend or touchcancel event.
+         */
+        onGestureEnd(e) {
+            let gesture = this.gesture;
+            this.gesture = null;
+            if (gesture == null || gesture.type == null) {
+                return;
+            }
+            let cancelled = (e.type == "touchcancel");
+            if (gesture.type == "swipe") {
+                let width = Math.max(this.getAppView().clientWidth, 1);
+                let flicked = gesture.velocity > 0.5 && gesture.distance > 30;
+                this.endSwipeBack(gesture, !cancelled && (flicked || gesture.distance >= width * this.gestures.swipeThreshold));
+            } else {
+                this.endPull(gesture, !cancelled && gesture.distance >= this.gestures.pullThreshold);
+            }
+        },
+
+        /**
+         * startSwipeBack():
+         * Starts dragging the current Screen: a preview of the previous Screen is put underneath it - a copy of its kept-alive
+         * HTML (see the 'keepAlive' option) or of its cached HTML, without running its scripts, or else nothing.
+         *
+         * @param {Object} gesture - the gesture (see onGestureStart()).
+         */
+        startSwipeBack(gesture) {
+            let self = this;
+            let viewport = this.getAppView();
+            let screens = gesture.tab.backstack.screens;
+            let previous = screens[screens.length - 2];
+            let preview = createElement("div", this.screenClassName + " " + this.swipePreviewClassName, { "aria-hidden": "true" });
+            if (previous.isRetained()) {
+                preview.innerHTML = previous.retainedElement.innerHTML;
+            } else {
+                let cached = backstack.cache.get(previous.getCacheKey());
+                if (cached != null) {
+                    preview.innerHTML = cached.html;
+                }
+            }
+            /** the element is a placeholder if the Screen has not been shown (e.g. it failed without an 'errorTemplate') **/
+            gesture.current = childrenWithClass(viewport, this.screenClassName).find(function (element) {
+                return !element.classList.contains(self.screenLeavingClassName);
+            }) || createElement("div");
+            gesture.preview = preview;
+            viewport.classList.add(this.swipingClassName);
+            viewport.appendChild(preview);
+            gesture.current.classList.add(this.swipeCurrentClassName);
+            this.moveSwipeBack(gesture, 0);
+        },
+
+        /**
+         * moveSwipeBack():
+         * Drags the current Screen to the right by the given distance, and slides the preview of the previous Screen in
+         * from a little to the left.
+         *
+         * @param {Object} gesture - the gesture (see onGestureStart()).
+         * @param {number} distance - pixels from where the swipe started.
+         */
+        moveSwipeBack(gesture, distance) {
+            let progress = Math.min(distance / Math.max(this.getAppView().clientWidth, 1), 1);
+            gesture.distance = distance;
+            gesture.current.style.transform = "translateX(" + distance + "px)";
+            Object.assign(gesture.preview.style, {
+                transform: "translateX(" + (-25 * (1 - progress)) + "%)",
+                opacity: progress
+            });
+        },
+
+        /**
+         * endSwipeBack():
+         * Slides the current Screen off to the right and goes back (see back()), or slides it back into place.
+         * If going back is cancelled (e.g. by a navigation guard), the Screen is slid back into place too; if it otherwise
+         * ends without the transition running (e.g. it fails and there is no 'errorTemplate'), the Screen is put back.
+         *
+         * @param {Object} gesture - the gesture (see onGestureStart()).
+         * @param {boolean} commit - true to go back.
+         */
+        endSwipeBack(gesture, commit) {
+            let self = this;
+            let speed = this.getTransitionSpeed();
+            let animation = "transform " + (speed / 2) + "ms ease-out, opacity " + (speed / 2) + "ms ease-out";
+            let reset = function () {
+                Object.assign(gesture.current.style, { transform: "", transition: "" });
+                gesture.current.classList.remove(self.swipeCurrentClassName);
+                gesture.preview.remove();
+                self.getAppView().classList.remove(self.swipingClassName);
+            };
+            let cancel = function () {
+                Object.assign(gesture.current.style, { transition: animation, transform: "" });
+                Object.assign(gesture.preview.style, { transition: animation, transform: "translateX(-25%)", opacity: 0 });
+                setTimeout(reset, speed / 2);
+            };
+            if (!commit) {
+                cancel();
+                return;
+            }
+
+            Object.assign(gesture.current.style, { transition: animation, transform: "translateX(100%)" });
+            Object.assign(gesture.preview.style, { transition: animation, transform: "", opacity: 1 });
+            let shown = false;
+            this.back(undefined, function (incoming, outgoing, speed, onComplete) {
+                shown = true;
+                reset();
+                onComplete();
+            }).then(function (navigated) {
+                if (navigated == null && !shown) {
+                    cancel();
+                } else if (!shown) {
+                    reset();
+                }
+            }, function () {
+                /** a failure is already shown by the error HTML and 'error' event **/
+                if (!shown) {
+                    reset();
+                }
+            });
+        },
+
+        /**
+         * startPull():
+         * Adds the pull-to-refresh indicator to the top of the app view.
+         *
+         * @param {Object} gesture - the gesture (see onGestureStart()).
+         */
+        startPull(gesture) {
+            gesture.indicator = createElement("div", this.pullIndicatorClassName, { "aria-hidden": "true" });
+            gesture.indicator.appendChild(createElement("div", "bs-spinner"));
+            this.getAppView().appendChild(gesture.indicator);
+            this.movePull(gesture, 0);
+        },
+
+        /**
+         * movePull():
+         * Pulls the indicator down with the touch (more and more slowly), turning its spinner as it goes. It is marked as
+         * ready once letting go would refresh.
+         *
+         * @param {Object} gesture - the gesture (see onGestureStart()).
+         * @param {number} pulled - pixels from where the pull started.
+         */
+        movePull(gesture, pulled) {
+            let threshold = this.gestures.pullThreshold;
+            gesture.distance = Math.min(pulled / 2, threshold * 1.5);
+            gesture.indicator.classList.toggle(this.pullReadyClassName, gesture.distance >= threshold);
+            gesture.indicator.style.transform = "translateY(" + gesture.distance + "px)";
+            gesture.indicator.firstChild.style.transform = "rotate(" + (gesture.distance / threshold * 270) + "deg)";
+        },
+
+        /**
+         * endPull():
+         * Loads the current Screen again (see retry()) with the indicator spinning until it is shown, or lets the indicator
+         * go back up.
+         *
+         * @param {Object} gesture - the gesture (see onGestureStart()).
+         * @param {boolean} refresh - true to load the Screen again.
+         */
+        endPull(gesture, refresh) {
+            let speed = this.getTransitionSpeed() / 2;
+            let indicator = gesture.indicator;
+            let hide = function () {
+                Object.assign(indicator.style, { transition: "transform " + speed + "ms ease-in, opacity " + speed + "ms ease-in", transform: "", opacity: 0 });
+                setTimeout(function () {
+                    indicator.remove();
+                }, speed);
+            };
+            if (!refresh) {
+                hide();
+                return;
+            }
+            indicator.classList.add(this.refreshingClassName);
+            indicator.style.transform = "translateY(" + this.gestures.pullThreshold + "px)";
+            indicator.firstChild.style.transform = "";
+            this.retry().then(hide, hide);
+        },
+
+        /**
+         * isScrolledToTop():
+         * Returns true if the app view, and every element between it and the given element, are scrolled to the top.
+         *
+         * @param {Element} element - the element that was touched.
+         */
+        isScrolledToTop(element) {
+            let viewport = this.getAppView();
+            for (let parent = element; parent != null && parent !== viewport; parent = parent.parentNode) {
+                if (parent.scrollTop > 0) {
+                    return false;
+                }
+            }
+            return !(viewport.scrollTop > 0);
+        }
+    }
+});
+})(window.backstack);
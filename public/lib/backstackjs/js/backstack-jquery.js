@@ -0,0 +1,77 @@
+﻿/**
+    backstack-jquery.js:
+
+    Optional jQuery support for backstack.js, for pages that already use jQuery. Load it after jQuery and backstack.js:
+
+        <script src="lib/jquery/jquery-3.4.1.min.js"></script>
+        <script src="lib/backstackjs/js/backstack.js"></script>
+        <script src="lib/backstackjs/js/backstack-jquery.js"></script>
+
+    Screens' HTML is then requested with jQuery's ajax() (see request() below), so that $.ajaxSetup() and jQuery's ajax
+    events apply to it. backstack.js itself does not use jQuery: its callbacks are given elements, which can be wrapped
+    with $() as usual.
+*/
+(function ($, backstack) {
+
+if ($ == null || backstack == null) {
+    console.error("backstack-jquery.js: load jQuery and backstack.js first");
+    return;
+}
+
+/**
+ * request():
+ * A request adapter (see backstack.js's ScreenRequest) that uses jQuery's ajax().
+ *
+ * @param {string} url - URL to request.
+ * @param {Object} init - the fetch() options.
+ */
+function request(url, init) {
+    return new Promise(function (resolve, reject) {
+        let xhr = null;
+        let ajax = $.ajax({
+            url: url,
+            type: init.method,
+            data: init.body,
+            headers: init.headers,
+            processData: false,
+            contentType: (init.headers["Content-Type"] != null) ? init.headers["Content-Type"] : false,
+            dataType: "text",
+            xhr: function () {
+                xhr = $.ajaxSettings.xhr();
+                return xhr;
+            }
+        });
+        if (init.signal != null) {
+            init.signal.addEventListener("abort", function () {
+                ajax.abort();
+            });
+        }
+        ajax.always(function () {
+            if (ajax.status == 0) {
+                reject(new Error(ajax.statusText));
+                return;
+            }
+            resolve({
+                status: ajax.status,
+                statusText: ajax.statusText,
+                url: (xhr != null) ? xhr.responseURL : url,
+                headers: {
+                    get: function (name) {
+                        return ajax.getResponseHeader(name);
+                    }
+                },
+                text: function () {
+                    return Promise.resolve(ajax.responseText);
+                }
+            });
+        });
+    });
+}
+
+
+/** the adapter is on 'backstack' so it can be put back after another (see TabBar's 'request' option) **/
+backstack.jquery = {
+    request: request
+};
+backstack.request = request;
+})(window.jQuery, window.backstack);
@@ -0,0 +1,339 @@
+﻿/**
+    backstack-modals.js:
+
+    Optional modals and sheets for backstack.js: Screens presented in a layer over the app view, with a Backstack of
+    their own (see presentModal()). Load it after backstack.js:
+
+        <script src="lib/backstackjs/js/backstack.js"></script>
+        <script src="lib/backstackjs/js/backstack-modals.js"></script>
+
+    It adds these override actions (see TabBar's 'overrideSelectors' option):
+    - modal / sheet: present the button's destination as a dialog or a bottom sheet (".bs-override-modal" and
+      ".bs-override-sheet" by default).
+    - dismiss: dismiss the presented modal (".bs-override-dismiss" by default).
+    And these TabBar events (see TabBar's on()):
+    - present: a modal has been presented (also has 'presentation': "modal" or "sheet").
+    - dismiss: the modal has been dismissed (also has 'presentation'); 'to' is the selected Tab's current Screen.
+*/
+(function (backstack) {
+
+if (backstack == null) {
+    console.error("backstack-modals.js: load backstack.js first");
+    return;
+}
+
+let Screen = backstack.Screen;
+let Tab = backstack.Tab;
+let withDefaults = backstack.helpers.withDefaults;
+let createElement = backstack.helpers.createElement;
+let childrenWithClass = backstack.helpers.childrenWithClass;
+
+/** the core's methods, which the modals' versions fall back to while no modal is presented **/
+let core = {
+    getActiveTab: backstack.TabBar.prototype.getActiveTab,
+    onOverrideEvent: backstack.TabBar.prototype.onOverrideEvent,
+    abortRequests: backstack.TabBar.prototype.abortRequests,
+    onPopState: backstack.TabBar.prototype.onPopState
+};
+
+backstack.TabBar.extend({
+
+    /** the modal's class names and events, the selectors of its buttons, and the presented modal (see presentModal()) **/
+    setup: function () {
+        let self = this;
+        this.modalClassName = "bs-modal";
+        this.modalViewId = "bs-modal";
+        this.modal = null;
+        this.listeners.present = [];
+        this.listeners.dismiss = [];
+        ["modal", "sheet", "dismiss"].forEach(function (action) {
+            if (self.options.overrideSelectors[action] == null) {
+                self.options.overrideSelectors[action] = ".bs-override-" + action;
+            }
+        });
+    },
+
+    methods: {
+
+        /**
+         * presentModal():
+         * Shows a Screen in a layer over the app view - a dialog, or a sheet from the bottom of the page - leaving the selected
+         * Tab's Screen untouched underneath until the modal is dismissed.
+         * The modal has its own Backstack: Go, Back, Go + Clear, Submit and Refresh buttons within it act on it, and Back from
+         * its first Screen dismisses it. The backdrop and the Escape key dismiss it too, as does the browser's Back button if
+         * the 'history' option is on. If a modal is already presented, the Screen is pushed onto its Backstack instead.
+         * Returns a Promise like navigate()'s.
+         *
+         * @param {string} url - URL of the Screen.
+         * @param {Object} options - (optional):
+         *  - presentation: "modal" (default) for a dialog, or "sheet" for a bottom sheet.
+         *  - method / data: as navigate()'s.
+         *  - dismissible: false to stop the backdrop and Escape key dismissing the modal (true by default).
+         *  - transition: the transition to use when the modal is already presented.
+         */
+        presentModal(url, options) {
+            let self = this;
+            options = withDefaults({
+                presentation: "modal",
+                method: "GET",
+                data: null,
+                dismissible: true,
+                transition: null
+            }, options);
+            if (this.modal != null) {
+                let tab = this.modal.tab;
+                return this.promiseNavigation(tab, function (onSuccess, onError) {
+                    return tab.goToScreen(new Screen(url, options.method, options.data), "go", onSuccess, onError, options.transition);
+                });
+            }
+
+            let screen = new Screen(url, options.method, options.data);
+            let tab = new Tab([screen], this.modalViewId);
+            let selected = this.findTab(this.selectedTabViewId);
+            let screenOptions = selected.getScreenOptions();
+            tab.setRequestTimeout(screenOptions.timeout);
+            tab.setCachePolicy(screenOptions.cachePolicy, screenOptions.cacheTtl);
+            tab.setNavigationListener(this.createNavigationListener());
+
+            this.abortRequests();
+            this.stopLoading();
+            this.modal = this.createModal(tab, options);
+            if (this.options.history) {
+                window.history.pushState({ backstack: { tab: selected.viewId, screens: selected.getScreenUrls() }, modal: true }, "");
+                this.modal.historyEntry = true;
+            }
+
+            let event = this.createEvent(tab, { type: "modal", from: selected.getCurrentUrl(), to: url });
+            event.presentation = options.presentation;
+            this.currentNavigation = event;
+            this.emit("present", event);
+
+            return this.promiseNavigation(tab, function (onSuccess, onError) {
+                self.nextTransition = self.transitions["none"];
+                self.startLoading(url);
+                tab.setCurrentScreenHTML("go", onSuccess, onError);
+                return true;
+            });
+        },
+
+        /**
+         * createModal():
+         * Adds the modal layer to the page: a backdrop and a view for the modal's Screens, animated in (see backstack.css).
+         * The rest of the page (the app view, its chrome and anything else but the announcer, see announce()) is made inert
+         * while the modal is presented, and focus that still gets outside the modal (in browsers without 'inert') is brought
+         * back into it.
+         * Returns the modal: { tab, element, viewport, presentation, dismissible, historyEntry, returnFocus, inert, listeners },
+         * where returnFocus is the element that had the focus, which gets it back when the modal is dismissed, inert is the
+         * page elements made inert, and listeners is the AbortController of the modal's listeners on the page.
+         *
+         * @param {Tab} tab - the modal's Tab, holding its Backstack.
+         * @param {Object} options - { presentation, dismissible } (see presentModal()).
+         */
+        createModal(tab, options) {
+            let self = this;
+            let listeners = new AbortController();
+            let backdrop = createElement("div", this.modalClassName + "-backdrop");
+            let viewport = createElement("div", this.modalClassName + "-viewport", { "tabindex": "-1" });
+            let element = createElement("div", this.modalClassName + " " + this.modalClassName + "-" + options.presentation, {
+                "role": "dialog",
+                "aria-modal": "true"
+            });
+            [backdrop, viewport].forEach(function (child) {
+                child.style.animationDuration = self.getTransitionSpeed() + "ms";
+                element.appendChild(child);
+            });
+            document.body.appendChild(element);
+            let inert = Array.from(document.body.children).filter(function (child) {
+                return child !== element && !child.classList.contains(self.announcerClassName) && !child.inert;
+            });
+            inert.forEach(function (child) {
+                child.inert = true;
+            });
+            document.addEventListener("focusin", function (e) {
+                if (!element.contains(e.target)) {
+                    let focusable = viewport.querySelector("a[href], button:not([disabled]), input:not([disabled]), select, textarea, [tabindex]:not([tabindex='-1'])");
+                    ((focusable != null) ? focusable : viewport).focus({ preventScroll: true });
+                }
+            }, { signal: listeners.signal });
+
+            this.listenForOverrides(element);
+            if (options.dismissible) {
+                backdrop.addEventListener("click", function () {
+                    self.dismissModal();
+                });
+                document.addEventListener("keydown", function (e) {
+                    if (e.key == "Escape") {
+                        self.dismissModal();
+                    }
+                }, { signal: listeners.signal });
+            }
+            return {
+                tab: tab,
+                element: element,
+                viewport: viewport,
+                presentation: options.presentation,
+                dismissible: options.dismissible,
+                historyEntry: false,
+                returnFocus: document.activeElement,
+                inert: inert,
+                listeners: listeners
+            };
+        },
+
+        /**
+         * dismissModal():
+         * Dismisses the presented modal (see presentModal()), uncovering the selected Tab's Screen as the user left it.
+         * The modal's Screens are destroyed and any of its HTML still loading is aborted.
+         * Returns true if there was a modal to dismiss.
+         *
+         * @param {boolean} immediately - (optional) true to remove the modal without animating it out, e.g. when another
+         *                                navigation is about to use the app view.
+         */
+        dismissModal(immediately) {
+            let modal = this.modal;
+            if (modal == null) {
+                return false;
+            }
+            this.stopLoading();
+            modal.tab.abort();
+            this.eachLifecycle(childrenWithClass(modal.viewport, this.screenClassName), function (lifecycle) {
+                lifecycle.destroy();
+            });
+            modal.tab.backstack.screens.forEach(function (screen) {
+                screen.abandonResult();
+                screen.release();
+            });
+            this.modal = null;
+            this.currentNavigation = null;
+            this.nextTransition = null;
+            modal.listeners.abort();
+            this.removeChrome(modal.element);
+            modal.inert.forEach(function (element) {
+                element.inert = false;
+            });
+
+            if (modal.historyEntry && immediately) {
+                /** the next navigation records its own entry, so the modal's entry becomes the one underneath **/
+                window.history.replaceState({ backstack: window.history.state.backstack }, "");
+            } else if (modal.historyEntry) {
+                this.ignoreNextPopState = true;
+                window.history.back();
+            }
+            if (!immediately && modal.returnFocus != null && document.documentElement.contains(modal.returnFocus)) {
+                modal.returnFocus.focus({ preventScroll: true });
+            }
+            let speed = this.getTransitionSpeed();
+            if (immediately || speed <= 0) {
+                modal.element.remove();
+            } else {
+                modal.element.classList.add(this.modalClassName + "-leaving");
+                setTimeout(function () {
+                    modal.element.remove();
+                }, speed);
+            }
+
+            let selected = this.findTab(this.selectedTabViewId);
+            this.emit("dismiss", this.createEvent(selected, {
+                type: "dismiss",
+                from: modal.tab.getCurrentUrl(),
+                to: selected.getCurrentUrl(),
+                presentation: modal.presentation
+            }));
+            return true;
+        },
+
+        /**
+         * isModalOpen():
+         * Returns true if a modal is presented (see presentModal()).
+         */
+        isModalOpen() {
+            return this.modal != null;
+        },
+
+        /**
+         * isModalTab():
+         * Returns true if the Tab holds the Backstack of the presented modal rather than being one of the TabBar's Tabs.
+         *
+         * @param {Tab} tab - the Tab.
+         */
+        isModalTab(tab) {
+            return this.modal != null && this.modal.tab == tab;
+        },
+
+        /**
+         * getActiveTab():
+         * Returns the Tab the user is interacting with: the presented modal's, or else the selected Tab.
+         */
+        getActiveTab() {
+            return (this.modal != null) ? this.modal.tab : core.getActiveTab.call(this);
+        },
+
+        /**
+         * getViewport():
+         * Returns the element Screens are shown in: the presented modal's view, or else the app view.
+         */
+        getViewport() {
+            return (this.modal != null) ? this.modal.viewport : this.getAppView();
+        },
+
+        /**
+         * onOverrideEvent():
+         * Handles a click on an override button (see TabBar's onOverrideEvent()). Modal and sheet buttons present their
+         * destination over the app view (see presentModal()), and dismiss buttons dismiss it (see dismissModal()).
+         *
+         * @param {Element} element - the override button or form.
+         * @param {Event} e - the click or submit event.
+         */
+        onOverrideEvent(element, e) {
+            let action = this.getOverrideAction(element);
+            if (e.type == "submit" || ["modal", "sheet", "dismiss"].indexOf(action) < 0) {
+                return core.onOverrideEvent.call(this, element, e);
+            }
+            if (action == "dismiss") {
+                this.dismissModal();
+                return false;
+            }
+            let url = this.getOverrideUrl(element);
+            if (url == null) {
+                return false;
+            }
+            this.presentModal(url, {
+                presentation: action,
+                transition: element.getAttribute(this.options.transitionAttribute)
+            }).catch(function () {});
+            return false;
+        },
+
+        /**
+         * abortRequests():
+         * Aborts every request for Screen HTML still in flight, in any Tab or the presented modal.
+         */
+        abortRequests() {
+            core.abortRequests.call(this);
+            if (this.modal != null) {
+                this.modal.tab.abort();
+            }
+        },
+
+        /**
+         * onPopState():
+         * Handles the browser's Back/Forward buttons (see TabBar's onPopState()): Back dismisses the presented modal, whose
+         * history entry is then already gone, and the entry of a dismissed modal is skipped.
+         *
+         * @param {Object} state - the history entry's state, or null if it has none.
+         */
+        onPopState(state) {
+            if (this.modal != null) {
+                this.modal.historyEntry = false;
+                this.dismissModal();
+                return;
+            }
+            if (state != null && state.modal) {
+                /** the entry of a dismissed modal: the Screens underneath are already shown **/
+                return;
+            }
+            core.onPopState.call(this, state);
+        }
+    }
+});
+})(window.backstack);
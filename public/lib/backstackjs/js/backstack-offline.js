@@ -0,0 +1,191 @@
+﻿/**
+    backstack-offline.js:
+
+    Optional offline mode for backstack.js: registers the service worker in backstack-sw.js, which shows cached Screens
+    and queues forms while the network is down, and passes on the browser's connection changes. Load it after
+    backstack.js:
+
+        <script src="lib/backstackjs/js/backstack.js"></script>
+        <script src="lib/backstackjs/js/backstack-offline.js"></script>
+
+    It adds these options to TabBar's constructor:
+    - serviceWorker: URL of backstack-sw.js to register, so Screens can be shown (and forms queued) while offline, or
+      null (default). See registerServiceWorker().
+    - offlineScreen: URL of a page shown in place of a Screen that could not be loaded while offline, or null (default)
+      for the 'errorTemplate'. It is requested as soon as the TabBar is created (see loadOfflineScreen()).
+    And these TabBar events (see TabBar's on()):
+    - online / offline: the browser's network connection has come back or gone (only has 'type' and 'online').
+    - queued: the service worker queued a form sent while offline (only has 'type', 'url' and 'method').
+    - replay: the service worker sent a queued form once back online (only has 'type', 'url', 'method', 'status', 'ok'
+      and 'queued': whether it is still queued, as the server failed to handle it).
+*/
+(function (backstack) {
+
+if (backstack == null) {
+    console.error("backstack-offline.js: load backstack.js first");
+    return;
+}
+
+let Screen = backstack.Screen;
+let childrenWithClass = backstack.helpers.childrenWithClass;
+
+/** the core's methods, which the offline versions fall back to **/
+let core = {
+    getErrorTemplate: backstack.TabBar.prototype.getErrorTemplate
+};
+
+backstack.TabBar.extend({
+
+    options: {
+        serviceWorker: null,
+        offlineScreen: null
+    },
+
+    /** the offline events, and the HTML of the 'offlineScreen' once it has loaded (see loadOfflineScreen()) **/
+    setup: function () {
+        let self = this;
+        ["online", "offline", "queued", "replay"].forEach(function (event) {
+            self.listeners[event] = [];
+        });
+        this.offlineHtml = null;
+        this.setConnectivityListeners();
+        this.registerServiceWorker();
+        this.loadOfflineScreen();
+    },
+
+    methods: {
+
+        /**
+         * setConnectivityListeners():
+         * Emits the 'online' and 'offline' events when the browser's network connection comes back or goes. Once it is back,
+         * the service worker is asked to send any queued forms (see replayQueue()), and a Screen that could not be loaded is
+         * loaded again (see retry()).
+         */
+        setConnectivityListeners() {
+            let self = this;
+            let onChange = function (e) {
+                let online = (e.type == "online");
+                self.emit(e.type, { type: e.type, online: online });
+                if (!online) {
+                    return;
+                }
+                self.replayQueue();
+                if (childrenWithClass(self.getViewport(), self.errorScreenClassName).length > 0) {
+                    self.retry().catch(function () {
+                        /** a failure is already shown by the error HTML and 'error' event **/
+                    });
+                }
+            };
+            window.addEventListener("online", onChange);
+            window.addEventListener("offline", onChange);
+        },
+
+        /**
+         * registerServiceWorker():
+         * Registers the 'serviceWorker' (see backstack-sw.js), if there is one and the browser supports service workers, and
+         * passes its messages on as the 'queued' and 'replay' events.
+         */
+        registerServiceWorker() {
+            let self = this;
+            if (this.options.serviceWorker == null || navigator.serviceWorker == null) {
+                return;
+            }
+            navigator.serviceWorker.register(this.options.serviceWorker).catch(function (e) {
+                console.error("backstack-offline.js registerServiceWorker(): could not register '" + self.options.serviceWorker + "': " + e);
+            });
+            navigator.serviceWorker.addEventListener("message", function (e) {
+                let message = e.data || {};
+                if (message.type == "backstack-queued") {
+                    self.emit("queued", { type: "queued", url: message.url, method: message.method });
+                } else if (message.type == "backstack-replayed") {
+                    self.emit("replay", {
+                        type: "replay",
+                        url: message.url,
+                        method: message.method,
+                        status: message.status,
+                        ok: message.ok !== false,
+                        queued: message.queued === true
+                    });
+                }
+            });
+        },
+
+        /**
+         * replayQueue():
+         * Asks the service worker to send the forms it queued while offline (it does so itself with Background Sync, where
+         * the browser has it). Returns this TabBar so calls can be chained.
+         */
+        replayQueue() {
+            return this.postToServiceWorker("backstack-replay");
+        },
+
+        /**
+         * clearOfflineCache():
+         * Asks the service worker to drop the Screen HTML it has cached for use while offline, e.g. when the user logs out
+         * (see also invalidate()). Returns this TabBar so calls can be chained.
+         */
+        clearOfflineCache() {
+            return this.postToServiceWorker("backstack-clear-cache");
+        },
+
+        /**
+         * clearQueue():
+         * Asks the service worker to drop the forms it has queued and not yet sent, e.g. when the user logs out. Returns this
+         * TabBar so calls can be chained.
+         */
+        clearQueue() {
+            return this.postToServiceWorker("backstack-clear-queue");
+        },
+
+        /**
+         * postToServiceWorker():
+         * Sends a message to the service worker controlling the page (see backstack-sw.js), if there is one. Returns this
+         * TabBar so calls can be chained.
+         *
+         * @param {string} type - the message's type, e.g. "backstack-replay".
+         */
+        postToServiceWorker(type) {
+            if (navigator.serviceWorker != null && navigator.serviceWorker.controller != null) {
+                navigator.serviceWorker.controller.postMessage({ type: type });
+            }
+            return this;
+        },
+
+        /**
+         * isOnline():
+         * Returns false if the browser knows it has no network connection.
+         */
+        isOnline() {
+            return navigator.onLine !== false;
+        },
+
+        /**
+         * loadOfflineScreen():
+         * Requests the HTML of the 'offlineScreen' while the browser is online, so it can be shown once it is not (see
+         * getErrorTemplate()).
+         */
+        loadOfflineScreen() {
+            let self = this;
+            let url = this.options.offlineScreen;
+            if (url == null) {
+                return;
+            }
+            new Screen(url).getHtml(url, "GET", null, 0, function (htmlCode) {
+                self.offlineHtml = htmlCode;
+            }, function (data) {
+                console.error("backstack-offline.js loadOfflineScreen(): could not load '" + url + "' (" + data.status + " " + data.statusText + ")");
+            });
+        },
+
+        /**
+         * getErrorTemplate():
+         * Returns the HTML of the 'offlineScreen' if the browser is offline and it has loaded, or else the 'errorTemplate'.
+         *
+         * @param {Object} error - the 'error' event (see on()).
+         */
+        getErrorTemplate(error) {
+            return (error.offline && this.offlineHtml != null) ? this.offlineHtml : core.getErrorTemplate.call(this, error);
+        }
+    }
+});
+})(window.backstack);
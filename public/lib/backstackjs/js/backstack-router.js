@@ -0,0 +1,313 @@
+﻿/**
+    backstack-router.js:
+
+    Optional named routes for backstack.js. Load it after backstack.js:
+
+        <script src="lib/backstackjs/js/backstack.js"></script>
+        <script src="lib/backstackjs/js/backstack-router.js"></script>
+
+    It adds the Router class, and these options to TabBar's constructor:
+    - routes: named routes to Screens (see Router.add()), e.g. { order: { path: "order/:id", url: "orders.php?id=:id",
+      tab: "tab-two" } }. Go elements can then name a route instead of a URL, e.g.
+      <a class="bs-override-go" data-bs-route="order" data-bs-params='{"id": 5}'>, and links, Tabs' Screens and
+      navigate() can use a route's path, e.g. "order/5". See also navigateTo().
+    - routeAttribute / paramsAttribute: attributes naming the route of a Go element and holding its parameters as
+      JSON ("data-bs-route" and "data-bs-params" by default).
+    - notFound: URL of the Screen shown for a route that does not exist or is missing a parameter, or null (default)
+      to not navigate.
+*/
+(function (backstack) {
+
+if (backstack == null) {
+    console.error("backstack-router.js: load backstack.js first");
+    return;
+}
+
+/**
+ * Router:
+ * Maps route names, and paths such as 'order/:id', to the URLs of Screens (see TabBar's 'routes' option).
+ * Links and code can then refer to a Screen by name, and the URL behind it can change in one place.
+ **/
+class Router {
+
+    /**
+     * constructor:
+     * @param {Object} routes - (optional) routes keyed by name (see add()).
+     *
+     * @var {Object} routes - { name, path, url, tab, pattern } of each route, keyed by name.
+     */
+    constructor(routes) {
+        let self = this;
+        this.routes = {};
+        Object.keys(routes || {}).forEach(function (name) {
+            self.add(name, routes[name]);
+        });
+    }
+
+    /**
+     * add():
+     * Adds a route, or replaces the one with the same name. Returns this Router so calls can be chained.
+     *
+     * @param {string} name - name of the route, e.g. "order".
+     * @param {Object/string} route - { path, url, tab }, or just the url:
+     *  - path: (optional) the path links can use for the route, relative to the page (or to the site if it starts with
+     *    "/"), e.g. "order/:id". ':name' matches one path segment and becomes a parameter.
+     *  - url: the URL of the Screen, with ':name' for each parameter, e.g. "orders.php?id=:id".
+     *  - tab: (optional) ID of the Tab the route is preferably shown in.
+     */
+    add(name, route) {
+        if (typeof route == "string") {
+            route = { url: route };
+        }
+        this.routes[name] = {
+            name: name,
+            path: route.path || null,
+            url: route.url,
+            tab: route.tab || null,
+            pattern: route.path ? Router.compile(route.path) : null
+        };
+        return this;
+    }
+
+    /**
+     * resolve():
+     * Returns { name, url, tab } for a route and its parameters, or null if there is no such route or a parameter of its
+     * URL is missing. Parameters that are not in the URL are added to its query string.
+     *
+     * @param {string} name - name of the route.
+     * @param {Object} params - (optional) the parameters, e.g. { id: 5 }.
+     */
+    resolve(name, params) {
+        let route = this.routes[name];
+        if (route == null) {
+            return null;
+        }
+        let url = Router.fill(route.url, params || {});
+        return (url != null) ? { name: name, url: url, tab: route.tab } : null;
+    }
+
+    /**
+     * match():
+     * Returns { name, params } for the first route whose path matches a URL, or null if none does.
+     * The URL's query string is added to the parameters.
+     *
+     * @param {string} url - the URL, e.g. a link's href.
+     */
+    match(url) {
+        let absolute = null;
+        try {
+            absolute = new URL(url, document.baseURI);
+        } catch (e) {
+            return null;
+        }
+        let base = new URL(".", document.baseURI);
+        if (absolute.origin != base.origin) {
+            return null;
+        }
+        let relative = (absolute.pathname.indexOf(base.pathname) == 0) ? absolute.pathname.substring(base.pathname.length) : null;
+
+        let names = Object.keys(this.routes);
+        for (let i = 0; i < names.length; i++) {
+            let route = this.routes[names[i]];
+            if (route.pattern == null) {
+                continue;
+            }
+            let values = route.pattern.regExp.exec(route.path.charAt(0) == "/" ? absolute.pathname : relative);
+            if (values != null) {
+                let params = {};
+                absolute.searchParams.forEach(function (value, key) {
+                    params[key] = value;
+                });
+                route.pattern.keys.forEach(function (key, index) {
+                    params[key] = decodeURIComponent(values[index + 1]);
+                });
+                return { name: route.name, params: params };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * compile():
+     * Returns { regExp, keys } for a route's path: a regular expression matching the whole path, with a group for each
+     * parameter, and the parameters' names.
+     *
+     * @param {string} path - the route's path, e.g. "order/:id".
+     */
+    static compile(path) {
+        let keys = [];
+        let source = path.split(/(:[A-Za-z_]\w*)/).map(function (part) {
+            if (part.charAt(0) == ":") {
+                keys.push(part.substring(1));
+                return "([^/]+)";
+            }
+            return part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        }).join("");
+        return { regExp: new RegExp("^" + source + "/?$"), keys: keys };
+    }
+
+    /**
+     * fill():
+     * Returns a route's URL with its ':name' placeholders replaced by the (URL-encoded) parameters, and any other
+     * parameters added to its query string. Returns null if a placeholder has no parameter.
+     *
+     * @param {string} template - the route's URL, e.g. "orders.php?id=:id".
+     * @param {Object} params - the parameters.
+     */
+    static fill(template, params) {
+        let used = [];
+        let missing = false;
+        let url = template.replace(/:([A-Za-z_]\w*)/g, function (placeholder, key) {
+            if (params[key] == null) {
+                missing = true;
+                return placeholder;
+            }
+            used.push(key);
+            return encodeURIComponent(params[key]);
+        });
+        if (missing) {
+            return null;
+        }
+        let extra = {};
+        Object.keys(params).forEach(function (key) {
+            if (used.indexOf(key) < 0 && params[key] != null) {
+                extra[key] = params[key];
+            }
+        });
+        if (Object.keys(extra).length > 0) {
+            url += ((url.indexOf("?") >= 0) ? "&" : "?") + backstack.ScreenRequest.encode(extra);
+        }
+        return url;
+    }
+}
+
+
+/** the core's destination of a Go element, used for elements that do not name a route **/
+let getLinkRoute = backstack.TabBar.prototype.getOverrideRoute;
+
+backstack.TabBar.extend({
+
+    options: {
+        routes: null,
+        routeAttribute: "data-bs-route",
+        paramsAttribute: "data-bs-params",
+        notFound: null
+    },
+
+    /** the TabBar's routes (see the 'routes' option) **/
+    setup: function () {
+        this.router = new Router(this.options.routes);
+    },
+
+    methods: {
+
+        /**
+         * getOverrideRoute():
+         * Returns { url, tab } for the destination of a Go or Go + Clear element, where tab is the preferred Tab of its route
+         * (or null). The destination is the route the element names (see the 'routeAttribute' option), or else its href
+         * attribute (see the 'hrefAttribute' option) if it has one, otherwise the link's href; either is made absolute, and
+         * resolved if it is a route's path. url is null for a route that cannot be resolved and there is no 'notFound' Screen,
+         * and for an element that is not a link and has no href attribute (an error is logged).
+         *
+         * @param {Object} element - the override button.
+         */
+        getOverrideRoute(element) {
+            let name = element.getAttribute(this.options.routeAttribute);
+            if (name != null) {
+                let params = {};
+                let json = element.getAttribute(this.options.paramsAttribute);
+                if (json) {
+                    try {
+                        params = JSON.parse(json);
+                    } catch (e) {
+                        console.error("backstack-router.js getOverrideRoute(): '" + this.options.paramsAttribute + "' must be JSON: " + e);
+                    }
+                }
+                return this.resolveRoute(name, params);
+            }
+
+            let route = getLinkRoute.call(this, element);
+            let matched = (route.url != null) ? this.router.match(route.url) : null;
+            return (matched != null) ? this.resolveRoute(matched.name, matched.params) : route;
+        },
+
+        /**
+         * resolveRoute():
+         * Returns { url, tab } for a route and its parameters (see Router.resolve()). If the route does not exist or is missing
+         * a parameter, an error is logged and the 'notFound' URL is returned instead (with a null tab).
+         *
+         * @param {string} name - name of the route.
+         * @param {Object} params - (optional) the parameters.
+         */
+        resolveRoute(name, params) {
+            let route = this.router.resolve(name, params);
+            if (route == null) {
+                console.error("backstack-router.js resolveRoute(): could not find route '" + name + "' or it is missing parameters");
+                return { url: this.options.notFound, tab: null };
+            }
+            return { url: route.url, tab: route.tab };
+        },
+
+        /**
+         * resolveUrl():
+         * Returns the URL of the route whose path a URL matches (see Router.match()), or the URL itself if it matches none.
+         *
+         * @param {string} url - the URL.
+         */
+        resolveUrl(url) {
+            let matched = this.router.match(url);
+            return (matched != null) ? this.resolveRoute(matched.name, matched.params).url : url;
+        },
+
+        /**
+         * addRoute():
+         * Adds a route, or replaces the one with the same name (see the 'routes' option and Router.add()). Returns this
+         * TabBar so calls can be chained.
+         *
+         * @param {string} name - name of the route.
+         * @param {Object/string} route - { path, url, tab }, or just the url.
+         */
+        addRoute(name, route) {
+            this.router.add(name, route);
+            return this;
+        },
+
+        /**
+         * getRouteUrl():
+         * Returns the URL of a route with the given parameters, or null if there is no such route or a parameter is missing.
+         *
+         * @param {string} name - name of the route.
+         * @param {Object} params - (optional) the parameters, e.g. { id: 5 }.
+         */
+        getRouteUrl(name, params) {
+            let route = this.router.resolve(name, params);
+            return (route != null) ? route.url : null;
+        },
+
+        /**
+         * navigateTo():
+         * Navigates to a named route (see the 'routes' option and navigate()), in the route's preferred Tab unless
+         * options.tab is given. A route that does not exist or is missing a parameter shows the 'notFound' Screen, or if
+         * there is none, the returned Promise rejects.
+         *
+         * @param {string} name - name of the route, e.g. "order".
+         * @param {Object} params - (optional) the route's parameters, e.g. { id: 5 }.
+         * @param {Object} options - (optional) as for navigate().
+         */
+        navigateTo(name, params, options) {
+            let route = this.resolveRoute(name, params);
+            if (route.url == null) {
+                return Promise.reject(new Error("backstack-router.js navigateTo(): could not resolve route '" + name + "'"));
+            }
+            let tab = (route.tab != null && this.hasTab(route.tab)) ? route.tab : this.selectedTabViewId;
+            return this.navigate(route.url, backstack.helpers.withDefaults({ tab: tab }, options));
+        }
+    }
+});
+
+
+backstack.Router = Router;
+if (!("Router" in window)) {
+    window.Router = Router;
+}
+})(window.backstack);
@@ -0,0 +1,288 @@
+﻿/**
+    backstack-sw.js:
+
+    An optional service worker for backstack.js, so that Screens can still be shown while the network is down.
+    Register it with TabBar's 'serviceWorker' option (see backstack-offline.js). It must be served from the folder of the page using backstack.js
+    (or above it), or with a 'Service-Worker-Allowed' header, so that it controls that page.
+
+    Only the requests backstack.js makes for Screen HTML (see ScreenRequest, which marks them with an
+    X-Backstack-Request header) are handled; everything else goes to the network as usual.
+    - GET: the response is cached, and the cached HTML is served if the network fails ("network-first").
+    - POST, PUT etc. (e.g. a submitted form): if the network fails, the request is queued and answered with the
+      QUEUED_HTML below. Queued requests are sent again, in order, once the connection comes back (with Background Sync,
+      or when the page tells it to, see TabBar.replayQueue()).
+
+    Pages using backstack.js are told about queued and replayed requests with messages (see TabBar's 'queued' and
+    'replay' events), and can have the cache or the queue emptied, e.g. when the user logs out (see
+    TabBar.clearOfflineCache() and TabBar.clearQueue()).
+*/
+
+/** the cache of Screen HTML, and the most pages it holds (the oldest are dropped first) **/
+const CACHE_NAME = "backstack-screens";
+const MAX_ENTRIES = 100;
+
+/** the IndexedDB database and object store of queued requests **/
+const QUEUE_DB = "backstack-queue";
+const QUEUE_STORE = "requests";
+
+/** the Background Sync tag for replaying queued requests **/
+const SYNC_TAG = "backstack-replay";
+
+/** shown in place of a queued request's response **/
+const QUEUED_HTML = "<div class=\"bs-queued\"><p>You are offline.</p><p>This will be sent when you are back online.</p></div>";
+
+/** the replay in progress (see replay()), so that only one runs at a time **/
+let replaying = null;
+
+
+self.addEventListener("install", function () {
+    self.skipWaiting();
+});
+
+self.addEventListener("activate", function (event) {
+    event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener("fetch", function (event) {
+    let request = event.request;
+    if (request.headers.get("X-Backstack-Request") == null) {
+        return;
+    }
+    if (request.method == "GET") {
+        event.respondWith(fetchScreen(request, event));
+    } else {
+        event.respondWith(sendOrQueue(request, event.clientId));
+    }
+});
+
+self.addEventListener("sync", function (event) {
+    if (event.tag == SYNC_TAG) {
+        event.waitUntil(replay());
+    }
+});
+
+self.addEventListener("message", function (event) {
+    let type = (event.data != null) ? event.data.type : null;
+    if (type == "backstack-replay") {
+        event.waitUntil(replay());
+    } else if (type == "backstack-clear-cache") {
+        event.waitUntil(caches.delete(CACHE_NAME));
+    } else if (type == "backstack-clear-queue") {
+        event.waitUntil(withStore("readwrite", function (store) {
+            return store.clear();
+        }));
+    }
+});
+
+
+/**
+ * fetchScreen():
+ * Requests a Screen's HTML, caching a successful response (the fetch event is kept alive until it is cached). If the
+ * network fails, the cached response is used; if there is none, the request fails as it would have without this
+ * service worker.
+ *
+ * @param {Request} request - the request for the Screen's HTML.
+ * @param {FetchEvent} event - the fetch event of the request.
+ */
+function fetchScreen(request, event) {
+    return fetch(request.clone()).then(function (response) {
+        if (response.ok) {
+            let copy = response.clone();
+            event.waitUntil(caches.open(CACHE_NAME).then(function (cache) {
+                /** deleted first so the page becomes the newest in the cache (see trimCache()) **/
+                return cache.delete(request).then(function () {
+                    return cache.put(request, copy);
+                }).then(function () {
+                    return trimCache(cache);
+                });
+            }).catch(function (e) {
+                /** e.g. over the storage quota: the page is shown, just not kept for offline use **/
+                console.error("backstack-sw.js fetchScreen(): could not cache '" + request.url + "': " + e);
+            }));
+        }
+        return response;
+    }, function (error) {
+        return caches.open(CACHE_NAME).then(function (cache) {
+            return cache.match(request);
+        }).then(function (cached) {
+            if (cached == null) {
+                throw error;
+            }
+            return cached;
+        });
+    });
+}
+
+/**
+ * trimCache():
+ * Drops the oldest pages from the cache while it holds more than MAX_ENTRIES.
+ *
+ * @param {Cache} cache - the cache of Screen HTML.
+ */
+function trimCache(cache) {
+    return cache.keys().then(function (keys) {
+        return Promise.all(keys.slice(0, Math.max(keys.length - MAX_ENTRIES, 0)).map(function (key) {
+            return cache.delete(key);
+        }));
+    });
+}
+
+/**
+ * sendOrQueue():
+ * Sends a request that changes something (e.g. a submitted form). If the network fails, it is queued to be sent again
+ * later (see replay()), the page is told (a "backstack-queued" message) and QUEUED_HTML is returned in its place, with
+ * an X-Backstack-Queued header. A request the page aborted (e.g. when a newer navigation took over) fails as usual, and
+ * is not queued.
+ *
+ * @param {Request} request - the request.
+ * @param {string} clientId - ID of the page that made the request.
+ */
+function sendOrQueue(request, clientId) {
+    let copy = request.clone();
+    return fetch(request).catch(function (error) {
+        if ((request.signal != null && request.signal.aborted) || (error != null && error.name == "AbortError")) {
+            throw error;
+        }
+        return queue(copy).then(function () {
+            notify({ type: "backstack-queued", url: copy.url, method: copy.method }, clientId);
+            if (self.registration.sync != null) {
+                self.registration.sync.register(SYNC_TAG).catch(function () {
+                    /** the page asks for a replay when it is back online instead (see TabBar.replayQueue()) **/
+                });
+            }
+            return new Response(QUEUED_HTML, {
+                status: 202,
+                statusText: "Accepted",
+                headers: { "Content-Type": "text/html; charset=utf-8", "X-Backstack-Queued": "1" }
+            });
+        });
+    });
+}
+
+/**
+ * queue():
+ * Stores a request (with its body) in the queue.
+ *
+ * @param {Request} request - the request.
+ */
+function queue(request) {
+    return request.arrayBuffer().then(function (body) {
+        let headers = [];
+        request.headers.forEach(function (value, name) {
+            headers.push([name, value]);
+        });
+        return withStore("readwrite", function (store) {
+            return store.add({
+                url: request.url,
+                method: request.method,
+                headers: headers,
+                body: body,
+                time: Date.now()
+            });
+        });
+    });
+}
+
+/**
+ * replay():
+ * Sends the queued requests again, oldest first, telling the pages about each one that is sent (a "backstack-replayed"
+ * message with its URL, method, status, whether it succeeded ('ok') and whether it is still 'queued').
+ * - a request the server refuses (4xx, e.g. failed validation or a session that has expired) is taken off the queue,
+ *   as sending it again would not help, and the rest are sent.
+ * - at the first that cannot be sent, or that the server fails to handle (5xx), it stops, leaving that request and the
+ *   rest queued to be sent in order with the next replay.
+ */
+function replay() {
+    if (replaying != null) {
+        return replaying;
+    }
+    let next = function () {
+        return withStore("readonly", function (store) {
+            return store.openCursor();
+        }).then(function (cursor) {
+            if (cursor == null) {
+                return null;
+            }
+            let queued = cursor.value;
+            return fetch(queued.url, {
+                method: queued.method,
+                headers: queued.headers,
+                body: queued.body,
+                credentials: "same-origin"
+            }).then(function (response) {
+                let message = {
+                    type: "backstack-replayed",
+                    url: queued.url,
+                    method: queued.method,
+                    status: response.status,
+                    ok: response.ok,
+                    queued: response.status >= 500
+                };
+                if (message.queued) {
+                    notify(message);
+                    return null;
+                }
+                return withStore("readwrite", function (store) {
+                    return store.delete(queued.id);
+                }).then(function () {
+                    notify(message);
+                    return next();
+                });
+            });
+        });
+    };
+    replaying = next().catch(function () {
+        /** still offline: the rest are replayed next time **/
+    }).then(function () {
+        replaying = null;
+    });
+    return replaying;
+}
+
+/**
+ * withStore():
+ * Opens the queue's object store and makes a request on it. Returns a Promise of the request's result.
+ *
+ * @param {string} mode - "readonly" or "readwrite".
+ * @param {function} callback - called with the object store; returns an IDBRequest.
+ */
+function withStore(mode, callback) {
+    return new Promise(function (resolve, reject) {
+        let open = indexedDB.open(QUEUE_DB, 1);
+        open.onupgradeneeded = function () {
+            open.result.createObjectStore(QUEUE_STORE, { keyPath: "id", autoIncrement: true });
+        };
+        open.onerror = function () {
+            reject(open.error);
+        };
+        open.onsuccess = function () {
+            let database = open.result;
+            let request = callback(database.transaction(QUEUE_STORE, mode).objectStore(QUEUE_STORE));
+            request.onsuccess = function () {
+                resolve(request.result);
+                database.close();
+            };
+            request.onerror = function () {
+                reject(request.error);
+                database.close();
+            };
+        };
+    });
+}
+
+/**
+ * notify():
+ * Posts a message to the pages this service worker controls.
+ *
+ * @param {Object} message - the message.
+ * @param {string} clientId - (optional) ID of the only page to tell.
+ */
+function notify(message, clientId) {
+    self.clients.matchAll().then(function (clients) {
+        clients.forEach(function (client) {
+            if (clientId == null || clientId == "" || client.id == clientId) {
+                client.postMessage(message);
+            }
+        });
+    });
+}
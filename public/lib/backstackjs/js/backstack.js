@@ -1,676 +1,5386 @@
-﻿/**
-    backstack.js:
-
-    Contains these classes:
-    - Screen
-    - Backstack
-    - Tab
-    - TabBar
-*/
-
-/**
- * Screen:
- * Represents a screen of the app - it does not know anything about itself. It is not loaded until requested.
- * 
- * Note:
- * - Be careful of using 'html' as a variable name - it can conflict with existing vars.
- */
-class Screen {
-
-    /**
-    * constructor:
-    * @param {string} url - URL of the page this screen holds the HTML to.    
-    *
-    * @var {string} htmlCode - holds the HTML of the page this Screen represents.
-    * @var {string} goTerm - the search term used to set onClick listeners on buttons that push a Screen onto the backstack.
-    * @var {string} goBackTerm - the search term used to set onClick listeners on buttons that pop a Screen from the backstack.
-    * @var {string} goAndClearTerm - the search term used to set onClick listeners on buttons that push a Screen onto the backstack but also pop the current one.
-    * @var {string} submitTerm - the search term used to set onClick listeners on form submission buttons. This ensures form submissions occur within backstack.
-    * @var {string} refreshTerm - the search term used to set onClick listeners on 'refresh' buttons. We force a Screen refresh on press of these buttons.
-    * @var {string} reapplyTerm - the search term used to set onClick listeners on 'reapply' buttons. We reapply Screen's cached HTML on press of these buttons.
-    */
-    constructor(url) {
-        this.url = url;
-        this.htmlCode = null;
-        this.goTerm = ".bs-override-go";
-        this.backTerm = ".bs-override-back";
-        this.goAndClearTerm = ".bs-override-clear";
-        this.submitTerm = ".bs-override-submit";
-        this.refreshTerm = ".bs-override-refresh";
-        this.reapplyTerm = ".bs-override-reapply";
-    }
-
-    /**
-     * initialise():
-     * Returns the HTML of the page this Screen represents by doing an AJAX GET.
-     * This is done using a callback due to the asynchronous nature of GET-ing the HTML for the URL.
-     * We also set the Screen onClick listeners here - whoever initialises the screen is told when Go, Back and Go+Clear buttons are pressed.
-     *
-     * On first visit of this Screen we of course GET the HTML. On other visits we used the cached version.
-     *
-     * @param {string} method - defines the type of request to the url (i.e. GET, POST or PUT).
-     * @param {Array} data - an Array of JSON-like value/keys to represent input data (see jQuery's form serializeArray() method)
-     * @param {boolean} isBackVisible - true if all Back buttons are visible (i.e. if there is a Screen to go back to).
-     * @param {boolean} forceRefresh - even if this Screen's HTML is cached, this boolean will clear it and do another AJAX call.
-     * @param {function} onSuccess - notifies caller when HTML has successfully been generated for this Screen.
-     * @param {function} onError - notifies caller when error has occurred (like page not being found).
-     * @param {function} onGo - notifies caller when user has pressed a button to move forward a Screen.
-     * @param {function} onBack - notifies caller when user has pressed a button to move back a Screen.
-     * @param {function} onGoAndClear - notifies caller when user has pressed a button to move forward a Screen but disallow ability to go back to previous Screen.
-     * @param {function} onSubmit - notifies caller when user has pressed Submit on a form (traditional page-refresh way).
-     * @param {function} onRefresh - notifies caller when user has pressed a button to refresh or reapply the Screen.
-     */
-    initialise(method, data, isBackVisible, forceRefresh, 
-        onSuccess, onError, onGo, onBack, onGoAndClear, onSubmit, onRefresh) {
-        if(this.htmlCode == null || forceRefresh) {
-            let self = this;
-            this.getHtml(this.url, method, data, function(htmlCode, url) {
-                self.htmlCode = htmlCode;
-                onSuccess(htmlCode, url);
-                self.setupOverrides(isBackVisible, onGo, onBack, onGoAndClear, onSubmit, onRefresh);
-            }, function(data, url) {
-                console.error("Screen initialise(): onError: " + data.status + " " + data.statusText);
-                onError(data, url);
-            });
-        } else {
-            onSuccess(this.htmlCode, this.url);
-            this.setupOverrides(isBackVisible, onGo, onBack, onGoAndClear, onSubmit, onRefresh);
-        }
-    }
-
-    /**
-     * getHtml():
-     * The function to request data from an endpoint.
-     *
-     * @param {string} action - defines the type of request to the url (i.e. GET, POST or PUT).
-     * @param {string} method - defines the type of request to the url (i.e. GET, POST or PUT).
-     * @param {Array} data - an Array of JSON-like value/keys to represent input data (see jQuery's form serializeArray() method)
-     * @param {function} onSuccess - notifies caller when HTML has successfully been generated for this Screen.
-     * @param {function} onError - notifies caller when error has occurred (like page not being found).
-    */
-    getHtml(action, method, data, onSuccess, onError) {
-        $.ajax({
-            url: action,
-            type: method.toUpperCase(),
-            data: data,
-            success: function(data) {
-                onSuccess(data, action);
-            },
-            error: function(data) {
-                onError(data, action);
-            }
-        });
-    }
-
-    /**
-     * setupOverrides():
-     * Sets up overrides that stop links from continuing in the traditional way.
-     * We hijack links and submits. When they are pressed, we callback to the caller to notify it.
-     * We reapply this for every Screen that is being used.
-     * 
-     * @param {boolean} isBackVisible - true if all Back buttons are visible (i.e. if there is a Screen to go back to).
-     * @param {function} onGo - notifies caller when user has pressed a button to move forward a Screen.
-     * @param {function} onBack - notifies caller when user has pressed a button to move back a Screen.
-     * @param {function} onGoAndClear - notifies caller when user has pressed a button to move forward a Screen but disallow ability to go back to previous Screen.
-     * @param {function} onSubmit - notifies caller when user has pressed Submit on a form (traditional page-refresh way).
-     * @param {function} onRefresh - notifies caller when user has pressed a button to refresh (either re-GET or reapply cached HTML) to refresh the Screen.
-     */
-    setupOverrides(isBackVisible, onGo, onBack, onGoAndClear, onSubmit, onRefresh) {
-        var self = this;
-        self.setBackVisibilityOverride(isBackVisible); 
-        self.setGoOverride(onGo);
-        self.setBackOverride(onBack);
-        self.setGoAndClearOverride(onGoAndClear);
-        self.setSubmitOverride(onSubmit);
-        self.setRefreshOverride(onRefresh);
-        self.setReapplyOverride(onRefresh);
-    }
-
-    /**
-     * setGoOverride():
-     * Adds an onClick listener to all buttons that move the user forward (i.e adds a screen onto the top of the backstack).
-     * We want to pass back the destination URL so it can be used to create a new Screen object.
-     * The Screen destroys itself before any changes are made to the backstack.
-     * 
-     * @param {function} callback - notifies caller button has been pressed.
-     */
-    setGoOverride(callback) {
-        var self = this;
-        $(this.goTerm).click(function () {
-            self.destroy();
-            callback(this.href);
-            return false;
-        });
-    }
-
-    /**
-     * setBackOverride():
-     * Adds an onClick listener to all buttons that move the user backwards (i.e removes a screen from the top of the backstack).
-     * The Screen destroys itself before any changes are made to the backstack.
-     * 
-     * @param {function} callback - notifies caller button has been pressed.
-     */
-    setBackOverride(callback) {
-        var self = this;
-        $(this.backTerm).click(function () {
-            self.destroy();
-            callback();
-            return false;
-        });
-    } 
-
-    /**
-     * setGoAndClearOverride():
-     * Adds an onClick listener to all buttons that move the user 'sideways' (i.e removes screen from top of backstack AND THEN adds a screen onto the backstack).
-     * We want to pass back the destination URL so it can be used to create a new Screen object.
-     * The Screen destroys itself before any changes are made to the backstack.
-     * 
-     * @param {function} callback - notifies caller button has been pressed.
-     */
-    setGoAndClearOverride(callback) {
-        var self = this;
-        $(this.goAndClearTerm).click(function () {
-            self.destroy();
-            callback(this.href);
-            return false;
-        });
-    }
-
-    /**
-     * setSubmitOverride():
-     * Adds an onClick listener to all form submission buttons.
-     * We want to stop the traditional form process of reloading the whole screen on submit - this is why we 'return false'.
-     * The entered action and target are taken from the <form> in the view. 
-     * serializeArray() will serialise both GET and POST data into an Array of JSON-like value/keys.
-     * 
-     * @param {function} callback - notifies caller button has been pressed.
-    */
-    setSubmitOverride(callback) {
-        var self = this;
-        $(this.submitTerm).submit(function (e) {
-            self.destroy();
-            callback(e.target.action, e.target.method, $(self.submitTerm).serializeArray());
-            return false;
-        });
-    }  
-
-    /**
-     * setRefreshOverride():
-     * Adds an onClick listener to all buttons with this term.
-     * This will force the Screen to refresh itself by doing another GET on the url of the Screen (forceRefresh is true).
-     * This may be used on Profile screens where user decidesto DISCARD changes - we want to refresh view to revert old data.
-     * 
-     * @param {function} callback - notifies caller button has been pressed.
-    */
-    setRefreshOverride(callback) {
-        var self = this;
-        $(this.refreshTerm).click(function () {
-            self.destroy();
-            callback(true);
-            return false;
-        });
-    }
-
-    /**
-     * setReapplyOverride():
-     * Adds an onClick listener to all buttons with this term.
-     * This will force the Screen to reapply the current cached HTML, ignoring any dynamic changes from the backend (forceRefresh is false)
-     * 
-     * @param {function} callback - notifies caller button has been pressed.
-    */
-    setReapplyOverride(callback) {
-        var self = this;
-        $(this.reapplyTerm).click(function () {
-            self.destroy();
-            callback(false);
-            return false;
-        });
-    }
-
-    /**
-     * setBackVisibility():
-     * Show all Back buttons on the Screen if isVisible.
-     * Hide all Back buttons on the Screen if not isVisible.
-     * 
-     * @param {function} callback - notifies caller button has been pressed.
-    */
-    setBackVisibilityOverride(isVisible) {
-        if (isVisible) {
-            $(this.backTerm).css('visibility', 'visible');
-        } else {
-            $(this.backTerm).css('visibility', 'hidden');
-        }
-    }
-
-    /**
-     * clearGoOverride():
-     * Removes onClick listener.
-    */
-    clearGoOverride() {
-        $(this.goTerm).off("click");
-    }
-
-    /**
-     * clearBackOverride():
-     * Removes onClick listener.
-    */
-    clearBackOverride() {
-        $(this.backTerm).off("click");
-    }
-
-    /**
-     * clearGoAndClearOverride():
-     * Removes onClick listener.
-    */
-    clearGoAndClearOverride() {
-        $(this.goAndClearTerm).off("click");
-    }
-
-    /**
-     * clearSubmitOverride():
-     * Removes onClick listener.
-    */
-    clearSubmitOverride() {
-        $(this.submitTerm).off("submit");
-    }
-
-    /**
-     * clearRefreshOverride():
-     * Removes onClick listener.
-    */
-    clearRefreshOverride() {
-        $(this.refreshTerm).off("click");
-    }
-
-    /**
-     * clearRefreshOverride():
-     * Removes onClick listener.
-    */
-    clearReapplyOverride() {
-        $(this.reapplyTerm).off("click");
-    }
-
-    /**
-     * destroy():
-     * Clears all jQuery event listeners for this Screen.
-     * This is to ensure double-clicks and stale listeners do not hang around and cause issues.
-     */
-    destroy() {
-        this.clearGoOverride();
-        this.clearBackOverride();
-        this.clearGoAndClearOverride();
-        this.clearSubmitOverride();
-        this.clearRefreshOverride();
-        this.clearReapplyOverride();
-    }
-}
-
-
-/**
- * Backstack:
- * Holds an array of Screens, and provides management of screens.
- * Each Tab has a Backstack.
- * */
-class Backstack {
-
-    /**
-     * constructor:
-     * @param {Screen[]} initialScreens - array of Screens to fill the Backstack with on initialisation
-     */
-    constructor(initialScreens) {
-        this.screens = initialScreens;
-    }
-
-    /**
-     * pop():
-     * Removes a Screen from the top of the stack.
-     * This will always leave a screen left in the stack, and should be used the majority of the time.
-     * Returns true if there is a Screen to pop from the backstack.
-     */
-    pop() {
-        var success = false;
-        if (this.screens.length > 1) {
-            success = (this.screens.pop() ? true : false);
-        }
-        return success;
-    }
-
-    /**
-     * popForced():
-     * Removes a Screen from the top of the stack.
-     * This version will pop and is able to remove the one and only screen (unlike pop()).
-     * This should be used with care.
-     * 
-     * Returns true if there is a Screen to pop from the backstack.
-     */
-    popForced() {
-        var success = false;
-        if (this.screens.length >= 1) {
-            success = (this.screens.pop() ? true : false);
-        }
-        return success;
-    }
-
-    /**
-     * push():
-     * Adds a Screen from the top of the stack.
-     * 
-     * Returns true if the Screen is successfully pushed to the top of the backstack.
-    */
-    push(screen) {
-        return (this.screens.push(screen) ? true : false);
-    }
-
-    /**
-     * getCurrent():
-     * Gets the current Screen (the Screen that is top of the stack)
-     */
-    getCurrent() {
-        return this.screens[this.screens.length - 1]
-    }
-}
-
-
-/**
- * Tab:
- * Represents the clickable outer Tab.
- * Handles its own Backstack object.
- **/
-class Tab {
-
-    /**
-     * constructor:
-     * 
-     * @param {Screen[]} initialScreens - array of Screen objects that this Tab will initially handle. This will mostly be just 1 Screen.
-     * @param {string} tabViewId - ID of the view this object represents.
-     */
-    constructor(initialScreens, tabViewId) {
-        this.backstack = new Backstack(initialScreens);
-        this.viewId = tabViewId;
-    }
-
-    /**
-     * onClick():
-     * Sets OnClick listener for when user presses this Tab.
-     * 
-     * @param {function} preCreate - notifies caller that Screen is about to be created.
-     * @param {function} onSuccess - notifies caller when HTML has successfully been generated for this Screen.
-     * @param {function} onError - notifies caller when error has occurred (like page not being found).
-     */
-    onClick(preCreate, onSuccess, onError) {
-        var self = this;
-        $("#" + this.viewId).click(function () {
-            preCreate();
-            self.setCurrentScreenHTML("GET", null, true, onSuccess, onError);
-        })
-    }
-
-    /**
-     * setCurrentScreenHTML():
-     * Initialises the current page in this tab's Backstack.
-     * Register callbacks from any backstack-related button clicks that occur on the current Screen.
-     * If, say, a back button is pressed, 'self.onBack()' is called, which will do it's own Backstack operation.
-     * 
-     * @param {string} method - defines the type of request to the url (i.e. GET, POST or PUT).
-     * @param {Array} data - an Array of JSON-like value/keys to represent input data (see jQuery's form serializeArray() method)
-     * @param {boolean} forceRefresh - even if this Screen's HTML is cached, this boolean will clear it and do another AJAX call.
-     * @param {function} onSuccess - notifies caller when HTML has successfully been generated for this Screen.
-     * @param {function} onError - notifies caller when error has occurred (like page not being found).
-     */
-    setCurrentScreenHTML(method, data, forceRefresh, onSuccess, onError) {
-        var self = this;        
-        this.backstack.getCurrent().initialise(method, data, this.isHeaderBackVisible(), forceRefresh, onSuccess, onError, function (url) {
-            self.onGo(url, onSuccess, onError);
-        }, function () {
-            self.onBack(onSuccess, onError);
-        }, function (url) {
-            self.onGoAndClear(url, onSuccess, onError);
-        }, function (action, method, data) {
-            self.onSubmit(action, method, data, onSuccess, onError);
-        }, function (forceRefresh) {
-            self.onRefresh(forceRefresh, onSuccess, onError);
-        });
-    }
-
-    /**
-     * onGo():
-     * The user is going to another (forward) page - we need to push the new page onto the backstack.
-     * 
-     * @param {string} url - URL of the page to GO to.
-     * @param {function} onSuccess - notifies caller when HTML has successfully been generated for this Screen.
-     * @param {function} onError - notifies caller when error has occurred (like page not being found).
-     */
-    onGo(url, onSuccess, onError) {
-        let self = this;
-        if (this.backstack.push(new Screen(url))) {
-            self.setCurrentScreenHTML("GET", null, true, onSuccess, onError);
-        } else {
-            console.error("onGo(): could not push screen with url '" + url + "' to the backstack.");
-        }
-    }
-
-    /**
-     * onBack():
-     * The user is going back to a previous page - we need to pop the current page from the backstack.
-     * Only refresh the view if there was a Screen to pop (i.e. wasn't the only Screen left in backstack).
-     * 
-     * @param {function} onSuccess - notifies caller when HTML has successfully been generated for this Screen.
-     * @param {function} onError - notifies caller when error has occurred (like page not being found).
-     */
-    onBack(onSuccess, onError) {
-        if (this.backstack.pop()) {
-            this.setCurrentScreenHTML("GET", null, false, onSuccess, onError);
-        } else {
-            /** Screen is the only one left in the backstack **/
-            console.log("onBack(): did not pop Screen from backstack, though this could be because it's the last in stack. backstack length = " + this.backstack.screens.length);
-        }
-    }
-
-    /**
-     * onGoAndClear():
-     * The user is going 'sideways' to another page (i.e. they want to go to another page and they don't want an opportunity to come back).
-     * We need to pop the current page from the backstack and push the new page onto the backstack.
-     * backstack.popForced() is used only here so that if a Go + Clear button is used when there is only 1 screen, we want to pop the last screen.
-     * Normal pop() will always leave one screen left, but popForced() can leave zero screens left.
-     * 
-     * @param {string} url - URL of the page to GO to.
-     * @param {function} onSuccess - notifies caller when HTML has successfully been generated for this Screen.
-     * @param {function} onError - notifies caller when error has occurred (like page not being found).
-    */
-    onGoAndClear(url, onSuccess, onError) {
-        this.backstack.popForced();
-        this.onGo(url, onSuccess, onError);
-    }
-
-    /**
-     * onSubmit():
-     * User is submitting a form.
-     * The result page (i.e. action) is pushed onto this Tab's Backstack as a new Screen.
-     * This allows the user to go back to the previous page within the Backstack.
-     *
-     * @param {string} action - defines the URL/target destination. This could be a PHP file which handles the results of the form.
-     * @param {string} method - defines the type of request to the url (i.e. GET, POST or PUT).
-     * @param {Array} data - an Array of JSON-like value/keys to represent input data (see jQuery's form serializeArray() method)
-     * @param {boolean} forceRefresh - even if this Screen's HTML is cached, this boolean will clear it and do another AJAX call.
-     * @param {function} onSuccess - notifies caller when HTML has successfully been generated for this Screen.
-     * @param {function} onError - notifies caller when error has occurred (like page not being found).
-    */
-    onSubmit(action, method, data, onSuccess, onError) {
-        if (this.backstack.push(new Screen(action))) {
-            this.setCurrentScreenHTML(method, data, false, onSuccess, onError);
-        } else {
-            console.error("onSubmit(): could not push screen with url '" + url + "' to the backstack.");
-        }
-    }
-
-    /**
-     * onRefresh():
-     * This function does a soft-refresh on the current Screen by reapplying the cached HTML onto the DOM.
-     *
-     * @param {boolean} forceRefresh - even if this Screen's HTML is cached, this boolean will clear it and do another AJAX call.
-     * @param {function} onSuccess - notifies caller when HTML has successfully been generated for this Screen.
-     * @param {function} onError - notifies caller when error has occurred (like page not being found).
-    */
-    onRefresh(forceRefresh, onSuccess, onError) {
-        this.setCurrentScreenHTML("GET", null, forceRefresh, onSuccess, onError);
-    }
-
-    /**
-     * destroy():
-     * Destroys the current screen. 
-     * This is only used when the user clicks a new Tab - we want to clear the Tab before changing to the new one.
-     * If user traverses between Screens within one Tab, each Screen will destroy itself, so this function is not used for that.
-     **/
-    destroy() {
-        this.backstack.getCurrent().destroy();
-    }
-
-    /**
-     * isBackVisible():
-     * Defines if ANY back button should be visible/enabled.
-     * Returns true if there is a Screen for the user to go back to.
-     * An example of its use is for _AppHeader where we make the back button invisible if there is nothing to go back to.
-     * */
-    isHeaderBackVisible() {
-        return this.backstack.screens.length > 1;
-    }
-}
-
-/**
- * TabBar:
- * Represents the selection of Tabs.
- * This manages global tabs operations:
- *  - removing tabSelectedClass from a tab if another tab is selected.
- *  - triggering onDestroy on the current Tab before the new Tab is shown.
- **/
-class TabBar {
-
-    /**
-     * constructor:
-     * 
-     * @param {Tab[]} tabs - array of Tab objects.
-     * @param {string} appViewId - view ID of container that will show the Screen HTML.
-     * @param {string} selectedTabViewId - ID of the tab view that is selected first.
-     * @param {string} transitionSpeed - speed that jQuery animation will operate at when Screens are changed.
-     * @param {function} onSuccess - notifies caller when HTML has successfully been generated for this Screen.
-     * @param {function} onError - notifies caller when error has occurred (like page not being found).
-     */
-    constructor(tabs, appViewId, selectedTabViewId, transitionSpeed, onSuccess, onError) {
-        this.tabClassName = "btn-tab";
-        this.tabSelectedClassName = "btn-tab-selected";
-
-        this.tabs = tabs;
-        this.selectedTabViewId = selectedTabViewId;
-        this.transitionSpeed = transitionSpeed;
-
-        this.setTabsClickListeners(appViewId, onSuccess, onError);
-        this.clickTab(selectedTabViewId);
-    }
-
-    /**
-     * setTabsClickListeners():
-     * Tells the individual Tabs to set their OnClick listeners. They do their own thing.     * 
-     * TabBarView visually highlights the currently chosen tab.
-     * When a new Tab is clicked on, TabBarView notifies the current Tab to destroy its destroyables like listeners etc.
-     *  - This is to stop any conflicts of objects between the views.
-     *  
-     * @param {string} appViewId - view ID of container that will show the Screen HTML.
-     * @param {function} onSuccess - notifies caller when HTML has successfully been generated for this Screen.
-     * @param {function} onError - notifies caller when error has occurred (like page not being found).
-     */
-    setTabsClickListeners(appViewId, onSuccess, onError) {
-        var self = this;
-        this.tabs.forEach(function (tab) {
-            $("#" + tab.viewId).click(function () {
-                self.removeSelectedViewClass("." + "btn-tab");
-                self.addSelectedViewClass("#" + tab.viewId)
-            });
-
-            tab.onClick(function () {
-                self.animateOut(appViewId, self.transitionSpeed, function () {
-                    self.findTab(self.selectedTabViewId).destroy();
-                    self.selectedTabViewId = tab.viewId;     
-                });                        
-            }, function(htmlCode, url) {                
-                $(appViewId).html(htmlCode);
-                onSuccess(tab.viewId, url);
-                self.animateIn(appViewId, self.transitionSpeed);                
-            }, function(data, url) {
-                onError(tab.viewId, url);
-            });
-        });
-    }
-
-    /**
-     * findTab():
-     * Finds Tab element within this TabBar.
-     *
-     * @param {string} tabViewId - view ID of the Tab to be found
-    */
-    findTab(tabViewId) {
-        let selectedTab = this.tabs.find(function (tab) {
-            return tab.viewId == tabViewId
-        });
-
-        if (selectedTab != null)
-            return selectedTab;
-        else
-            console.error("backstack.js findTab(): could not find tab with id '" + tabViewId + "'");
-    }
-
-    /**
-     * clickTab():
-     * Triggers a click on the specified tab.
-     *
-     * @param {string} tabViewId - view ID of the Tab to be clicked
-     */
-    clickTab(tabViewId) {
-        $("#" + tabViewId).click();
-    }
-
-    /**
-    * addSelectedViewClass():
-    * Adds a new class to this Tab's view to change its visible state to 'selected'.
-    * 
-    * @param {string} view - the selected view's ID or class.
-    */
-    addSelectedViewClass(view) {
-        $(view).addClass(this.tabSelectedClassName);
-    }
-
-    /**
-     * removeSelectedViewClass():
-     * Removes the 'selected' visible state class from this Tab's view to make it 'unselected'.
-     * 
-     * @param {string} view - the selected view's ID or class.
-     */
-    removeSelectedViewClass(view) {
-        $(view).removeClass(this.tabSelectedClassName);
-    }
-
-    /**
-     * animateIn(): (WIP)
-     * I hoped to use fadeIn/animate here but the animation is stopped mid-way through.
-     * I had to settle for what is there below.
-     *
-     * @param {string} view - the selected view's ID or class.
-     * @param {string/int} transitionSpeed - animation transition speed (not currently used)
-     */
-    animateIn(viewId, transitionSpeed) {
-        $(viewId).css("visibility", "visible");
-    }
-
-    /**
-     * animateOut(): (WIP)
-     * I hoped to use fadeIn/animate here but the animation is stopped mid-way through.
-     * I had to settle for what is there below.
-     *
-     * @param {string} view - the selected view's ID or class.
-     * @param {string/int} transitionSpeed - animation transition speed (not currently used)
-     * @param {function} onComplete - notifies caller when animation has been successful.
-     */
-    animateOut(viewId, transitionSpeed, onComplete) {
-        $(viewId).css("visibility", "hidden");
-        onComplete();
-    }
-}
\ No newline at end of file
+﻿/**
+    backstack.js:
+
+    Contains these classes:
+    - Screen
+    - ScreenLifecycle
+    - ScreenCache
+    - ScreenRequest
+    - Backstack
+    - Tab
+    - TabBar
+
+    And the 'backstack' object, for scripts within Screen HTML, which also has the classes (e.g. backstack.TabBar).
+
+    It uses the browser's own DOM, fetch() and FormData, and needs no other library. backstack-jquery.js adds optional
+    jQuery support, for pages that already use jQuery (see ScreenRequest).
+    'backstack' is added to window, and so are the classes unless the name is already taken. 'Screen' is a global of the
+    page's scripts rather than window.Screen, which is the browser's.
+    Optional features are in files of their own, loaded after backstack.js (see TabBar.extend()):
+    - backstack-router.js: named routes to Screens.
+    - backstack-modals.js: modals and sheets presented over the app view.
+    - backstack-gestures.js: swipe back and pull to refresh.
+    - backstack-offline.js: offline mode, with the service worker in backstack-sw.js.
+*/
+(function () {
+
+/**
+ * elementsOf():
+ * Returns the elements a target stands for, as an Array: the elements matching a selector, or an element (or window or
+ * document), or a list of them (e.g. a NodeList).
+ *
+ * @param {Object} target - selector, element or list of elements.
+ */
+function elementsOf(target) {
+    if (target == null) {
+        return [];
+    }
+    if (typeof target == "string") {
+        return Array.from(document.querySelectorAll(target));
+    }
+    return (target.nodeType != null || target === target.window) ? [target] : Array.from(target);
+}
+
+/**
+ * withDefaults():
+ * Returns a new object of the defaults with the options' values put over them, leaving out options that are undefined.
+ *
+ * @param {Object} defaults - the default values.
+ * @param {Object} options - (optional) the values given.
+ */
+function withDefaults(defaults, options) {
+    let result = Object.assign({}, defaults);
+    Object.keys(options || {}).forEach(function (key) {
+        if (options[key] !== undefined) {
+            result[key] = options[key];
+        }
+    });
+    return result;
+}
+
+/**
+ * createElement():
+ * Returns a new element with the given class name(s) and attributes.
+ *
+ * @param {string} tagName - the element's tag, e.g. "div".
+ * @param {string} className - (optional) its class name(s), separated by spaces.
+ * @param {Object} attributes - (optional) its attributes by name.
+ */
+function createElement(tagName, className, attributes) {
+    let element = document.createElement(tagName);
+    if (className) {
+        element.className = className;
+    }
+    Object.keys(attributes || {}).forEach(function (name) {
+        element.setAttribute(name, attributes[name]);
+    });
+    return element;
+}
+
+/**
+ * setHtml():
+ * Replaces the content of an element with HTML, and runs the scripts within it: inline scripts run straight away,
+ * while scripts with a 'src' load like any other added script, after setHtml() has returned.
+ * An element (e.g. returned by a template function) is put in as it is.
+ *
+ * @param {Element} element - the element.
+ * @param {string/Element} content - the HTML, or an element.
+ */
+function setHtml(element, content) {
+    if (content != null && content.nodeType != null) {
+        element.replaceChildren(content);
+        return;
+    }
+    element.innerHTML = (content == null) ? "" : String(content);
+    Array.from(element.querySelectorAll("script")).forEach(function (script) {
+        /** scripts added with innerHTML never run, but a copy of them does **/
+        let copy = document.createElement("script");
+        Array.from(script.attributes).forEach(function (attribute) {
+            copy.setAttribute(attribute.name, attribute.value);
+        });
+        copy.text = script.text;
+        script.parentNode.replaceChild(copy, script);
+    });
+}
+
+/**
+ * childrenWithClass():
+ * Returns the child elements of an element that have a class, as an Array.
+ *
+ * @param {Element} element - the element.
+ * @param {string} className - the class name.
+ */
+function childrenWithClass(element, className) {
+    return Array.from(element.children).filter(function (child) {
+        return child.classList.contains(className);
+    });
+}
+
+/**
+ * delegate():
+ * Listens for events on elements within an element that match a selector, including ones added later. The handler is
+ * called with the matching element and the event; if it returns false, the event's default action is prevented and it
+ * goes no further.
+ *
+ * @param {Element} element - the element to listen to.
+ * @param {string} types - the event types, separated by spaces, e.g. "click submit".
+ * @param {string} selector - the selector of the elements within it.
+ * @param {function} handler - called with the matching element and the event.
+ * @param {AbortSignal} signal - stops the listening once it is aborted.
+ */
+function delegate(element, types, selector, handler, signal) {
+    types.split(" ").forEach(function (type) {
+        element.addEventListener(type, function (e) {
+            let target = (e.target.closest != null) ? e.target.closest(selector) : null;
+            if (target != null && element.contains(target) && handler(target, e) === false) {
+                e.preventDefault();
+                e.stopPropagation();
+            }
+        }, { signal: signal });
+    });
+}
+
+
+/**
+ * Screen:
+ * Represents a screen of the app - it does not know anything about itself. It is not loaded until requested.
+ * 
+ * Note:
+ * - Be careful of using 'html' as a variable name - it can conflict with existing vars.
+ */
+class Screen {
+
+    /**
+    * constructor:
+    * @param {string} url - URL of the page this screen holds the HTML to.    
+    * @param {string} method - (optional) defines the type of request to the url (i.e. GET, POST or PUT). Defaults to GET.
+    * @param {Array/FormData} data - (optional) an Array of JSON-like value/keys to represent input data (see jQuery's form serializeArray() method),
+    *                                or a FormData (e.g. of a form with file inputs).
+    *
+    * @var {ScreenLifecycle} lifecycle - the lifecycle of this Screen's HTML in the app view, if it is there.
+    * @var {boolean} keepAlive - true to keep this Screen's live HTML while it is not shown, false to reapply its HTML when
+    *                            it is next shown, or null to use the TabBar's 'keepAlive' option.
+    * @var {Element} retainedElement - the element of this Screen's live HTML while it is kept alive but not shown.
+    * @var {Object} scrollPositions - scroll positions within this Screen's HTML when it was last shown.
+    * @var {string/Array} focusPath - where the element that led away from this Screen (e.g. a Go link) is within its
+    *                                 HTML (see TabBar.getElementPath()), so it gets the focus back when the Screen is
+    *                                 gone back to; or null.
+    * @var {Object} overrides - the callbacks for each override action ("go", "back", "clear", "submit", "refresh") while
+    *                           this Screen is the one the user is interacting with; null otherwise.
+    * @var {ScreenRequest} request - the request for this Screen's HTML while it is in flight.
+    * @var {string} cachePolicy - how this Screen uses the cache (see initialise()), or null to use the Tab's.
+    * @var {number} cacheTtl - milliseconds this Screen's cached HTML can be used for (0 for no limit), or null to use the Tab's.
+    * @var {Object} resultRequest - { name, callback } if the Screen below expects a result from this one (see expectResult()).
+    * @var {string} title - the title the server or the Screen's HTML gave this Screen (see followResponse() and
+    *                       readMetadata()), or null.
+    * @var {string} serverTitle - the title the server gave this Screen in the response to its last request (see
+    *                             followResponse()), or null.
+    * @var {string} toolbar - the HTML of this Screen's toolbar actions (see readMetadata()), or null.
+    */
+    constructor(url, method, data) {
+        this.url = url;
+        this.method = (method != null) ? method : "GET";
+        this.data = (data != null) ? data : null;
+        this.lifecycle = null;
+        this.keepAlive = null;
+        this.retainedElement = null;
+        this.scrollPositions = null;
+        this.focusPath = null;
+        this.overrides = null;
+        this.request = null;
+        this.cachePolicy = null;
+        this.cacheTtl = null;
+        this.resultRequest = null;
+        this.title = null;
+        this.serverTitle = null;
+        this.toolbar = null;
+    }
+
+    /**
+     * initialise():
+     * Returns the HTML of the page this Screen represents, from the cache (see ScreenCache) or by doing an AJAX request.
+     * This is done using a callback due to the asynchronous nature of GET-ing the HTML for the URL.
+     * We also set up the Screen overrides here - whoever initialises the screen is told when Go, Back and Go+Clear buttons are pressed.
+     *
+     * Whether the cached HTML is used depends on why the Screen is being shown, and on the cache policy:
+     *  - "refresh" always does another AJAX call; "reapply" uses the cached HTML if there is any.
+     *  - HTML prefetched for a Go (see prefetch()) is used once, whatever the policy.
+     *  - "back-cache" (default): the HTML is requested each time the Screen is navigated to, but the cached HTML is
+     *    used when going back to it.
+     *  - "network-first": the HTML is always requested; the cached HTML is used if the request fails.
+     *  - "cache-first": the cached HTML is used if there is any; otherwise it is requested.
+     *  - "stale-while-revalidate": the cached HTML is used if there is any, and requested again in the background so the
+     *    cache is up to date next time.
+     * Cached HTML older than the cache TTL is never used. A kept alive Screen (see retain()) is shown as it is unless
+     * it is refreshed. A Screen that is not a GET (see isGet()) uses "back-cache" in place of "network-first" and
+     * "stale-while-revalidate", so that going back to the result of a form does not send the form again.
+     *
+     * The request uses this Screen's method and data (e.g. a POST of the submitted form). What the response says about
+     * the Screen (see followResponse()) is applied before its HTML is cached, and passed on to onSuccess.
+     * Only the latest request is listened to: a response to a request that has since been aborted (see abort()) or
+     * replaced is ignored. Overrides are set up even if the request fails, so that the buttons in the HTML still in the
+     * app view act on this Screen.
+     *
+     * @param {string} type - why the Screen is being shown: a navigation type ("go", "back", "clear", "submit" or "tab"),
+     *                        "refresh" or "reapply".
+     * @param {function} onSuccess - notifies caller when HTML has successfully been generated for this Screen.
+     * @param {function} onError - notifies caller when error has occurred (like page not being found).
+     * @param {function} onGo - notifies caller when user has pressed a button to move forward a Screen.
+     * @param {function} onBack - notifies caller when user has pressed a button to move back a Screen.
+     * @param {function} onGoAndClear - notifies caller when user has pressed a button to move forward a Screen but disallow ability to go back to previous Screen.
+     * @param {function} onSubmit - notifies caller when user has pressed Submit on a form (traditional page-refresh way).
+     * @param {function} onRefresh - notifies caller when user has pressed a button to refresh or reapply the Screen.
+     * @param {Object} options - (optional) the Tab's { timeout, cachePolicy, cacheTtl } (see getOptions()).
+     */
+    initialise(type, 
+        onSuccess, onError, onGo, onBack, onGoAndClear, onSubmit, onRefresh, options) {
+        let self = this;
+        options = this.getOptions(options);
+        if (!this.isGet() && (options.cachePolicy == "network-first" || options.cachePolicy == "stale-while-revalidate")) {
+            options.cachePolicy = "back-cache";
+        }
+        this.abort();
+
+        let cached = (type == "refresh") ? null : backstack.cache.get(this.getCacheKey(), options.cacheTtl);
+        let show = function (htmlCode, url, response) {
+            onSuccess(htmlCode, url, response);
+            self.setupOverrides(onGo, onBack, onGoAndClear, onSubmit, onRefresh);
+        };
+
+        if (type != "refresh" && this.isRetained()) {
+            show((cached != null) ? cached.html : null, this.url);
+        } else if (cached != null && this.isCacheUsable(type, cached, options.cachePolicy)) {
+            cached.prefetched = false;
+            show(cached.html, this.url);
+            if (options.cachePolicy == "stale-while-revalidate" && type != "reapply") {
+                this.revalidate(options);
+            }
+        } else {
+            let request = this.getHtml(this.url, this.method, this.data, options.timeout, function(htmlCode, url) {
+                if (self.request !== request) {
+                    return;
+                }
+                self.request = null;
+                let response = self.followResponse(request);
+                backstack.cache.set(self.getCacheKey(), self.url, htmlCode);
+                self.release();
+                show(htmlCode, self.url, response);
+            }, function(data, url) {
+                if (data.statusText == "abort") {
+                    onError(data, url);
+                    return;
+                }
+                if (self.request !== request) {
+                    return;
+                }
+                self.request = null;
+                if (options.cachePolicy == "network-first" && cached != null) {
+                    self.release();
+                    show(cached.html, self.url);
+                    return;
+                }
+                console.error("Screen initialise(): onError: " + data.status + " " + data.statusText);
+                self.setupOverrides(onGo, onBack, onGoAndClear, onSubmit, onRefresh);
+                onError(data, url);
+            });
+            this.request = request;
+        }
+    }
+
+    /**
+     * getOptions():
+     * Returns the options for loading this Screen's HTML: the given (Tab's) options, with this Screen's cache policy
+     * and TTL in place of the Tab's if it has its own (see setCachePolicy()).
+     *
+     * @param {Object} options - (optional) { timeout, cachePolicy, cacheTtl }; missing or null values use the defaults
+     *                           (no timeout, "back-cache" and no TTL).
+     */
+    getOptions(options) {
+        let result = { timeout: 0, cachePolicy: "back-cache", cacheTtl: 0 };
+        [options, { cachePolicy: this.cachePolicy, cacheTtl: this.cacheTtl }].forEach(function (source) {
+            Object.keys(source || {}).forEach(function (name) {
+                if (source[name] != null) {
+                    result[name] = source[name];
+                }
+            });
+        });
+        return result;
+    }
+
+    /**
+     * isCacheUsable():
+     * Returns true if cached HTML can be shown for this Screen under the cache policy (see initialise()).
+     *
+     * @param {string} type - why the Screen is being shown (see initialise()).
+     * @param {Object} cached - the cache entry (see ScreenCache.get()).
+     * @param {string} policy - the cache policy.
+     */
+    isCacheUsable(type, cached, policy) {
+        if (type == "reapply" || (cached.prefetched && Date.now() - cached.time <= backstack.cache.prefetchTtl)) {
+            return true;
+        }
+        if (policy == "cache-first" || policy == "stale-while-revalidate") {
+            return true;
+        }
+        return policy == "back-cache" && type == "back";
+    }
+
+    /**
+     * followResponse():
+     * Applies what the server said about this Screen in the response to its request:
+     *  - if the request was redirected to another page, or the response has an X-Backstack-Location header, this Screen
+     *    becomes a GET of that URL, so that going back to it or refreshing it does not send a form again
+     *    (Post/Redirect/Get).
+     *  - an X-Backstack-Title header (URI-encoded if it is not ASCII) becomes this Screen's title.
+     * Returns { action, tab, location, title } from the X-Backstack-Action, X-Backstack-Tab, X-Backstack-Location and
+     * X-Backstack-Title headers (see TabBar.followResponse()), or null if the response had none of them and was not
+     * redirected.
+     *
+     * @param {Object} request - the completed request (see getHtml()).
+     */
+    followResponse(request) {
+        let header = function (name) {
+            let value = request.getResponseHeader("X-Backstack-" + name);
+            if (value == null || value === "") {
+                return null;
+            }
+            try {
+                return decodeURIComponent(value);
+            } catch (e) {
+                return value;
+            }
+        };
+        let response = {
+            action: header("Action"),
+            tab: header("Tab"),
+            location: header("Location"),
+            title: header("Title")
+        };
+        if (response.location == null && request.responseURL && Screen.isRedirected(this.url, request.responseURL)) {
+            response.location = request.responseURL;
+        }
+        this.serverTitle = response.title;
+        if (response.action == null && response.tab == null && response.location == null && response.title == null) {
+            return null;
+        }
+
+        if (response.location != null) {
+            this.url = ScreenCache.resolveUrl(response.location);
+            this.method = "GET";
+            this.data = null;
+        }
+        if (response.title != null) {
+            this.title = response.title;
+        }
+        return response;
+    }
+
+    /**
+     * readMetadata():
+     * Applies what this Screen's HTML says about it, once the HTML is in the app view:
+     *  - a <meta name="bs-title" content="..."> becomes this Screen's title, in place of any title the server gave it.
+     *    Without one, the title is the server's (see followResponse()), or null - not one from HTML shown before.
+     *  - the content of a <template data-bs-toolbar> becomes this Screen's toolbar actions (see TabBar.updateToolbar()).
+     *
+     * @param {Element} element - the Screen element.
+     */
+    readMetadata(element) {
+        let meta = element.querySelector("meta[name='bs-title']");
+        let title = (meta != null) ? meta.getAttribute("content") : null;
+        this.title = (title != null) ? title : this.serverTitle;
+        let template = element.querySelector("template[data-bs-toolbar]");
+        this.toolbar = (template != null) ? template.innerHTML.trim() : null;
+    }
+
+    /**
+     * getMetadata():
+     * Returns { title, toolbar } of this Screen, for navigation events (see TabBar.on()).
+     */
+    getMetadata() {
+        return { title: this.title, toolbar: this.toolbar };
+    }
+
+    /**
+     * isRedirected():
+     * Returns true if a request for a URL ended up at another page (ignoring the query string, which a GET's data is
+     * added to).
+     *
+     * @param {string} url - the URL that was requested.
+     * @param {string} responseUrl - the absolute URL of the response.
+     */
+    static isRedirected(url, responseUrl) {
+        let requested = new URL(url, document.baseURI);
+        let responded = new URL(responseUrl);
+        return requested.origin + requested.pathname != responded.origin + responded.pathname;
+    }
+
+    /**
+     * getCacheKey():
+     * Returns the key of this Screen's HTML in the cache (see ScreenCache.getKey()).
+     */
+    getCacheKey() {
+        return ScreenCache.getKey(this.url, this.method, this.data);
+    }
+
+    /**
+     * setCachePolicy():
+     * Overrides the Tab's cache policy (see initialise()) for this Screen. Returns this Screen so it can be used when
+     * building Tabs.
+     *
+     * @param {string} policy - "back-cache", "network-first", "cache-first" or "stale-while-revalidate", or null to use the Tab's.
+     * @param {number} ttl - (optional) milliseconds the cached HTML can be used for (0 for no limit), or null to use the Tab's.
+     */
+    setCachePolicy(policy, ttl) {
+        this.cachePolicy = policy;
+        if (ttl !== undefined) {
+            this.cacheTtl = ttl;
+        }
+        return this;
+    }
+
+    /**
+     * revalidate():
+     * Requests this Screen's HTML in the background and caches it, without showing it. Does nothing if this Screen is
+     * not a GET, which would send its form again.
+     *
+     * @param {Object} options - { timeout } (see getOptions()).
+     */
+    revalidate(options) {
+        let self = this;
+        if (!this.isGet()) {
+            return;
+        }
+        this.getHtml(this.url, this.method, this.data, options.timeout, function (htmlCode) {
+            backstack.cache.set(self.getCacheKey(), self.url, htmlCode);
+        }, function () {
+            /** the cached HTML is still there to use **/
+        });
+    }
+
+    /**
+     * prefetch():
+     * Requests this Screen's HTML ahead of a Go to it, so that it can be shown straight away (see initialise()).
+     * Nothing is requested if usable HTML is already cached or being prefetched.
+     *
+     * @param {Object} options - (optional) the Tab's { timeout, cachePolicy, cacheTtl } (see getOptions()).
+     */
+    prefetch(options) {
+        let self = this;
+        let cache = backstack.cache;
+        let key = this.getCacheKey();
+        options = this.getOptions(options);
+
+        let cached = cache.get(key, options.cacheTtl);
+        if (cache.prefetching[key] || (cached != null && this.isCacheUsable("go", cached, options.cachePolicy))) {
+            return;
+        }
+        cache.prefetching[key] = true;
+        this.getHtml(this.url, this.method, this.data, options.timeout, function (htmlCode) {
+            delete cache.prefetching[key];
+            cache.set(key, self.url, htmlCode, true);
+        }, function () {
+            delete cache.prefetching[key];
+        });
+    }
+
+    /**
+     * getHtml():
+     * The function to request data from an endpoint, through the request adapter (see ScreenRequest).
+     * FormData is sent as it is (multipart/form-data), except in a GET, where it is added to the query string like any
+     * other data (see serializeData()).
+     * Returns the request (see ScreenRequest). Once it has succeeded, it also has the 'responseURL' of the response,
+     * which differs from the action if the request was redirected.
+     *
+     * @param {string} action - defines the type of request to the url (i.e. GET, POST or PUT).
+     * @param {string} method - defines the type of request to the url (i.e. GET, POST or PUT).
+     * @param {Array/FormData} data - an Array of JSON-like value/keys to represent input data (see jQuery's form serializeArray() method), or a FormData
+     * @param {number} timeout - milliseconds to wait for a response before giving up, or 0 (or null) to wait forever.
+     * @param {function} onSuccess - notifies caller when HTML has successfully been generated for this Screen.
+     * @param {function} onError - notifies caller when error has occurred (like page not being found).
+    */
+    getHtml(action, method, data, timeout, onSuccess, onError) {
+        return new ScreenRequest(action, method, data, timeout).send(function (htmlCode) {
+            onSuccess(htmlCode, action);
+        }, function (request) {
+            onError(request, action);
+        });
+    }
+
+    /**
+     * serializeData():
+     * Returns request data as an Array of JSON-like value/keys (see jQuery's form serializeArray() method), so that it
+     * can be saved or compared. A FormData's files are replaced by their names; other data is returned as it is.
+     *
+     * @param {Array/FormData} data - the request data.
+     */
+    static serializeData(data) {
+        if (!(data instanceof FormData)) {
+            return data;
+        }
+        let serialized = [];
+        data.forEach(function (value, name) {
+            serialized.push({ name: name, value: (typeof value == "string") ? value : value.name });
+        });
+        return serialized;
+    }
+
+    /**
+     * abort():
+     * Aborts the request for this Screen's HTML if there is one in flight.
+     * The caller of initialise() is told through onError, with a request whose statusText is "abort".
+     */
+    abort() {
+        if (this.request != null) {
+            let request = this.request;
+            this.request = null;
+            request.abort("abort");
+        }
+    }
+
+    /**
+     * isLoading():
+     * Returns true if the request for this Screen's HTML is in flight.
+     */
+    isLoading() {
+        return this.request != null;
+    }
+
+    /**
+     * setupOverrides():
+     * Sets up overrides that stop links from continuing in the traditional way.
+     * TabBar hijacks clicks on links and submits, and hands them to the current Screen (see onOverride()). When they are
+     * pressed, we callback to the caller to notify it.
+     * We reapply this for every Screen that is being used.
+     * 
+     * @param {function} onGo - notifies caller when user has pressed a button to move forward a Screen.
+     * @param {function} onBack - notifies caller when user has pressed a button to move back a Screen.
+     * @param {function} onGoAndClear - notifies caller when user has pressed a button to move forward a Screen but disallow ability to go back to previous Screen.
+     * @param {function} onSubmit - notifies caller when user has pressed Submit on a form (traditional page-refresh way).
+     * @param {function} onRefresh - notifies caller when user has pressed a button to refresh (either re-GET or reapply cached HTML) to refresh the Screen.
+     */
+    setupOverrides(onGo, onBack, onGoAndClear, onSubmit, onRefresh) {
+        this.overrides = {
+            go: onGo,
+            back: onBack,
+            clear: onGoAndClear,
+            submit: onSubmit,
+            refresh: onRefresh
+        };
+    }
+
+    /**
+     * onOverride():
+     * Called by TabBar when an override button is pressed (or an override form is submitted) while this Screen is shown.
+     * The Screen destroys itself before any changes are made to the backstack, so a double-click is ignored.
+     * Returns true if the override was passed on to the caller.
+     *
+     * The arguments depend on the action:
+     *  - "go": the destination URL, the transition (if any) and the name of the result expected from it (if any).
+     *  - "clear": the destination URL and the transition (if any).
+     *  - "back": the transition (if any) and the result for the Screen below (if any, see expectResult()).
+     *  - "submit": the form's action, method, data (see TabBar.getSubmission()) and the transition (if any).
+     *  - "refresh": true to GET the url of the Screen again (refresh), false to reapply the cached HTML (reapply).
+     *
+     * @param {string} action - "go", "back", "clear", "submit" or "refresh".
+     * @param {Array} args - the arguments for the action's callback.
+     */
+    onOverride(action, args) {
+        if (this.overrides == null || this.overrides[action] == null) {
+            return false;
+        }
+        let callback = this.overrides[action];
+        this.destroy();
+        callback.apply(null, args);
+        return true;
+    }
+
+    /**
+     * isGet():
+     * Returns true if this Screen is requested with GET, so that requesting it again does not send a form again.
+     */
+    isGet() {
+        return this.method.toUpperCase() == "GET";
+    }
+
+    /**
+     * toJSON():
+     * Returns what is needed to rebuild this Screen later (its URL, method and data - but not its cached HTML or any
+     * uploaded files, see serializeData()).
+     * A Screen that is not a GET (e.g. the result of a form that was not redirected) is returned as a GET of its URL
+     * without its data, so that form fields (e.g. passwords) are never saved and rebuilding it does not send the form.
+     */
+    toJSON() {
+        if (!this.isGet()) {
+            return { url: this.url, method: "GET", data: null };
+        }
+        return {
+            url: this.url,
+            method: this.method,
+            data: Screen.serializeData(this.data)
+        };
+    }
+
+    /**
+     * fromJSON():
+     * Rebuilds a Screen from the output of toJSON(). It is always a GET: a saved method other than GET (e.g. from an
+     * older version, see toJSON()) is ignored along with its data.
+     *
+     * @param {Object} json - { url, method, data } of the Screen.
+     */
+    static fromJSON(json) {
+        if (json.method != null && String(json.method).toUpperCase() != "GET") {
+            return new Screen(json.url);
+        }
+        return new Screen(json.url, "GET", json.data);
+    }
+
+    /**
+     * expectResult():
+     * Marks this Screen as one that hands a result back to the Screen below it when the user goes Back from it
+     * (see Tab.onBack()). Returns this Screen so it can be used when building Tabs.
+     *
+     * @param {string} name - (optional) name of the result, so the Screen below can tell its results apart.
+     * @param {function} callback - (optional) called with the result once this Screen is popped (null if there is none).
+     */
+    expectResult(name, callback) {
+        this.resultRequest = {
+            name: (name != null) ? name : null,
+            callback: (callback != null) ? callback : null
+        };
+        return this;
+    }
+
+    /**
+     * takeResultRequest():
+     * Returns this Screen's result request (see expectResult()) and forgets it, so the result is only handed back once.
+     */
+    takeResultRequest() {
+        let request = this.resultRequest;
+        this.resultRequest = null;
+        return request;
+    }
+
+    /**
+     * abandonResult():
+     * Tells whoever expects a result from this Screen that there is none, e.g. because it was popped without going Back.
+     */
+    abandonResult() {
+        let request = this.takeResultRequest();
+        if (request != null && request.callback != null) {
+            request.callback(null);
+        }
+    }
+
+    /**
+     * setKeepAlive():
+     * Overrides the TabBar's 'keepAlive' option for this Screen. Returns this Screen so it can be used when building Tabs.
+     *
+     * @param {boolean} keepAlive - true to keep this Screen's live HTML while it is not shown, false to reapply its HTML
+     *                              when it is next shown, or null to use the TabBar's option.
+     */
+    setKeepAlive(keepAlive) {
+        this.keepAlive = keepAlive;
+        return this;
+    }
+
+    /**
+     * retain():
+     * Keeps this Screen's live HTML (detached from the app view) so it can be shown again as the user left it.
+     * Its lifecycle stays paused until it is shown again.
+     *
+     * @param {Element} element - the element holding this Screen's HTML.
+     */
+    retain(element) {
+        element.remove();
+        this.retainedElement = element;
+    }
+
+    /**
+     * isRetained():
+     * Returns true if this Screen's live HTML is being kept while it is not shown.
+     */
+    isRetained() {
+        return this.retainedElement != null;
+    }
+
+    /**
+     * release():
+     * Destroys this Screen's kept HTML (if any), e.g. when the Screen is popped from its Backstack.
+     */
+    release() {
+        if (this.retainedElement != null) {
+            if (this.lifecycle != null) {
+                this.lifecycle.destroy();
+            }
+            this.retainedElement.remove();
+            this.retainedElement = null;
+        }
+    }
+
+    /**
+     * createLifecycle():
+     * Starts a new lifecycle for this Screen's HTML, which is about to be applied to the given element.
+     * Any previous lifecycle (e.g. if the HTML is being reapplied) is destroyed first.
+     *
+     * @param {Element} element - the element that will hold this Screen's HTML.
+     */
+    createLifecycle(element) {
+        if (this.lifecycle != null) {
+            this.lifecycle.destroy();
+        }
+        this.lifecycle = new ScreenLifecycle(this, element);
+        return this.lifecycle;
+    }
+
+    /**
+     * destroy():
+     * Stops this Screen responding to override buttons and pauses its lifecycle.
+     * This is to ensure double-clicks and stale listeners do not hang around and cause issues.
+     */
+    destroy() {
+        this.overrides = null;
+        if (this.lifecycle != null) {
+            this.lifecycle.pause();
+        }
+    }
+}
+
+
+/**
+ * ScreenLifecycle:
+ * The lifecycle of a Screen's HTML from when it is applied to the app view until it is removed.
+ * Scripts within the Screen HTML register handlers with it through backstack.onScreen():
+ *  - create: the HTML has been applied (and its scripts have run).
+ *  - resume: the Screen is being shown to the user.
+ *  - pause: the user has left the Screen (e.g. pressed Go or Back, or changed Tab).
+ *  - destroy: the HTML is being removed from the app view.
+ *  - result: a Screen pushed from this one handed back a result (see Screen.expectResult()).
+ *  - beforeLeave: the user is about to leave the Screen; return false (or a Promise of false) to stay, e.g. to keep
+ *    unsaved changes (see TabBar.guardNavigation()).
+ * Timers and event listeners added through it are removed automatically on destroy, so they do not pile up each time
+ * the Screen is shown.
+ */
+class ScreenLifecycle {
+
+    /**
+     * constructor:
+     *
+     * @param {Screen} screen - the Screen whose HTML this lifecycle is for.
+     * @param {Element} element - the element holding the Screen's HTML.
+     *
+     * @var {string} state - "initialised", "created", "resumed", "paused" or "destroyed".
+     * @var {Object} handlers - arrays of handlers keyed by lifecycle event.
+     * @var {function[]} cleanups - functions called on destroy (e.g. to clear timers).
+     */
+    constructor(screen, element) {
+        this.screen = screen;
+        this.element = element;
+        this.state = "initialised";
+        this.handlers = {
+            create: [],
+            resume: [],
+            pause: [],
+            destroy: [],
+            result: [],
+            beforeLeave: []
+        };
+        this.cleanups = [];
+        ScreenLifecycle.elements.set(element, this);
+    }
+
+    /**
+     * forElement():
+     * Returns the ScreenLifecycle of the element holding a Screen's HTML, or null if it has none (e.g. the error HTML).
+     *
+     * @param {Element} element - the element.
+     */
+    static forElement(element) {
+        let lifecycle = ScreenLifecycle.elements.get(element);
+        return (lifecycle != null) ? lifecycle : null;
+    }
+
+    /**
+     * on():
+     * Registers a handler for a lifecycle event. The handler is given this ScreenLifecycle (and, for "result", the
+     * result: { name, value }, or for "beforeLeave", the navigation - see canLeave()).
+     *
+     * @param {string} event - "create", "resume", "pause", "destroy", "result" or "beforeLeave".
+     * @param {function} handler - called when the event occurs.
+     */
+    on(event, handler) {
+        if (this.handlers[event] == null) {
+            console.error("backstack.js ScreenLifecycle on(): unknown lifecycle event '" + event + "'");
+            return;
+        }
+        this.handlers[event].push(handler);
+    }
+
+    /**
+     * setInterval():
+     * window.setInterval() that is cleared when the Screen is destroyed.
+     *
+     * @param {function} handler - called every 'delay' milliseconds.
+     * @param {int} delay - milliseconds between calls.
+     */
+    setInterval(handler, delay) {
+        let id = window.setInterval(handler, delay);
+        this.addCleanup(function () {
+            window.clearInterval(id);
+        });
+        return id;
+    }
+
+    /**
+     * setTimeout():
+     * window.setTimeout() that is cleared when the Screen is destroyed.
+     *
+     * @param {function} handler - called after 'delay' milliseconds.
+     * @param {int} delay - milliseconds to wait.
+     */
+    setTimeout(handler, delay) {
+        let id = window.setTimeout(handler, delay);
+        this.addCleanup(function () {
+            window.clearTimeout(id);
+        });
+        return id;
+    }
+
+    /**
+     * listen():
+     * Adds an event listener that is removed when the Screen is destroyed.
+     * Use this for listeners on elements outside of the Screen HTML (e.g. window or document).
+     *
+     * @param {Object} target - element (or window or document), selector or list of elements to listen to.
+     * @param {string} events - event type(s), separated by spaces, e.g. "resize scroll".
+     * @param {function} handler - called when the event occurs.
+     */
+    listen(target, events, handler) {
+        let elements = elementsOf(target);
+        let types = events.split(" ").filter(function (type) {
+            return type != "";
+        });
+        elements.forEach(function (element) {
+            types.forEach(function (type) {
+                element.addEventListener(type, handler);
+            });
+        });
+        this.addCleanup(function () {
+            elements.forEach(function (element) {
+                types.forEach(function (type) {
+                    element.removeEventListener(type, handler);
+                });
+            });
+        });
+    }
+
+    /**
+     * addCleanup():
+     * Registers a function to be called when the Screen is destroyed.
+     *
+     * @param {function} cleanup - called on destroy.
+     */
+    addCleanup(cleanup) {
+        this.cleanups.push(cleanup);
+    }
+
+    /**
+     * create():
+     * Tells the handlers that the Screen HTML has been applied.
+     */
+    create() {
+        if (this.state == "initialised") {
+            this.state = "created";
+            this.notify("create");
+        }
+    }
+
+    /**
+     * resume():
+     * Tells the handlers that the Screen is being shown to the user.
+     */
+    resume() {
+        if (this.state == "created" || this.state == "paused") {
+            this.state = "resumed";
+            this.notify("resume");
+        }
+    }
+
+    /**
+     * pause():
+     * Tells the handlers that the user has left the Screen.
+     */
+    pause() {
+        if (this.state == "resumed") {
+            this.state = "paused";
+            this.notify("pause");
+        }
+    }
+
+    /**
+     * destroy():
+     * Pauses the Screen if needed, tells the handlers that the Screen HTML is being removed, then clears all timers and
+     * listeners added through this ScreenLifecycle.
+     */
+    destroy() {
+        if (this.state == "destroyed") {
+            return;
+        }
+        this.pause();
+        this.state = "destroyed";
+        this.notify("destroy");
+        this.cleanups.forEach(function (cleanup) {
+            cleanup();
+        });
+        this.cleanups = [];
+        if (this.screen.lifecycle == this) {
+            this.screen.lifecycle = null;
+        }
+    }
+
+    /**
+     * hasLeaveGuards():
+     * Returns true if the Screen is shown and has "beforeLeave" handlers (see canLeave()).
+     */
+    hasLeaveGuards() {
+        return (this.state == "created" || this.state == "resumed") && this.handlers.beforeLeave.length > 0;
+    }
+
+    /**
+     * canLeave():
+     * Asks the "beforeLeave" handlers, one after another, whether the user can leave the Screen. A handler returns
+     * false (or a Promise of false) to stay, e.g. after asking the user to confirm that unsaved changes can be lost.
+     * Returns a Promise that resolves with true if every handler allowed it.
+     *
+     * @param {Object} navigation - the navigation that would leave the Screen (see TabBar.guardNavigation()).
+     */
+    canLeave(navigation) {
+        let self = this;
+        return this.handlers.beforeLeave.reduce(function (allowed, handler) {
+            return allowed.then(function (proceed) {
+                return (proceed === false) ? false : handler(self, navigation);
+            });
+        }, Promise.resolve(true)).then(function (proceed) {
+            return proceed !== false;
+        });
+    }
+
+    /**
+     * notify():
+     * Calls the handlers for a lifecycle event. A failing handler is logged and does not stop the others.
+     *
+     * @param {string} event - "create", "resume", "pause", "destroy" or "result".
+     * @param {Object} value - (optional) passed to the handlers after this ScreenLifecycle.
+     */
+    notify(event, value) {
+        let self = this;
+        this.handlers[event].forEach(function (handler) {
+            try {
+                handler(self, value);
+            } catch (e) {
+                console.error("backstack.js ScreenLifecycle: '" + event + "' handler failed for '" + self.screen.url + "': " + e);
+            }
+        });
+    }
+}
+
+/** the lifecycle of each element holding a Screen's HTML (see forElement()) **/
+ScreenLifecycle.elements = new WeakMap();
+
+
+/**
+ * ScreenCache:
+ * The HTML of Screens, shared by all Screens (see backstack.cache) and keyed by URL, method and data, so Screens with
+ * the same URL share their HTML.
+ * The least recently used HTML is dropped once there are more than 'maxEntries' pages.
+ */
+class ScreenCache {
+
+    /**
+     * constructor:
+     * @param {number} maxEntries - the most pages to hold, or 0 for no limit.
+     *
+     * @var {Map} entries - { url, html, time, prefetched } for each key, least recently used first.
+     * @var {number} prefetchTtl - milliseconds prefetched HTML can be used for by the next Go to it.
+     * @var {Object} prefetching - keys being prefetched (see Screen.prefetch()).
+     */
+    constructor(maxEntries) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+        this.prefetchTtl = 60000;
+        this.prefetching = {};
+    }
+
+    /**
+     * getKey():
+     * Returns the cache key for a request. Relative URLs are resolved against the page first.
+     *
+     * @param {string} url - URL of the page.
+     * @param {string} method - the request method.
+     * @param {Array/FormData} data - (optional) the request data (see Screen.serializeData()).
+     */
+    static getKey(url, method, data) {
+        data = Screen.serializeData(data);
+        return method.toUpperCase() + " " + ScreenCache.resolveUrl(url) + ((data != null) ? " " + JSON.stringify(data) : "");
+    }
+
+    /**
+     * resolveUrl():
+     * Returns a URL resolved against the page.
+     *
+     * @param {string} url - absolute or relative URL.
+     */
+    static resolveUrl(url) {
+        return new URL(url, document.baseURI).href;
+    }
+
+    /**
+     * get():
+     * Returns the cache entry { url, html, time, prefetched } for a key, or null if there is none or it is older than the TTL.
+     * The entry becomes the most recently used.
+     *
+     * @param {string} key - the key (see getKey()).
+     * @param {number} ttl - (optional) milliseconds the entry can be used for, or 0 for no limit.
+     */
+    get(key, ttl) {
+        let entry = this.entries.get(key);
+        if (entry == null) {
+            return null;
+        }
+        this.entries.delete(key);
+        if (ttl > 0 && Date.now() - entry.time > ttl) {
+            return null;
+        }
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    /**
+     * set():
+     * Caches the HTML for a key, dropping the least recently used HTML if there are now too many pages.
+     *
+     * @param {string} key - the key (see getKey()).
+     * @param {string} url - URL of the page.
+     * @param {string} html - the HTML.
+     * @param {boolean} prefetched - (optional) true if the HTML was prefetched (see Screen.prefetch()).
+     */
+    set(key, url, html, prefetched) {
+        this.entries.delete(key);
+        this.entries.set(key, {
+            url: ScreenCache.resolveUrl(url),
+            html: html,
+            time: Date.now(),
+            prefetched: prefetched == true
+        });
+        this.trim();
+    }
+
+    /**
+     * remove():
+     * Drops the cached HTML for a key, so that it is requested again next time.
+     *
+     * @param {string} key - the key (see getKey()).
+     */
+    remove(key) {
+        this.entries.delete(key);
+    }
+
+    /**
+     * setMaxEntries():
+     * Changes the most pages to hold, dropping the least recently used HTML if there are now too many.
+     *
+     * @param {number} maxEntries - the most pages to hold, or 0 for no limit.
+     */
+    setMaxEntries(maxEntries) {
+        this.maxEntries = maxEntries;
+        this.trim();
+    }
+
+    /**
+     * trim():
+     * Drops the least recently used HTML until there are no more than 'maxEntries' pages.
+     */
+    trim() {
+        while (this.maxEntries > 0 && this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * invalidate():
+     * Drops the HTML of every page whose URL matches, so it is requested again next time. Returns the number dropped.
+     *
+     * @param {string/RegExp} urlPattern - (optional) a RegExp tested against absolute URLs, or a URL (resolved against the
+     *                                      page) in which '*' matches anything, e.g. "2-*.html". All pages if not given.
+     */
+    invalidate(urlPattern) {
+        let self = this;
+        let matches = ScreenCache.createUrlMatcher(urlPattern);
+        let keys = Array.from(this.entries.keys()).filter(function (key) {
+            return matches(self.entries.get(key).url);
+        });
+        keys.forEach(function (key) {
+            self.entries.delete(key);
+        });
+        return keys.length;
+    }
+
+    /**
+     * createUrlMatcher():
+     * Returns a function that returns true for the absolute URLs that match a pattern (see invalidate()).
+     *
+     * @param {string/RegExp} urlPattern - (optional) the pattern.
+     */
+    static createUrlMatcher(urlPattern) {
+        if (urlPattern == null) {
+            return function () {
+                return true;
+            };
+        }
+        let regExp = urlPattern;
+        if (!(urlPattern instanceof RegExp)) {
+            regExp = new RegExp("^" + ScreenCache.resolveUrl(urlPattern).split("*").map(function (part) {
+                return part.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+            }).join(".*") + "$");
+        }
+        return function (url) {
+            return url.search(regExp) >= 0;
+        };
+    }
+}
+
+
+/**
+ * ScreenRequest:
+ * A request for a Screen's HTML (see Screen.getHtml()), made through the request adapter (see backstack.request).
+ * Once it has finished it has the 'status', 'statusText', 'responseText' and 'responseURL' of the response, and its
+ * headers through getResponseHeader(), like jQuery's jqXHR. The 'statusText' of a request that failed without a
+ * response is "error", "timeout" or "abort".
+ *
+ * A request adapter is called like fetch(): with the URL and { method, headers, body, credentials, signal }, and returns
+ * a Promise of the response - which needs 'status', 'statusText', 'url' (the URL of the response, after any redirects),
+ * 'headers.get()' and 'text()'. Write one to add headers (e.g. auth or CSRF tokens) or to answer requests without a
+ * server (e.g. in tests):
+ *
+ *  backstack.request = function (url, init) {
+ *      init.headers["X-CSRF-Token"] = token;
+ *      return fetch(url, init);
+ *  };
+ *
+ * backstack-jquery.js has one that uses jQuery's ajax() (see backstack.jquery).
+ */
+class ScreenRequest {
+
+    /**
+     * constructor:
+     * @param {string} url - URL to request.
+     * @param {string} method - the request method (i.e. GET, POST or PUT).
+     * @param {Array/FormData} data - (optional) the request data (see Screen.getHtml()).
+     * @param {number} timeout - (optional) milliseconds to wait for a response before giving up, or 0 to wait forever.
+     *
+     * @var {AbortController} controller - aborts the adapter's request (if the browser has AbortController).
+     * @var {number} timer - the timeout's timer, while there is one.
+     * @var {function} onError - the caller's onError (see send()).
+     * @var {Object} response - the adapter's response, once there is one.
+     * @var {boolean} finished - true once the request has succeeded or failed.
+     * @var {boolean} delivered - true once the caller of send() has been called back (see callBack()).
+     */
+    constructor(url, method, data, timeout) {
+        this.url = url;
+        this.method = (method != null) ? method.toUpperCase() : "GET";
+        this.data = (data != null) ? data : null;
+        this.timeout = (timeout != null) ? timeout : 0;
+        this.controller = (window.AbortController != null) ? new AbortController() : null;
+        this.timer = null;
+        this.response = null;
+        this.finished = false;
+        this.delivered = false;
+        this.onError = null;
+        this.status = 0;
+        this.statusText = null;
+        this.responseText = null;
+        this.responseURL = null;
+    }
+
+    /**
+     * send():
+     * Makes the request through backstack.request. A response with a status of 200-299 or 304 is a success.
+     *
+     * @param {function} onSuccess - called with the response's text (see callBack()).
+     * @param {function} onError - called with this request if it fails, times out or is aborted.
+     */
+    send(onSuccess, onError) {
+        let self = this;
+        let init = this.getInit();
+        this.onError = onError;
+        if (this.timeout > 0) {
+            this.timer = setTimeout(function () {
+                self.abort("timeout");
+            }, this.timeout);
+        }
+
+        new Promise(function (resolve) {
+            resolve(backstack.request(init.url, init));
+        }).then(function (response) {
+            if (self.finished) {
+                return;
+            }
+            self.response = response;
+            self.status = response.status;
+            self.responseURL = response.url || null;
+            return response.text().then(function (text) {
+                if (self.finished) {
+                    return;
+                }
+                let succeeded = (self.status >= 200 && self.status < 300) || self.status == 304;
+                self.finish(response.statusText || (succeeded ? "success" : "error"), text);
+                if (succeeded) {
+                    self.callBack(onSuccess, text);
+                } else {
+                    self.callBack(onError, self);
+                }
+            });
+        }).catch(function (e) {
+            if (!self.finished) {
+                self.status = 0;
+                self.finish("error", null);
+                self.callBack(onError, self);
+            }
+        });
+        return this;
+    }
+
+    /**
+     * callBack():
+     * Calls the caller of send() back outside the request's Promise chain, so that an error it throws is reported by the
+     * browser as usual rather than taken for the request failing - unless it has been called back since (see abort()).
+     *
+     * @param {function} callback - onSuccess or onError.
+     * @param {Object} value - what it is called with.
+     */
+    callBack(callback, value) {
+        let self = this;
+        setTimeout(function () {
+            self.deliver(callback, value);
+        }, 0);
+    }
+
+    /**
+     * deliver():
+     * Calls the caller of send() back, if it has not been already: it is only ever called back once.
+     *
+     * @param {function} callback - onSuccess or onError.
+     * @param {Object} value - what it is called with.
+     */
+    deliver(callback, value) {
+        if (this.delivered) {
+            return;
+        }
+        this.delivered = true;
+        callback(value);
+    }
+
+    /**
+     * getInit():
+     * Returns the URL and fetch() options for this request. GET data is added to the URL's query string; other data is
+     * sent as a form would be (FormData as multipart/form-data).
+     */
+    getInit() {
+        let url = this.url;
+        let body = null;
+        let headers = {};
+        let data = this.data;
+
+        if (data != null && this.method == "GET") {
+            let query = (typeof data == "string") ? data : ScreenRequest.encode(Screen.serializeData(data));
+            if (query != "") {
+                url += ((url.indexOf("?") >= 0) ? "&" : "?") + query;
+            }
+        } else if (data != null) {
+            body = (typeof data == "string" || data instanceof FormData) ? data : ScreenRequest.encode(data);
+            if (typeof body == "string") {
+                headers["Content-Type"] = "application/x-www-form-urlencoded; charset=UTF-8";
+            }
+        }
+        if (new URL(url, document.baseURI).origin == window.location.origin) {
+            /** X-Backstack-Request tells the service worker (see backstack-sw.js) this is a request for Screen HTML **/
+            headers["X-Requested-With"] = "XMLHttpRequest";
+            headers["X-Backstack-Request"] = "1";
+        }
+        return {
+            url: url,
+            method: this.method,
+            headers: headers,
+            body: body,
+            credentials: "same-origin",
+            signal: (this.controller != null) ? this.controller.signal : undefined
+        };
+    }
+
+    /**
+     * finish():
+     * Marks this request as finished.
+     *
+     * @param {string} statusText - the response's status text, or "error", "timeout" or "abort".
+     * @param {string} responseText - the response's text, or null.
+     */
+    finish(statusText, responseText) {
+        this.finished = true;
+        this.statusText = statusText;
+        this.responseText = responseText;
+        clearTimeout(this.timer);
+    }
+
+    /**
+     * abort():
+     * Aborts this request if its caller has not been called back yet - even if the response has arrived (see callBack()).
+     * The caller of send() is told through onError, straight away.
+     *
+     * @param {string} statusText - (optional) "abort" (the default) or "timeout".
+     */
+    abort(statusText) {
+        if (this.delivered) {
+            return;
+        }
+        if (!this.finished && this.controller != null) {
+            this.controller.abort();
+        }
+        this.status = 0;
+        this.finish((statusText != null) ? statusText : "abort", null);
+        this.deliver(this.onError, this);
+    }
+
+    /**
+     * getResponseHeader():
+     * Returns a header of the response, or null.
+     *
+     * @param {string} name - the header's name.
+     */
+    getResponseHeader(name) {
+        if (this.response == null || this.response.headers == null) {
+            return null;
+        }
+        let value = this.response.headers.get(name);
+        return (value != null) ? value : null;
+    }
+
+    /**
+     * fetch():
+     * The default request adapter (see backstack.request), which uses the browser's fetch().
+     *
+     * @param {string} url - URL to request.
+     * @param {Object} init - the fetch() options.
+     */
+    static fetch(url, init) {
+        return window.fetch(url, init);
+    }
+
+    /**
+     * encode():
+     * Returns request data as a query string (application/x-www-form-urlencoded): an Array of JSON-like value/keys (see
+     * Screen.getHtml()), or an object of values (Arrays as 'name[]').
+     *
+     * @param {Array/Object} data - the request data.
+     */
+    static encode(data) {
+        let params = new URLSearchParams();
+        if (Array.isArray(data)) {
+            data.forEach(function (field) {
+                params.append(field.name, (field.value == null) ? "" : field.value);
+            });
+        } else {
+            Object.keys(data).forEach(function (name) {
+                [].concat(data[name]).forEach(function (value) {
+                    params.append(Array.isArray(data[name]) ? name + "[]" : name, (value == null) ? "" : value);
+                });
+            });
+        }
+        return params.toString();
+    }
+}
+
+
+/**
+ * backstack:
+ * Functions for scripts within Screen HTML.
+ */
+const backstack = {
+
+    /** the ScreenLifecycle of the Screen HTML currently being applied; only set while its scripts run **/
+    applyingLifecycle: null,
+
+    /** the HTML cache shared by all Screens (see TabBar's 'cacheSize' option) **/
+    cache: new ScreenCache(50),
+
+    /** the request adapter all Screens' HTML is requested through (see ScreenRequest and TabBar's 'request' option) **/
+    request: ScreenRequest.fetch,
+
+    /** whether a TabBar is created from the page's markup once it is ready, and that TabBar (see TabBar.fromMarkup()) **/
+    autoInit: true,
+    tabBar: null,
+
+    /**
+     * onScreen():
+     * Registers lifecycle handlers for the Screen whose HTML is being applied. Call this from a script in the Screen HTML.
+     * Returns the ScreenLifecycle, whose setInterval(), setTimeout() and listen() are cleaned up when the Screen is destroyed.
+     *
+     *  backstack.onScreen({
+     *      create: function (screen) { ... },
+     *      resume: function (screen) { ... },
+     *      pause: function (screen) { ... },
+     *      destroy: function (screen) { ... },
+     *      beforeLeave: function (screen, navigation) { return true; }
+     *  });
+     *
+     * @param {Object} handlers - (optional) handlers keyed by lifecycle event.
+     */
+    onScreen: function (handlers) {
+        let lifecycle = this.applyingLifecycle;
+        if (lifecycle == null) {
+            console.error("backstack.js onScreen(): must be called from a script within Screen HTML as it is applied.");
+            return null;
+        }
+        Object.keys(handlers || {}).forEach(function (event) {
+            lifecycle.on(event, handlers[event]);
+        });
+        return lifecycle;
+    }
+};
+
+
+/**
+ * Backstack:
+ * Holds an array of Screens, and provides management of screens.
+ * Each Tab has a Backstack.
+ * */
+class Backstack {
+
+    /**
+     * constructor:
+     * @param {Screen[]} initialScreens - array of Screens to fill the Backstack with on initialisation
+     */
+    constructor(initialScreens) {
+        this.screens = initialScreens;
+    }
+
+    /**
+     * pop():
+     * Removes a Screen from the top of the stack.
+     * This will always leave a screen left in the stack, and should be used the majority of the time.
+     * Returns true if there is a Screen to pop from the backstack.
+     */
+    pop() {
+        var success = false;
+        if (this.screens.length > 1) {
+            success = this.release(this.screens.pop());
+        }
+        return success;
+    }
+
+    /**
+     * popForced():
+     * Removes a Screen from the top of the stack.
+     * This version will pop and is able to remove the one and only screen (unlike pop()).
+     * This should be used with care.
+     * 
+     * Returns true if there is a Screen to pop from the backstack.
+     */
+    popForced() {
+        var success = false;
+        if (this.screens.length >= 1) {
+            success = this.release(this.screens.pop());
+        }
+        return success;
+    }
+
+    /**
+     * release():
+     * Destroys any HTML a popped Screen kept alive and aborts its request if its HTML is still loading.
+     * Anyone still expecting a result from the Screen is told there is none (see Screen.abandonResult()).
+     * Returns true if there was a Screen.
+     *
+     * @param {Screen} screen - the popped Screen.
+     */
+    release(screen) {
+        if (screen) {
+            screen.abort();
+            screen.abandonResult();
+            screen.release();
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * remove():
+     * Removes a Screen from anywhere in the stack and releases it (see release()).
+     * Returns true if the Screen was in the stack.
+     *
+     * @param {Screen} screen - the Screen to remove.
+     */
+    remove(screen) {
+        let index = this.screens.indexOf(screen);
+        if (index < 0) {
+            return false;
+        }
+        this.screens.splice(index, 1);
+        return this.release(screen);
+    }
+
+    /**
+     * contains():
+     * Returns true if the Screen is in this Backstack.
+     *
+     * @param {Screen} screen - the Screen to look for.
+     */
+    contains(screen) {
+        return this.screens.indexOf(screen) >= 0;
+    }
+
+    /**
+     * push():
+     * Adds a Screen from the top of the stack.
+     * 
+     * Returns true if the Screen is successfully pushed to the top of the backstack.
+    */
+    push(screen) {
+        return (this.screens.push(screen) ? true : false);
+    }
+
+    /**
+     * getCurrent():
+     * Gets the current Screen (the Screen that is top of the stack)
+     */
+    getCurrent() {
+        return this.screens[this.screens.length - 1]
+    }
+}
+
+
+/**
+ * Tab:
+ * Represents the clickable outer Tab.
+ * Handles its own Backstack object.
+ **/
+class Tab {
+
+    /**
+     * constructor:
+     * 
+     * @param {Screen[]} initialScreens - array of Screen objects that this Tab will initially handle. This will mostly be just 1 Screen.
+     * @param {string} tabViewId - ID of the view this object represents.
+     */
+    constructor(initialScreens, tabViewId) {
+        this.backstack = new Backstack(initialScreens);
+        this.viewId = tabViewId;
+        this.navigationListener = null;
+        this.transitions = {};
+        this.requestTimeout = null;
+        this.cachePolicy = null;
+        this.cacheTtl = null;
+        this.reselect = null;
+        this.badge = null;
+        this.visible = true;
+    }
+
+    /**
+     * setRequestTimeout():
+     * Sets how long to wait for a Screen's HTML in this Tab before giving up (see TabBar's 'timeout' option).
+     *
+     * @param {number} timeout - milliseconds, or 0 to wait forever.
+     */
+    setRequestTimeout(timeout) {
+        this.requestTimeout = timeout;
+    }
+
+    /**
+     * setCachePolicy():
+     * Sets how the Screens in this Tab use the cache (see TabBar's 'cachePolicy' and 'cacheTtl' options).
+     * Screen.setCachePolicy() overrides this for one Screen.
+     *
+     * @param {string} policy - "back-cache", "network-first", "cache-first" or "stale-while-revalidate" (see Screen.initialise()).
+     * @param {number} ttl - (optional) milliseconds cached HTML can be used for, or 0 for no limit.
+     */
+    setCachePolicy(policy, ttl) {
+        this.cachePolicy = policy;
+        if (ttl !== undefined) {
+            this.cacheTtl = ttl;
+        }
+    }
+
+    /**
+     * setReselect():
+     * Sets what happens when this Tab is clicked while it is already selected (see TabBar's 'reselect' option).
+     *
+     * @param {string/function} reselect - "scroll-then-pop", "scroll", "pop", "refresh" or "none", or a function called
+     *                                     with the 'tabReselect' event (see TabBar.reselectTab()).
+     */
+    setReselect(reselect) {
+        this.reselect = reselect;
+    }
+
+    /**
+     * getScreenOptions():
+     * Returns the options for loading the HTML of this Tab's Screens (see Screen.getOptions()).
+     */
+    getScreenOptions() {
+        return {
+            timeout: this.requestTimeout,
+            cachePolicy: this.cachePolicy,
+            cacheTtl: this.cacheTtl
+        };
+    }
+
+    /**
+     * setTransitions():
+     * Overrides TabBar's transitions for navigation within this Tab (and for selecting this Tab).
+     * Each transition is either the name of a transition registered with the TabBar or a transition function
+     * (see TabBar.setTransition()).
+     *
+     * @param {Object} transitions - transitions keyed by navigation type ("go", "back", "clear", "submit" or "tab").
+     */
+    setTransitions(transitions) {
+        this.transitions = Object.assign(this.transitions, transitions);
+    }
+
+    /**
+     * setNavigationListener():
+     * Registers a listener that is told about navigation within this Tab.
+     * TabBar uses this to keep the browser history in step with the Backstack and to emit its events.
+     * The listener is an object with any of these functions, each called with this Tab and the navigation:
+     *  - onBeforeNavigation: a navigation is about to change the Backstack.
+     *  - onNavigation: a navigation has changed the Backstack; the new current Screen is about to be shown.
+     *  - onStackEmpty: a Back navigation could not happen as there was only one Screen left.
+     * The navigation is an object of { type, transition, from, to } (plus method and data for new Screens) where type is
+     * "go", "back", "clear", "submit" or "refresh", and from/to are the URLs of the current Screen before and after.
+     *
+     * @param {Object} listener - the listener.
+     */
+    setNavigationListener(listener) {
+        this.navigationListener = listener;
+    }
+
+    /**
+     * notifyNavigation():
+     * Calls one of the navigation listener's functions (if there is a listener and it has that function).
+     *
+     * @param {string} callback - "onBeforeNavigation", "onNavigation" or "onStackEmpty".
+     * @param {Object} navigation - the navigation (see setNavigationListener()).
+     */
+    notifyNavigation(callback, navigation) {
+        if (this.navigationListener != null && this.navigationListener[callback] != null) {
+            this.navigationListener[callback](this, navigation);
+        }
+    }
+
+    /**
+     * getCurrentUrl():
+     * Returns the URL of the current Screen, or null if the Backstack is empty.
+     */
+    getCurrentUrl() {
+        let current = this.backstack.getCurrent();
+        return (current != null) ? current.url : null;
+    }
+
+    /**
+     * select():
+     * Shows this Tab's current Screen when this Tab is selected.
+     * The current Screen is fetched again unless its live HTML has been kept alive or the cache policy allows cached
+     * HTML (see Screen.initialise()).
+     * 
+     * @param {function} onSuccess - notifies caller when HTML has successfully been generated for this Screen.
+     * @param {function} onError - notifies caller when error has occurred (like page not being found).
+     */
+    select(onSuccess, onError) {
+        this.setCurrentScreenHTML("tab", onSuccess, onError);
+    }
+
+    /**
+     * setCurrentScreenHTML():
+     * Initialises the current page in this tab's Backstack.
+     * Register callbacks from any backstack-related button clicks that occur on the current Screen.
+     * If, say, a back button is pressed, 'self.onBack()' is called, which will do it's own Backstack operation.
+     * 
+     * @param {string} type - why the Screen is being shown, which decides whether cached HTML is used (see Screen.initialise()).
+     * @param {function} onSuccess - notifies caller when HTML has successfully been generated for this Screen.
+     * @param {function} onError - notifies caller when error has occurred (like page not being found).
+     */
+    setCurrentScreenHTML(type, onSuccess, onError) {
+        var self = this;        
+        this.backstack.getCurrent().initialise(type, onSuccess, onError, function (url, transition, resultName) {
+            self.onGo(url, onSuccess, onError, transition, resultName);
+        }, function (transition, result) {
+            self.onBack(onSuccess, onError, transition, result);
+        }, function (url, transition) {
+            self.onGoAndClear(url, onSuccess, onError, transition);
+        }, function (action, method, data, transition) {
+            self.onSubmit(action, method, data, onSuccess, onError, transition);
+        }, function (forceRefresh) {
+            self.onRefresh(forceRefresh, onSuccess, onError);
+        }, this.getScreenOptions());
+    }
+
+    /**
+     * abort():
+     * Aborts the request of any Screen in this Tab's Backstack whose HTML is still loading.
+     */
+    abort() {
+        this.backstack.screens.forEach(function (screen) {
+            screen.abort();
+        });
+    }
+
+    /**
+     * goToScreen():
+     * Pushes a Screen onto the backstack and shows it. 
+     * For "clear" navigation the current Screen is popped first (see onGoAndClear()).
+     * Returns true if the Screen was pushed.
+     * 
+     * @param {Screen} screen - the Screen to go to.
+     * @param {string} type - the navigation type ("go", "clear" or "submit").
+     * @param {function} onSuccess - notifies caller when HTML has successfully been generated for this Screen.
+     * @param {function} onError - notifies caller when error has occurred (like page not being found).
+     * @param {string/function} transition - (optional) the transition to use instead of the default.
+     */
+    goToScreen(screen, type, onSuccess, onError, transition) {
+        let navigation = {
+            type: type,
+            transition: transition,
+            from: this.getCurrentUrl(),
+            to: screen.url,
+            method: screen.method,
+            data: screen.data
+        };
+        this.notifyNavigation("onBeforeNavigation", navigation);
+        if (type == "clear") {
+            this.backstack.popForced();
+        }
+        if (this.backstack.push(screen)) {
+            this.notifyNavigation("onNavigation", navigation);
+            this.setCurrentScreenHTML(type, onSuccess, onError);
+            return true;
+        } else {
+            console.error("goToScreen(): could not push screen with url '" + screen.url + "' to the backstack.");
+            return false;
+        }
+    }
+
+    /**
+     * onGo():
+     * The user is going to another (forward) page - we need to push the new page onto the backstack.
+     * 
+     * @param {string} url - URL of the page to GO to.
+     * @param {function} onSuccess - notifies caller when HTML has successfully been generated for this Screen.
+     * @param {function} onError - notifies caller when error has occurred (like page not being found).
+     * @param {string/function} transition - (optional) the transition to use instead of the default.
+     * @param {string} resultName - (optional) if not null, the new Screen is expected to hand back a result with this
+     *                              name (see Screen.expectResult()).
+     */
+    onGo(url, onSuccess, onError, transition, resultName) {
+        let screen = new Screen(url);
+        if (resultName != null) {
+            screen.expectResult(resultName);
+        }
+        this.goToScreen(screen, "go", onSuccess, onError, transition);
+    }
+
+    /**
+     * onBack():
+     * The user is going back to a previous page - we need to pop the current page from the backstack.
+     * Only refresh the view if there was a Screen to pop (i.e. wasn't the only Screen left in backstack).
+     * If the popped Screen was expected to hand back a result (see Screen.expectResult()), or a result is given, the
+     * navigation carries it as 'result' ({ name, value }) for the Screen below, and the result's callback is called.
+     * Returns true if a Screen was popped.
+     * 
+     * @param {function} onSuccess - notifies caller when HTML has successfully been generated for this Screen.
+     * @param {function} onError - notifies caller when error has occurred (like page not being found).
+     * @param {string/function} transition - (optional) the transition to use instead of the default.
+     * @param {Object} result - (optional) the result for the Screen below.
+     */
+    onBack(onSuccess, onError, transition, result) {
+        let screens = this.backstack.screens;
+        let navigation = {
+            type: "back",
+            transition: transition,
+            from: this.getCurrentUrl(),
+            to: (screens.length > 1) ? screens[screens.length - 2].url : null
+        };
+        let request = null;
+        if (screens.length > 1) {
+            request = this.backstack.getCurrent().takeResultRequest();
+            if (request != null || result !== undefined) {
+                navigation.result = {
+                    name: (request != null) ? request.name : null,
+                    value: (result !== undefined) ? result : null
+                };
+            }
+            this.notifyNavigation("onBeforeNavigation", navigation);
+        }
+        if (this.backstack.pop()) {
+            this.notifyNavigation("onNavigation", navigation);
+            this.setCurrentScreenHTML("back", onSuccess, onError);
+            if (request != null && request.callback != null) {
+                request.callback(navigation.result.value);
+            }
+            return true;
+        } else {
+            /** Screen is the only one left in the backstack (see the 'stackEmpty' event) **/
+            this.notifyNavigation("onStackEmpty", navigation);
+            return false;
+        }
+    }
+
+    /**
+     * onPopToRoot():
+     * Pops every Screen but the first from the backstack and shows the first.
+     * Returns true if any Screen was popped.
+     * 
+     * @param {function} onSuccess - notifies caller when HTML has successfully been generated for this Screen.
+     * @param {function} onError - notifies caller when error has occurred (like page not being found).
+     * @param {string/function} transition - (optional) the transition to use instead of the default.
+     */
+    onPopToRoot(onSuccess, onError, transition) {
+        if (this.backstack.screens.length <= 1) {
+            return false;
+        }
+        let navigation = {
+            type: "back",
+            transition: transition,
+            from: this.getCurrentUrl(),
+            to: this.backstack.screens[0].url
+        };
+        this.notifyNavigation("onBeforeNavigation", navigation);
+        while (this.backstack.pop()) {
+            /** pop() always leaves the first Screen **/
+        }
+        this.notifyNavigation("onNavigation", navigation);
+        this.setCurrentScreenHTML("back", onSuccess, onError);
+        return true;
+    }
+
+    /**
+     * onGoAndClear():
+     * The user is going 'sideways' to another page (i.e. they want to go to another page and they don't want an opportunity to come back).
+     * We need to pop the current page from the backstack and push the new page onto the backstack.
+     * backstack.popForced() is used only here so that if a Go + Clear button is used when there is only 1 screen, we want to pop the last screen.
+     * Normal pop() will always leave one screen left, but popForced() can leave zero screens left.
+     * 
+     * @param {string} url - URL of the page to GO to.
+     * @param {function} onSuccess - notifies caller when HTML has successfully been generated for this Screen.
+     * @param {function} onError - notifies caller when error has occurred (like page not being found).
+     * @param {string/function} transition - (optional) the transition to use instead of the default.
+    */
+    onGoAndClear(url, onSuccess, onError, transition) {
+        this.goToScreen(new Screen(url), "clear", onSuccess, onError, transition);
+    }
+
+    /**
+     * onSubmit():
+     * User is submitting a form.
+     * The result page (i.e. action) is pushed onto this Tab's Backstack as a new Screen.
+     * This allows the user to go back to the previous page within the Backstack.
+     *
+     * @param {string} action - defines the URL/target destination. This could be a PHP file which handles the results of the form.
+     * @param {string} method - defines the type of request to the url (i.e. GET, POST or PUT).
+     * @param {Array/FormData} data - an Array of JSON-like value/keys to represent input data (see jQuery's form serializeArray() method), or a FormData
+     * @param {function} onSuccess - notifies caller when HTML has successfully been generated for this Screen.
+     * @param {function} onError - notifies caller when error has occurred (like page not being found).
+     * @param {string/function} transition - (optional) the transition to use instead of the default.
+    */
+    onSubmit(action, method, data, onSuccess, onError, transition) {
+        this.goToScreen(new Screen(action, method, data), "submit", onSuccess, onError, transition);
+    }
+
+    /**
+     * onRefresh():
+     * This function does a soft-refresh on the current Screen by reapplying the cached HTML onto the DOM.
+     *
+     * @param {boolean} forceRefresh - even if this Screen's HTML is cached, this boolean will clear it and do another AJAX call.
+     * @param {function} onSuccess - notifies caller when HTML has successfully been generated for this Screen.
+     * @param {function} onError - notifies caller when error has occurred (like page not being found).
+    */
+    onRefresh(forceRefresh, onSuccess, onError) {
+        let navigation = {
+            type: "refresh",
+            transition: null,
+            from: this.getCurrentUrl(),
+            to: this.getCurrentUrl(),
+            forceRefresh: forceRefresh
+        };
+        this.notifyNavigation("onBeforeNavigation", navigation);
+        this.notifyNavigation("onNavigation", navigation);
+        this.setCurrentScreenHTML(forceRefresh ? "refresh" : "reapply", onSuccess, onError);
+    }
+
+    /**
+     * destroy():
+     * Destroys the current screen. 
+     * This is only used when the user clicks a new Tab - we want to clear the Tab before changing to the new one.
+     * If user traverses between Screens within one Tab, each Screen will destroy itself, so this function is not used for that.
+     **/
+    destroy() {
+        this.backstack.getCurrent().destroy();
+    }
+
+    /**
+     * dispose():
+     * Releases every Screen in this Tab's Backstack and stops listening to its navigation, when the Tab is removed from
+     * its TabBar (see TabBar.removeTab()).
+     **/
+    dispose() {
+        let backstack = this.backstack;
+        backstack.screens.slice().forEach(function (screen) {
+            backstack.remove(screen);
+        });
+        this.setNavigationListener(null);
+    }
+
+    /**
+     * restoreScreens():
+     * Makes this Tab's Backstack match the given list of URLs (e.g. from a browser history entry).
+     * Screens at the bottom of the stack that already match are kept (along with their cached HTML); the rest are popped
+     * and new Screens are pushed for the remaining URLs.
+     *
+     * @param {string[]} urls - URLs of the Screens the Backstack should hold, bottom first.
+     */
+    restoreScreens(urls) {
+        let screens = this.backstack.screens;
+        let matching = 0;
+        while (matching < screens.length && matching < urls.length && screens[matching].url == urls[matching]) {
+            matching++;
+        }
+        while (screens.length > matching) {
+            this.backstack.popForced();
+        }
+        for (let i = matching; i < urls.length; i++) {
+            this.backstack.push(new Screen(urls[i]));
+        }
+    }
+
+    /**
+     * toJSON():
+     * Returns what is needed to rebuild this Tab's Backstack later.
+     */
+    toJSON() {
+        return {
+            viewId: this.viewId,
+            screens: this.backstack.screens.map(function (screen) {
+                return screen.toJSON();
+            })
+        };
+    }
+
+    /**
+     * restore():
+     * Replaces this Tab's Backstack with Screens rebuilt from the output of toJSON().
+     * Nothing is changed if there are no Screens to restore.
+     *
+     * @param {Object} json - { viewId, screens } of the Tab.
+     */
+    restore(json) {
+        if (json.screens == null || json.screens.length == 0) {
+            return;
+        }
+        this.backstack.screens.forEach(function (screen) {
+            screen.release();
+        });
+        this.backstack = new Backstack(json.screens.map(function (screen) {
+            return Screen.fromJSON(screen);
+        }));
+    }
+
+    /**
+     * getScreenUrls():
+     * Returns the URLs of the Screens in this Tab's Backstack, bottom first.
+     */
+    getScreenUrls() {
+        return this.backstack.screens.map(function (screen) {
+            return screen.url;
+        });
+    }
+
+    /**
+     * isBackVisible():
+     * Defines if ANY back button should be visible/enabled.
+     * Returns true if there is a Screen for the user to go back to.
+     * An example of its use is for _AppHeader where we make the back button invisible if there is nothing to go back to.
+     * */
+    isHeaderBackVisible() {
+        return this.backstack.screens.length > 1;
+    }
+}
+
+/**
+ * TabBar:
+ * Represents the selection of Tabs.
+ * This manages global tabs operations:
+ *  - removing tabSelectedClass from a tab if another tab is selected.
+ *  - triggering onDestroy on the current Tab before the new Tab is shown.
+ *  - transitioning between the outgoing and incoming Screen HTML in the app view.
+ **/
+class TabBar {
+
+    /**
+     * constructor:
+     * Takes either the arguments below, or a single object of the options (see below) plus:
+     *  - tabs: array of Tab objects, or of descriptors of them (see createTab()).
+     *  - viewport: as appViewId below.
+     *  - selected: (optional) ID of the tab view that is selected first (the first Tab by default).
+     *  - transitionSpeed: (optional) as below (300 by default).
+     *  - onSuccess, onError: (optional) as below.
+     *
+     *  new TabBar({ tabs: [{ id: "tab-one", screens: ["1-1.html"] }], viewport: "#main", history: true });
+     *
+     * The IDs are checked up front: an Error is thrown if the app view or a Tab's view is not in the page, two Tabs share
+     * an ID or the selected Tab is not one of the Tabs.
+     *
+     * @param {Tab[]} tabs - array of Tab objects.
+     * @param {string} appViewId - view ID of container that will show the Screen HTML.
+     * @param {string} selectedTabViewId - ID of the tab view that is selected first.
+     * @param {string/int} transitionSpeed - duration of the transition between Screens, in milliseconds or as "fast" (200) or "slow" (600).
+     * @param {function} onSuccess - (optional) notifies caller when HTML has successfully been generated for this Screen.
+     *                              Called with the Tab's view ID and the Screen's URL. See also on("render").
+     * @param {function} onError - (optional) notifies caller when error has occurred (like page not being found).
+     *                            Called with the Tab's view ID, the Screen's URL and the failed request (see ScreenRequest).
+     *                            See also on("error").
+     * @param {Object} options - (optional) extra settings:
+     *  - history: false (default) to leave the browser history alone; true or "hash" to keep it in step with the Backstacks
+     *    using the URL hash; "query" to do the same using the 'bs' query parameter.
+     *  - storage: null (default) to keep the Backstacks in memory only; "session" or "local" to save them to
+     *    sessionStorage/localStorage so they survive a page reload; or any object with getItem(key)/setItem(key, value).
+     *  - storageKey: the key the Backstacks are saved under ("backstack" by default).
+     *  - keepAlive: false (default) to reapply a Screen's HTML each time it is shown again; true to keep the live HTML of
+     *    Screens below the top of a Backstack and of unselected Tabs, so they are shown again exactly as the user left them.
+     *    Screen.setKeepAlive() overrides this for one Screen.
+     *  - overrideSelectors: selectors of the override buttons/forms for each action ("go", "back", "clear", "submit",
+     *    "refresh", "reapply" and "retry", and the features' actions, e.g. "modal"), e.g. { go: ".bs-override-go" }. Only
+     *    the actions given are changed.
+     *  - actionAttribute: attribute naming the action of any other element ("data-bs-action" by default),
+     *    e.g. <button data-bs-action="back">.
+     *  - hrefAttribute: attribute holding the destination URL of Go and Go + Clear elements that are not links
+     *    ("data-bs-href" by default).
+     *  - transitionAttribute: attribute naming the transition for a single navigation ("data-bs-transition" by default).
+     *  - forResultAttribute: attribute of a Go element naming the result expected from its destination
+     *    ("data-bs-for-result" by default), e.g. <a class="bs-override-go" data-bs-for-result="colour">. See
+     *    Screen.expectResult().
+     *  - resultAttribute: attribute of a Back element holding the result handed to the Screen below ("data-bs-result"
+     *    by default). Its value is parsed as JSON if it can be, e.g. data-bs-result='{"id": 3}'; otherwise it is a string.
+     *  - methodAttribute: attribute of a Submit form (or its submit button) naming the request method, so that forms can
+     *    be sent as PUT, PATCH or DELETE ("data-bs-method" by default). See getSubmission().
+     *  - beforeSubmit: (optional) a function called with the submission (see getSubmission()) before a form is sent. It
+     *    can validate or change the submission's action, method and data, and return false (or a Promise of false) to
+     *    cancel it.
+     *  - chrome: elements outside of the app view (e.g. the toolbar) whose override buttons should also be handled
+     *    ([".tabs-toolbar"] by default). See addChrome().
+     *  - toolbarTitle: selector of the elements that show the current Screen's title, or their own text while it has none
+     *    ("[data-bs-toolbar-title]" by default). See updateToolbar().
+     *  - toolbarActions: selector of the elements that hold the current Screen's toolbar actions, or their own HTML while
+     *    it has none ("[data-bs-toolbar-actions]" by default). Put them within the chrome so their buttons are handled.
+     *  - timeout: milliseconds to wait for a Screen's HTML before giving up (30000 by default), or 0 to wait forever.
+     *    Tab.setRequestTimeout() overrides this for one Tab.
+     *  - loadingTemplate: the HTML shown over the app view while a Screen is loading: a string, a function called with the
+     *    URL of the Screen that returns the HTML (or an element), null (default) for a spinner, or false for nothing.
+     *  - loadingDelay: milliseconds a Screen must be loading for before the loading HTML is shown (300 by default), so
+     *    that it does not flash up for quick responses.
+     *  - errorTemplate: the HTML shown in place of a Screen that could not be loaded: a string, a function called with the
+     *    'error' event (see on()) that returns the HTML (or an element), null (default) for a message with a Retry button,
+     *    or false to leave the previous Screen in the app view. A 'retry' button (e.g. <button data-bs-action="retry">)
+     *    loads the Screen again (see retry()).
+     *  - cachePolicy: how Screens use the cached HTML (see Screen.initialise()): "back-cache" (default), "network-first",
+     *    "cache-first" or "stale-while-revalidate". Tab.setCachePolicy() and Screen.setCachePolicy() override this.
+     *  - cacheTtl: milliseconds cached HTML can be used for, or 0 (default) for no limit.
+     *  - cacheSize: the most pages whose HTML is cached (50 by default), or 0 for no limit. The least recently used HTML is
+     *    dropped first. The cache is shared by all Screens (see backstack.cache).
+     *  - request: the request adapter Screens' HTML is requested through, e.g. to add headers (see ScreenRequest), or null
+     *    (default) to leave backstack.request as it is (fetch(), unless it has been changed).
+     *  - prefetch: false (default); "hover" to prefetch the destination of a Go button when the pointer is over it or it
+     *    is touched; "idle" to prefetch the destinations of all Go buttons in each Screen once the browser is idle;
+     *    true for both. See prefetch().
+     *  - reselect: what clicking the selected Tab does (see reselectTab()): "scroll-then-pop" (default) scrolls the
+     *    Screen to the top, or if it is already there, pops the Tab's Backstack to its first Screen; "scroll" or "pop"
+     *    does just one of these; "refresh" requests the current Screen again; "none" does nothing; or a function is
+     *    called with the 'tabReselect' event. Tab.setReselect() overrides this for one Tab.
+     *  - badgeMax: the largest count shown in a Tab's badge (99 by default); larger counts are shown as e.g. "99+".
+     *    See setBadge().
+     *  - tabContainer: the element (or selector) buttons of Tabs added with addTab() are put in. By default, the parent
+     *    of the first Tab's button.
+     *  - focusTarget: where the focus goes in a newly shown Screen (see manageFocus()): a selector of elements within it,
+     *    the first of which is focused ("[data-bs-focus], h1, h2, h3, h4, h5, h6" by default, falling back to the Screen
+     *    itself); a function given the Screen's element that returns the element to focus; or false to leave the focus
+     *    alone.
+     *  - announce: true (default) to announce each newly shown Screen's title to screen readers (see announce()).
+     * The optional features add options of their own (see TabBar.extend()), e.g. backstack-router.js's 'routes'.
+     */
+    constructor(tabs, appViewId, selectedTabViewId, transitionSpeed, onSuccess, onError, options) {
+        if (tabs != null && !Array.isArray(tabs) && typeof tabs == "object") {
+            options = Object.assign({}, tabs);
+            tabs = (Array.isArray(options.tabs) ? options.tabs : []).map(function (tab) {
+                return (tab instanceof Tab) ? tab : TabBar.createTab(tab);
+            });
+            appViewId = options.viewport;
+            selectedTabViewId = (options.selected != null) ? options.selected : ((tabs.length > 0) ? tabs[0].viewId : null);
+            transitionSpeed = (options.transitionSpeed != null) ? options.transitionSpeed : 300;
+            onSuccess = options.onSuccess;
+            onError = options.onError;
+            ["tabs", "viewport", "selected", "transitionSpeed", "onSuccess", "onError"].forEach(function (key) {
+                delete options[key];
+            });
+        }
+        this.tabClassName = "btn-tab";
+        this.tabSelectedClassName = "btn-tab-selected";
+        this.screenClassName = "bs-screen";
+        this.screenInactiveClassName = "bs-screen-inactive";
+        this.screenLeavingClassName = "bs-screen-leaving";
+        this.transitioningClassName = "bs-transitioning";
+        this.loadingClassName = "bs-loading";
+        this.loadingIndicatorClassName = "bs-loading-indicator";
+        this.errorScreenClassName = "bs-error-screen";
+        this.submittingClassName = "bs-submitting";
+        this.badgeClassName = "bs-badge";
+        this.badgeDotClassName = "bs-badge-dot";
+        this.hasBadgeClassName = "bs-has-badge";
+        this.announcerClassName = "bs-announcer";
+        this.historyQueryParam = "bs";
+        this.submitButtonSelector = "button:not([type]), button[type=submit], input[type=submit], input[type=image]";
+
+        this.tabs = tabs;
+        this.appViewId = appViewId;
+        this.selectedTabViewId = null;
+        this.transitionSpeed = transitionSpeed;
+        this.onSuccess = onSuccess;
+        this.onError = onError;
+        let defaults = {
+            history: false,
+            storage: null,
+            storageKey: "backstack",
+            keepAlive: false,
+            overrideSelectors: null,
+            actionAttribute: "data-bs-action",
+            hrefAttribute: "data-bs-href",
+            transitionAttribute: "data-bs-transition",
+            forResultAttribute: "data-bs-for-result",
+            resultAttribute: "data-bs-result",
+            methodAttribute: "data-bs-method",
+            beforeSubmit: null,
+            chrome: [".tabs-toolbar"],
+            toolbarTitle: "[data-bs-toolbar-title]",
+            toolbarActions: "[data-bs-toolbar-actions]",
+            timeout: 30000,
+            loadingTemplate: null,
+            loadingDelay: 300,
+            errorTemplate: null,
+            cachePolicy: "back-cache",
+            cacheTtl: 0,
+            cacheSize: 50,
+            request: null,
+            prefetch: false,
+            reselect: "scroll-then-pop",
+            badgeMax: 99,
+            tabContainer: null,
+            focusTarget: "[data-bs-focus], h1, h2, h3, h4, h5, h6",
+            announce: true
+        };
+        TabBar.features.forEach(function (feature) {
+            Object.assign(defaults, feature.options);
+        });
+        this.options = withDefaults(defaults, options);
+        this.options.overrideSelectors = withDefaults({
+            go: ".bs-override-go",
+            back: ".bs-override-back",
+            clear: ".bs-override-clear",
+            submit: ".bs-override-submit",
+            refresh: ".bs-override-refresh",
+            reapply: ".bs-override-reapply",
+            retry: ".bs-override-retry"
+        }, this.options.overrideSelectors);
+        /** elements whose override buttons are handled, as well as the app view's **/
+        this.chromeElements = [];
+        this.storage = this.getStorage(this.options.storage);
+
+        /** transitions by name, and the transition used by default for each navigation type **/
+        this.transitions = {
+            "none": function (incoming, outgoing, speed, onComplete) {
+                onComplete();
+            },
+            "slide": TabBar.cssTransition("bs-slide-in", "bs-slide-under"),
+            "slide-back": TabBar.cssTransition("bs-slide-over", "bs-slide-out"),
+            "fade": TabBar.cssTransition("bs-fade-in", "bs-fade-out")
+        };
+        this.defaultTransitions = {
+            go: "slide",
+            submit: "slide",
+            back: "slide-back",
+            clear: "fade",
+            tab: "fade",
+            refresh: "none"
+        };
+        /** the transition used when the next Screen HTML is shown **/
+        this.nextTransition = null;
+        /** the timer that shows the loading HTML (see startLoading()) **/
+        this.loadingTimer = null;
+        /** whether the next popstate is from the TabBar stepping back through the history itself (see recordHistory()) **/
+        this.ignoreNextPopState = false;
+        /** the Tab whose in-app Back is stepping back through the browser history (see recordHistory()) **/
+        this.historyBackTab = null;
+        /** the form being submitted and the buttons disabled until it is done (see startSubmit()) **/
+        this.submitting = null;
+        /** the button that last submitted each form, for browsers that do not say (see getSubmitter()) **/
+        this.submitters = new WeakMap();
+        /** what stops listening to each Tab's view (see setTabListeners()) and each element's buttons (see listenForOverrides()) **/
+        this.tabListeners = new Map();
+        this.overrideListeners = new Map();
+        /** the own text or HTML of each toolbar element, shown while the current Screen has none (see updateToolbar()) **/
+        this.toolbarDefaults = new WeakMap();
+        /** the page's title, shown while the current Screen has none of its own (see updateToolbar()) **/
+        this.documentTitle = document.title;
+        /** navigation guards (see addGuard()), and the guarded navigation waiting for them (see guardNavigation()) **/
+        this.guards = [];
+        this.pendingGuard = null;
+        /** elements within Screens that have been scrolled (see setScrollListener()) **/
+        this.scrolledElements = new Set();
+
+        /** event handlers by event name (see on()), and the navigation whose Screen is being generated **/
+        this.listeners = {
+            beforeNavigate: [],
+            navigate: [],
+            render: [],
+            back: [],
+            tabChange: [],
+            tabReselect: [],
+            submit: [],
+            refresh: [],
+            error: [],
+            stackEmpty: [],
+            result: []
+        };
+        this.currentNavigation = null;
+
+        this.validate(selectedTabViewId);
+        if (this.getAppView() != null) {
+            TabBar.instances.set(this.getAppView(), this);
+        }
+
+        let self = this;
+        backstack.cache.setMaxEntries(this.options.cacheSize);
+        if (this.options.request != null) {
+            backstack.request = this.options.request;
+        }
+        TabBar.features.forEach(function (feature) {
+            if (feature.setup != null) {
+                feature.setup.call(self);
+            }
+        });
+        this.tabs.forEach(function (tab) {
+            self.applyTabSettings(tab);
+        });
+        this.setTabsClickListeners();
+        this.updateTabAria();
+        this.renderBadges();
+        this.setOverrideListeners();
+        this.setPrefetchListeners();
+        this.setScrollListener();
+        if (this.storage != null) {
+            selectedTabViewId = this.restoreFromStorage(selectedTabViewId);
+        }
+        if (this.options.history) {
+            this.setHistoryListeners();
+            selectedTabViewId = this.restoreFromLocation(selectedTabViewId);
+        }
+        let callbacks = this.getScreenCallbacks(this.findTab(selectedTabViewId));
+        this.showTab(this.findTab(selectedTabViewId), "replace", callbacks.onSuccess, callbacks.onError);
+    }
+
+    /**
+     * validate():
+     * Throws an Error if the TabBar cannot work: the app view or a Tab's view is not in the page, two Tabs share an ID
+     * or the initially selected Tab is not one of the Tabs.
+     *
+     * @param {string} selectedTabViewId - ID of the tab view that is selected first.
+     */
+    validate(selectedTabViewId) {
+        if (this.appViewId == null || this.getAppView() == null) {
+            throw new Error("backstack.js TabBar: could not find app view '" + this.appViewId + "'");
+        }
+        if (!Array.isArray(this.tabs) || this.tabs.length == 0) {
+            throw new Error("backstack.js TabBar: there must be at least one tab");
+        }
+        let ids = [];
+        this.tabs.forEach(function (tab) {
+            if (!(tab instanceof Tab)) {
+                throw new Error("backstack.js TabBar: tabs must be Tab objects");
+            }
+            if (ids.indexOf(tab.viewId) >= 0) {
+                throw new Error("backstack.js TabBar: more than one tab has the id '" + tab.viewId + "'");
+            }
+            if (document.getElementById(tab.viewId) == null) {
+                throw new Error("backstack.js TabBar: could not find view of tab with id '" + tab.viewId + "'");
+            }
+            ids.push(tab.viewId);
+        });
+        if (ids.indexOf(selectedTabViewId) < 0) {
+            throw new Error("backstack.js TabBar: could not find initially selected tab with id '" + selectedTabViewId + "'");
+        }
+    }
+
+    /**
+     * fromMarkup():
+     * Creates a TabBar from the page's markup. backstack.js does this itself once the page is ready if the page has a
+     * 'data-bs-viewport' element and backstack.autoInit is true, and keeps the TabBar in backstack.tabBar.
+     *  - data-bs-viewport: marks the app view. It may hold the TabBar's options as JSON, e.g.
+     *    data-bs-viewport='{"history": true}'.
+     *  - data-bs-tab: marks a Tab's view (button). Its value is the Tab's ID if the element has no id.
+     *  - data-bs-screens: the URLs of the Tab's initial Screens, separated by spaces.
+     *  - data-bs-selected: marks the Tab that is selected first (the first Tab if none is).
+     *  - data-bs-timeout, data-bs-cache-policy, data-bs-cache-ttl, data-bs-reselect: the Tab's own settings.
+     *
+     * @param {Object} root - (optional) the element (or selector) holding the markup (the document by default).
+     * @param {Object} options - (optional) options that take precedence over the markup's (see constructor).
+     */
+    static fromMarkup(root, options) {
+        let container = (typeof root == "string") ? document.querySelector(root) : (root || document);
+        let viewport = (container.matches != null && container.matches("[data-bs-viewport]")) ? container
+            : container.querySelector("[data-bs-viewport]");
+        if (viewport == null) {
+            throw new Error("backstack.js fromMarkup(): could not find an element with 'data-bs-viewport'");
+        }
+        if (!viewport.id) {
+            viewport.id = "bs-viewport";
+        }
+        let json = viewport.getAttribute("data-bs-viewport");
+        let settings = {};
+        if (json) {
+            try {
+                settings = JSON.parse(json);
+            } catch (e) {
+                throw new Error("backstack.js fromMarkup(): 'data-bs-viewport' must be empty or JSON options: " + e.message);
+            }
+        }
+
+        let selected = null;
+        let number = function (view, name) {
+            let value = view.getAttribute(name);
+            return (value != null && value != "") ? Number(value) : null;
+        };
+        let tabs = Array.from(container.querySelectorAll("[data-bs-tab]")).map(function (view) {
+            if (!view.id) {
+                view.id = view.getAttribute("data-bs-tab");
+            }
+            if (selected == null && view.hasAttribute("data-bs-selected")) {
+                selected = view.id;
+            }
+            return TabBar.createTab({
+                id: view.id,
+                screens: (view.getAttribute("data-bs-screens") || "").split(/\s+/).filter(function (url) {
+                    return url != "";
+                }),
+                timeout: number(view, "data-bs-timeout"),
+                cachePolicy: view.getAttribute("data-bs-cache-policy"),
+                cacheTtl: number(view, "data-bs-cache-ttl"),
+                reselect: view.getAttribute("data-bs-reselect")
+            });
+        });
+
+        return new TabBar(Object.assign(settings, {
+            tabs: tabs,
+            viewport: "#" + viewport.id,
+            selected: selected
+        }, options));
+    }
+
+    /**
+     * createTab():
+     * Creates a Tab from a descriptor (see addTab()). Throws an Error if the descriptor has no ID or no Screens.
+     *
+     * @param {Object} descriptor - { id, screens, timeout, cachePolicy, cacheTtl, reselect } of the Tab (see addTab()).
+     */
+    static createTab(descriptor) {
+        if (descriptor == null || !descriptor.id) {
+            throw new Error("backstack.js createTab(): a tab needs an id");
+        }
+        if (!Array.isArray(descriptor.screens) || descriptor.screens.length == 0) {
+            throw new Error("backstack.js createTab(): tab '" + descriptor.id + "' needs at least one screen");
+        }
+        let tab = new Tab(descriptor.screens.map(function (screen) {
+            return (screen instanceof Screen) ? screen : new Screen(screen);
+        }), descriptor.id);
+        if (descriptor.timeout != null) {
+            tab.setRequestTimeout(descriptor.timeout);
+        }
+        if (descriptor.cachePolicy != null || descriptor.cacheTtl != null) {
+            tab.setCachePolicy(descriptor.cachePolicy, descriptor.cacheTtl);
+        }
+        if (descriptor.reselect != null) {
+            tab.setReselect(descriptor.reselect);
+        }
+        return tab;
+    }
+
+    /**
+     * applyTabSettings():
+     * Gives a Tab the TabBar's options for anything it has not set itself (timeout, cache policy and reselect behaviour).
+     * Screens' URLs are resolved (see resolveUrl()).
+     *
+     * @param {Tab} tab - the Tab.
+     */
+    applyTabSettings(tab) {
+        let settings = this.options;
+        if (tab.requestTimeout == null) {
+            tab.setRequestTimeout(settings.timeout);
+        }
+        tab.setCachePolicy((tab.cachePolicy != null) ? tab.cachePolicy : settings.cachePolicy,
+            (tab.cacheTtl != null) ? tab.cacheTtl : settings.cacheTtl);
+        if (tab.reselect == null) {
+            tab.setReselect(settings.reselect);
+        }
+        let self = this;
+        tab.backstack.screens.forEach(function (screen) {
+            screen.url = self.resolveUrl(screen.url);
+        });
+    }
+
+    /**
+     * setTabsClickListeners():
+     * Sets the listeners of each Tab (see setTabListeners()).
+     */
+    setTabsClickListeners() {
+        var self = this;
+        this.tabs.forEach(function (tab) {
+            self.setTabListeners(tab);
+        });
+    }
+
+    /**
+     * setTabListeners():
+     * Sets the OnClick listener of a Tab's view, which selects the Tab (see showTab()), or if it is already selected,
+     * reselects it (see reselectTab()).
+     * The arrow keys move the focus between the Tabs' views (see onTabKeyDown()).
+     * Also listens to the Tab's navigation, which is treated as a Backstack change (see onBackstackChanged()).
+     * removeTabListeners() undoes this.
+     *
+     * @param {Tab} tab - the Tab.
+     */
+    setTabListeners(tab) {
+        var self = this;
+        let view = document.getElementById(tab.viewId);
+        let controller = new AbortController();
+        this.tabListeners.set(tab, controller);
+        view.addEventListener("click", function () {
+            if (tab.viewId == self.selectedTabViewId) {
+                self.reselectTab(tab);
+                return;
+            }
+            self.guardNavigation(self.getTabNavigation(tab), function () {
+                let callbacks = self.getScreenCallbacks(tab);
+                self.showTab(tab, "push", callbacks.onSuccess, callbacks.onError);
+            }).catch(function () {
+                /** a redirect by a guard that failed is already shown by the error HTML and 'error' event **/
+            });
+        }, { signal: controller.signal });
+        view.addEventListener("keydown", function (e) {
+            self.onTabKeyDown(tab, e);
+        }, { signal: controller.signal });
+
+        tab.setNavigationListener(this.createNavigationListener());
+    }
+
+    /**
+     * onTabKeyDown():
+     * Moves the focus from a Tab's view to the previous or next visible Tab's (Left / Right arrow keys, wrapping around),
+     * or to the first or last (Home / End). Only the focused Tab's view can be reached with the Tab key (a "roving
+     * tabindex"); Enter or Space selects it.
+     *
+     * @param {Tab} tab - the Tab whose view has the focus.
+     * @param {KeyboardEvent} e - the keydown event.
+     */
+    onTabKeyDown(tab, e) {
+        let visible = this.tabs.filter(function (candidate) {
+            return candidate.visible && document.getElementById(candidate.viewId) != null;
+        });
+        let index = visible.indexOf(tab);
+        let target = null;
+        if (e.key == "ArrowRight") {
+            target = visible[(index + 1) % visible.length];
+        } else if (e.key == "ArrowLeft") {
+            target = visible[(index - 1 + visible.length) % visible.length];
+        } else if (e.key == "Home") {
+            target = visible[0];
+        } else if (e.key == "End") {
+            target = visible[visible.length - 1];
+        }
+        if (target == null) {
+            return;
+        }
+        e.preventDefault();
+        this.tabs.forEach(function (other) {
+            let view = document.getElementById(other.viewId);
+            if (view != null) {
+                view.setAttribute("tabindex", "-1");
+            }
+        });
+        let view = document.getElementById(target.viewId);
+        view.setAttribute("tabindex", "0");
+        view.focus();
+    }
+
+    /**
+     * updateTabAria():
+     * Marks up the Tabs for assistive technology: each Tab's view is a "tab" that controls the app view (a "tabpanel"),
+     * within a "tablist", and only the selected Tab's view is "aria-selected" and reachable with the Tab key.
+     * The app view is given an ID if it has none.
+     */
+    updateTabAria() {
+        let self = this;
+        let viewport = this.getAppView();
+        if (!viewport.id) {
+            viewport.id = "bs-viewport";
+        }
+        viewport.setAttribute("role", "tabpanel");
+        if (this.hasTab(this.selectedTabViewId)) {
+            viewport.setAttribute("aria-labelledby", this.selectedTabViewId);
+        }
+        this.tabs.forEach(function (tab) {
+            let view = document.getElementById(tab.viewId);
+            if (view == null) {
+                return;
+            }
+            let selected = (tab.viewId == self.selectedTabViewId);
+            view.setAttribute("role", "tab");
+            view.setAttribute("aria-selected", selected ? "true" : "false");
+            view.setAttribute("aria-controls", viewport.id);
+            view.setAttribute("tabindex", selected ? "0" : "-1");
+            if (view.parentElement != null && !view.parentElement.getAttribute("role")) {
+                view.parentElement.setAttribute("role", "tablist");
+            }
+        });
+    }
+
+    /**
+     * removeTabListeners():
+     * Stops listening to a Tab's view and navigation (see setTabListeners()).
+     *
+     * @param {Tab} tab - the Tab.
+     */
+    removeTabListeners(tab) {
+        if (this.tabListeners.has(tab)) {
+            this.tabListeners.get(tab).abort();
+            this.tabListeners.delete(tab);
+        }
+        tab.setNavigationListener(null);
+    }
+
+    /**
+     * addTab():
+     * Adds a Tab to this TabBar, e.g. once the user has logged in. Returns the new Tab, or null if it could not be added.
+     * The Tab's button is created (unless the page already has an element with the Tab's ID) and put in the 'tabContainer'.
+     *
+     * @param {Object} descriptor - the Tab (see also createTab()):
+     *  - id: ID of the Tab's view.
+     *  - label: the text of the Tab's button.
+     *  - icon: (optional) HTML (e.g. an <img> or <svg>) shown before the label.
+     *  - screens: URLs (or Screen objects) of the Screens the Tab initially holds, bottom first.
+     *  - timeout, cachePolicy, cacheTtl, reselect: (optional) the Tab's own settings (see the TabBar's options).
+     *  - visible: (optional) false to add the Tab hidden (see setTabVisible()).
+     * @param {number} index - (optional) position of the Tab among the others (at the end by default).
+     */
+    addTab(descriptor, index) {
+        if (descriptor != null && this.hasTab(descriptor.id)) {
+            console.error("backstack.js addTab(): there is already a tab with id '" + descriptor.id + "'");
+            return null;
+        }
+        let tab = null;
+        try {
+            tab = TabBar.createTab(descriptor);
+        } catch (e) {
+            console.error(e.message);
+            return null;
+        }
+        this.applyTabSettings(tab);
+
+        if (document.getElementById(tab.viewId) == null) {
+            let container = this.getTabContainer();
+            if (container == null) {
+                return null;
+            }
+            container.appendChild(this.createTabView(descriptor));
+        }
+        this.tabs.splice((index == null) ? this.tabs.length : Math.max(0, Math.min(index, this.tabs.length)), 0, tab);
+        this.placeTabView(tab);
+        this.setTabListeners(tab);
+        this.updateTabAria();
+        this.renderBadge(tab);
+        if (descriptor.visible === false) {
+            this.setTabVisible(tab.viewId, false);
+        }
+        return tab;
+    }
+
+    /**
+     * createTabView():
+     * Returns a new button for a Tab added with addTab(), matching the markup of the page's own Tab buttons.
+     *
+     * @param {Object} descriptor - the Tab (see addTab()).
+     */
+    createTabView(descriptor) {
+        let label = (descriptor.label != null) ? descriptor.label : descriptor.id;
+        let content = createElement("div");
+        if (descriptor.icon != null) {
+            let icon = createElement("span", "bs-tab-icon");
+            setHtml(icon, descriptor.icon);
+            content.appendChild(icon);
+        }
+        content.appendChild(document.createTextNode(label));
+        let view = createElement("button", this.tabClassName, { "id": descriptor.id, "type": "button", "title": label });
+        view.appendChild(content);
+        return view;
+    }
+
+    /**
+     * getTabContainer():
+     * Returns the element Tab buttons are added to (see the 'tabContainer' option), or null if there is none.
+     */
+    getTabContainer() {
+        let container = null;
+        if (this.options.tabContainer != null) {
+            container = elementsOf(this.options.tabContainer)[0] || null;
+        } else {
+            this.tabs.some(function (tab) {
+                let view = document.getElementById(tab.viewId);
+                container = (view != null) ? view.parentElement : null;
+                return container != null;
+            });
+        }
+        if (container == null) {
+            console.error("backstack.js getTabContainer(): no 'tabContainer' element and no tab buttons to add to");
+        }
+        return container;
+    }
+
+    /**
+     * placeTabView():
+     * Moves a Tab's button so the buttons are in the same order as the Tabs: after the button of the Tab before it,
+     * or before the button of the Tab after it.
+     *
+     * @param {Tab} tab - the Tab, already in its place in this.tabs.
+     */
+    placeTabView(tab) {
+        let view = document.getElementById(tab.viewId);
+        let index = this.tabs.indexOf(tab);
+        for (let i = index - 1; i >= 0; i--) {
+            let previous = document.getElementById(this.tabs[i].viewId);
+            if (previous != null) {
+                previous.after(view);
+                return;
+            }
+        }
+        for (let i = index + 1; i < this.tabs.length; i++) {
+            let next = document.getElementById(this.tabs[i].viewId);
+            if (next != null) {
+                next.before(view);
+                return;
+            }
+        }
+    }
+
+    /**
+     * removeTab():
+     * Removes a Tab and its button from this TabBar, releasing its Screens. Returns this TabBar so calls can be chained.
+     * If the Tab is selected, another visible Tab is selected first (see getFallbackTab()) without asking the navigation
+     * guards. The last visible Tab cannot be removed, nor can a selected Tab when there is no visible Tab to select.
+     *
+     * @param {string} tabViewId - ID of the Tab.
+     */
+    removeTab(tabViewId) {
+        if (!this.hasTab(tabViewId)) {
+            console.error("backstack.js removeTab(): could not find tab with id '" + tabViewId + "'");
+            return this;
+        }
+        let tab = this.findTab(tabViewId);
+        let fallback = this.getFallbackTab(tab);
+        if (tab.visible && fallback == null) {
+            console.error("backstack.js removeTab(): cannot remove '" + tabViewId + "' as it is the last visible tab");
+            return this;
+        }
+        if (tab.viewId == this.selectedTabViewId) {
+            if (fallback == null) {
+                console.error("backstack.js removeTab(): cannot remove '" + tabViewId + "' as there is no other tab to select");
+                return this;
+            }
+            let callbacks = this.getScreenCallbacks(fallback);
+            this.showTab(fallback, "replace", callbacks.onSuccess, callbacks.onError);
+        }
+
+        this.removeTabListeners(tab);
+        this.tabs.splice(this.tabs.indexOf(tab), 1);
+        tab.dispose();
+        let view = document.getElementById(tab.viewId);
+        if (view != null) {
+            view.remove();
+        }
+        this.saveToStorage();
+        return this;
+    }
+
+    /**
+     * setTabVisible():
+     * Shows or hides a Tab's button, e.g. to hide a Tab the user is not allowed to use. Returns this TabBar so calls can
+     * be chained. The Tab keeps its Backstack and can still be selected from code.
+     * If the selected Tab is hidden, another visible Tab is selected (see removeTab()).
+     *
+     * @param {string} tabViewId - ID of the Tab.
+     * @param {boolean} visible - false to hide the Tab's button, true to show it again.
+     */
+    setTabVisible(tabViewId, visible) {
+        if (!this.hasTab(tabViewId)) {
+            console.error("backstack.js setTabVisible(): could not find tab with id '" + tabViewId + "'");
+            return this;
+        }
+        let tab = this.findTab(tabViewId);
+        tab.visible = visible;
+        let view = document.getElementById(tab.viewId);
+        if (view != null) {
+            view.style.display = visible ? "" : "none";
+        }
+        if (!visible && tab.viewId == this.selectedTabViewId) {
+            let fallback = this.getFallbackTab(tab);
+            if (fallback != null) {
+                let callbacks = this.getScreenCallbacks(fallback);
+                this.showTab(fallback, "replace", callbacks.onSuccess, callbacks.onError);
+            }
+        }
+        return this;
+    }
+
+    /**
+     * moveTab():
+     * Moves a Tab (and its button) to another position among the Tabs. Returns this TabBar so calls can be chained.
+     *
+     * @param {string} tabViewId - ID of the Tab.
+     * @param {number} index - the Tab's new position, from 0.
+     */
+    moveTab(tabViewId, index) {
+        if (!this.hasTab(tabViewId)) {
+            console.error("backstack.js moveTab(): could not find tab with id '" + tabViewId + "'");
+            return this;
+        }
+        let tab = this.findTab(tabViewId);
+        this.tabs.splice(this.tabs.indexOf(tab), 1);
+        this.tabs.splice(Math.max(0, Math.min(index, this.tabs.length)), 0, tab);
+        this.placeTabView(tab);
+        return this;
+    }
+
+    /**
+     * getFallbackTab():
+     * Returns the visible Tab to select in place of one that is being removed or hidden: the next visible Tab, or if there
+     * is none, the nearest visible Tab before it. Returns null if there is no other visible Tab.
+     *
+     * @param {Tab} tab - the Tab being removed or hidden.
+     */
+    getFallbackTab(tab) {
+        let index = this.tabs.indexOf(tab);
+        let candidates = this.tabs.slice(index + 1).concat(this.tabs.slice(0, index).reverse());
+        let fallback = candidates.find(function (candidate) {
+            return candidate.visible;
+        });
+        return (fallback != null) ? fallback : null;
+    }
+
+    /**
+     * reselectTab():
+     * Called when the selected Tab is clicked. A presented modal is dismissed; otherwise the 'tabReselect' event is
+     * emitted and the Tab's reselect behaviour (see the 'reselect' option and Tab.setReselect()) is carried out:
+     *  - "scroll-then-pop": scrolls the Screen to the top (see scrollToTop()) or, if it is already there, pops the
+     *    Backstack to its first Screen (see popToRoot()).
+     *  - "scroll" / "pop": only the one.
+     *  - "refresh": selects the Tab again, which requests its current Screen again.
+     *  - "none": nothing.
+     *  - a function: called with the 'tabReselect' event.
+     *
+     * @param {Tab} tab - the selected Tab.
+     */
+    reselectTab(tab) {
+        let self = this;
+        if (this.isModalOpen()) {
+            this.dismissModal();
+            return;
+        }
+        let event = this.createEvent(tab, { type: "reselect", from: tab.getCurrentUrl(), to: tab.getCurrentUrl() });
+        this.emit("tabReselect", event);
+
+        let reselect = tab.reselect;
+        if (typeof reselect == "function") {
+            reselect(event);
+        } else if (reselect == "refresh") {
+            this.guardNavigation(this.getTabNavigation(tab), function () {
+                let callbacks = self.getScreenCallbacks(tab);
+                self.showTab(tab, "push", callbacks.onSuccess, callbacks.onError);
+            }).catch(function () {
+                /** a redirect by a guard that failed is already shown by the error HTML and 'error' event **/
+            });
+        } else if ((reselect == "scroll-then-pop" || reselect == "scroll") && this.scrollToTop()) {
+            /** scrolled rather than popped **/
+        } else if (reselect == "scroll-then-pop" || reselect == "pop") {
+            this.popToRoot(tab.viewId).catch(function () {
+                /** a failure is already shown by the error HTML and 'error' event **/
+            });
+        } else if (reselect != "none" && reselect != "scroll") {
+            console.error("backstack.js reselectTab(): unknown reselect behaviour '" + reselect + "'");
+        }
+    }
+
+    /**
+     * scrollToTop():
+     * Smoothly scrolls the app view, and any scrolled element within the current Screen (see setScrollListener()), back
+     * to the top. Returns false if they were all already at the top.
+     */
+    scrollToTop() {
+        let viewport = this.getViewport();
+        let current = childrenWithClass(viewport, this.screenClassName)[0];
+        let elements = Array.from(this.scrolledElements).filter(function (element) {
+            return current != null && current.contains(element);
+        });
+        let scrolled = [viewport].concat(elements).filter(function (element) {
+            return element.scrollTop > 0;
+        });
+        scrolled.forEach(function (element) {
+            if (typeof element.scrollTo == "function") {
+                element.scrollTo({ top: 0, behavior: "smooth" });
+            } else {
+                element.scrollTop = 0;
+            }
+        });
+        return scrolled.length > 0;
+    }
+
+    /**
+     * setBadge():
+     * Shows a badge on a Tab's view, e.g. the number of unread messages. Returns this TabBar so calls can be chained.
+     *
+     * @param {string} tabViewId - ID of the Tab.
+     * @param {number/string/boolean} badge - a count or short text to show, true for a dot, or null (or 0, false or "")
+     *                                        to remove the badge. Counts above the 'badgeMax' option are shown as e.g. "99+".
+     */
+    setBadge(tabViewId, badge) {
+        if (!this.hasTab(tabViewId)) {
+            console.error("backstack.js setBadge(): could not find tab with id '" + tabViewId + "'");
+            return this;
+        }
+        let tab = this.findTab(tabViewId);
+        tab.badge = (badge === 0 || badge === false || badge === "") ? null : badge;
+        this.renderBadge(tab);
+        return this;
+    }
+
+    /**
+     * clearBadge():
+     * Removes the badge from a Tab's view (see setBadge()). Returns this TabBar so calls can be chained.
+     *
+     * @param {string} tabViewId - ID of the Tab.
+     */
+    clearBadge(tabViewId) {
+        return this.setBadge(tabViewId, null);
+    }
+
+    /**
+     * renderBadges():
+     * Shows the badge of every Tab that has one (see setBadge()).
+     */
+    renderBadges() {
+        let self = this;
+        this.tabs.forEach(function (tab) {
+            self.renderBadge(tab);
+        });
+    }
+
+    /**
+     * renderBadge():
+     * Replaces the badge element in a Tab's view with one for the Tab's badge (if it has one).
+     *
+     * @param {Tab} tab - the Tab.
+     */
+    renderBadge(tab) {
+        let view = document.getElementById(tab.viewId);
+        if (view == null) {
+            return;
+        }
+        childrenWithClass(view, this.badgeClassName).forEach(function (badge) {
+            badge.remove();
+        });
+        view.classList.toggle(this.hasBadgeClassName, tab.badge != null);
+        if (tab.badge == null) {
+            return;
+        }
+
+        let badge = createElement("span", this.badgeClassName);
+        if (tab.badge === true) {
+            badge.classList.add(this.badgeDotClassName);
+        } else if (typeof tab.badge == "number" && tab.badge > this.options.badgeMax) {
+            badge.textContent = this.options.badgeMax + "+";
+        } else {
+            badge.textContent = tab.badge;
+        }
+        view.appendChild(badge);
+    }
+
+    /**
+     * createNavigationListener():
+     * Returns the navigation listener for a Tab (see Tab.setNavigationListener()), which treats its navigation as a
+     * Backstack change (see onTabNavigation()). Back from the first Screen of a modal dismisses the modal.
+     */
+    createNavigationListener() {
+        let self = this;
+        return {
+            onBeforeNavigation: function (tab, navigation) {
+                self.emit("beforeNavigate", self.createEvent(tab, navigation));
+            },
+            onNavigation: function (tab, navigation) {
+                self.onTabNavigation(tab, navigation);
+            },
+            onStackEmpty: function (tab, navigation) {
+                if (self.isModalTab(tab)) {
+                    self.dismissModal();
+                } else {
+                    self.emit("stackEmpty", self.createEvent(tab, navigation));
+                }
+            }
+        };
+    }
+
+    /**
+     * setOverrideListeners():
+     * Listens for override buttons and forms within the app view and the chrome (see addChrome()).
+     */
+    setOverrideListeners() {
+        let self = this;
+        this.listenForOverrides(this.appViewId);
+        this.options.chrome.forEach(function (element) {
+            self.addChrome(element);
+        });
+    }
+
+    /**
+     * addChrome():
+     * Handles the override buttons within an element outside of the app view, such as a toolbar with a Back button.
+     * The buttons act on the selected Tab's current Screen.
+     *
+     * @param {Object} element - element, selector or list of elements.
+     */
+    addChrome(element) {
+        this.chromeElements.push(element);
+        this.listenForOverrides(element);
+    }
+
+    /**
+     * removeChrome():
+     * Stops handling the override buttons within an element added with addChrome().
+     *
+     * @param {Object} element - the element, selector or list of elements given to addChrome().
+     */
+    removeChrome(element) {
+        let self = this;
+        this.chromeElements = this.chromeElements.filter(function (chrome) {
+            return chrome != element;
+        });
+        elementsOf(element).forEach(function (chrome) {
+            if (self.overrideListeners.has(chrome)) {
+                self.overrideListeners.get(chrome).abort();
+                self.overrideListeners.delete(chrome);
+            }
+        });
+    }
+
+    /**
+     * listenForOverrides():
+     * Adds a single delegated click and submit listener to an element for all of the override buttons and forms within it.
+     * Buttons added after a Screen is shown are handled too, and other listeners on the buttons are left alone.
+     *
+     * @param {Object} element - element, selector or list of elements.
+     */
+    listenForOverrides(element) {
+        let self = this;
+        let selectors = this.options.overrideSelectors;
+        let actionSelector = "[" + this.options.actionAttribute + "]";
+        let clickSelector = Object.keys(selectors).filter(function (action) {
+            return action != "submit";
+        }).map(function (action) {
+            return selectors[action];
+        }).concat(actionSelector).join(", ");
+
+        elementsOf(element).forEach(function (container) {
+            if (self.overrideListeners.has(container)) {
+                self.overrideListeners.get(container).abort();
+            }
+            let controller = new AbortController();
+            self.overrideListeners.set(container, controller);
+            delegate(container, "click", self.submitButtonSelector, function (button) {
+                /** remembered for browsers whose submit events do not tell us the submitter (see getSubmitter()) **/
+                if (button.form != null) {
+                    self.submitters.set(button.form, button);
+                }
+            }, controller.signal);
+            delegate(container, "click", clickSelector, function (target, e) {
+                return self.onOverrideEvent(target, e);
+            }, controller.signal);
+            delegate(container, "submit", selectors.submit + ", form" + actionSelector, function (target, e) {
+                return self.onOverrideEvent(target, e);
+            }, controller.signal);
+        });
+    }
+
+    /**
+     * setPrefetchListeners():
+     * Prefetches the destination of a Go button in the app view when the pointer is over it or it is touched, if the
+     * 'prefetch' option is "hover" (or true).
+     */
+    setPrefetchListeners() {
+        let self = this;
+        if (this.options.prefetch !== true && this.options.prefetch != "hover") {
+            return;
+        }
+        delegate(this.getAppView(), "mouseover touchstart", this.getGoSelector(), function (target, e) {
+            /** once as the pointer enters the button, not again as it moves over what is inside it **/
+            if (e.type == "mouseover" && e.relatedTarget != null && target.contains(e.relatedTarget)) {
+                return;
+            }
+            self.prefetch(self.getOverrideUrl(target));
+        });
+    }
+
+    /**
+     * prefetchScreenLinks():
+     * Prefetches the destinations of all Go buttons in a Screen element once the browser is idle, if the 'prefetch'
+     * option is "idle" (or true).
+     *
+     * @param {Element} element - the Screen element.
+     */
+    prefetchScreenLinks(element) {
+        let self = this;
+        if (this.options.prefetch !== true && this.options.prefetch != "idle") {
+            return;
+        }
+        let whenIdle = window.requestIdleCallback || function (callback) {
+            return setTimeout(callback, 1);
+        };
+        whenIdle(function () {
+            element.querySelectorAll(self.getGoSelector()).forEach(function (button) {
+                self.prefetch(self.getOverrideUrl(button));
+            });
+        });
+    }
+
+    /**
+     * getGoSelector():
+     * Returns the selector of Go buttons (see the 'overrideSelectors' and 'actionAttribute' options).
+     */
+    getGoSelector() {
+        return this.options.overrideSelectors.go + ", [" + this.options.actionAttribute + "=go]";
+    }
+
+    /**
+     * prefetch():
+     * Requests the HTML of a page ahead of a Go to it, so that it can be shown straight away (see Screen.prefetch()).
+     * The selected Tab's timeout and cache settings are used.
+     *
+     * @param {string} url - URL of the page.
+     */
+    prefetch(url) {
+        if (url != null && url != "" && this.hasTab(this.selectedTabViewId)) {
+            new Screen(url).prefetch(this.findTab(this.selectedTabViewId).getScreenOptions());
+        }
+    }
+
+    /**
+     * invalidate():
+     * Drops the cached HTML of every page whose URL matches, so it is requested again next time it is shown.
+     * Returns the number of pages dropped.
+     *
+     * @param {string/RegExp} urlPattern - (optional) the URL pattern (see ScreenCache.invalidate()). All pages if not given.
+     */
+    invalidate(urlPattern) {
+        return backstack.cache.invalidate(urlPattern);
+    }
+
+    /**
+     * getOverrideAction():
+     * Returns the override action of an element: its action attribute if it has one, otherwise the action whose selector
+     * it matches (see the 'overrideSelectors' option), or null.
+     *
+     * @param {Object} element - the element.
+     */
+    getOverrideAction(element) {
+        let action = element.getAttribute(this.options.actionAttribute);
+        if (action != null) {
+            return action;
+        }
+        let selectors = this.options.overrideSelectors;
+        return Object.keys(selectors).find(function (action) {
+            return element.matches(selectors[action]);
+        }) || null;
+    }
+
+    /**
+     * onOverrideEvent():
+     * Handles a click on an override button or the submission of an override form.
+     * The traditional link/form behaviour is stopped and the selected Tab's current Screen is told (see Screen.onOverride()).
+     * Retry buttons load the selected Tab's current Screen again instead (see retry()).
+     * Override forms are submitted through submitForm().
+     * Go and Go + Clear buttons for a route with another preferred Tab navigate in that Tab (see getOverrideRoute()).
+     * While a modal is presented (see backstack-modals.js), the buttons act on the modal's current Screen.
+     * Clicks on submit elements are let through so that their form is submitted.
+     *
+     * @param {Element} element - the override button or form.
+     * @param {Event} e - the click or submit event.
+     */
+    onOverrideEvent(element, e) {
+        let action = this.getOverrideAction(element);
+        if (action == null || (action == "submit") != (e.type == "submit")) {
+            return;
+        }
+
+        if (action == "retry") {
+            /** a failure is already shown by the error HTML and 'error' event **/
+            this.retry().catch(function () {});
+            return false;
+        } else if (action == "submit") {
+            let submitter = this.getSubmitter(element, e);
+            this.rememberFocus((submitter != null) ? submitter : element);
+            this.submitForm(element, submitter);
+            return false;
+        }
+
+        let transition = element.getAttribute(this.options.transitionAttribute);
+        let args = null;
+        if (action == "go" || action == "clear") {
+            let route = this.getOverrideRoute(element);
+            if (route.url == null) {
+                return false;
+            }
+            if (route.tab != null && this.hasTab(route.tab) && route.tab != this.selectedTabViewId && !this.isModalOpen()) {
+                this.navigate(route.url, { tab: route.tab, replace: action == "clear", transition: transition }).catch(function () {
+                    /** a failure is already shown by the error HTML and 'error' event **/
+                });
+                return false;
+            }
+            args = (action == "go") ? [route.url, transition, element.getAttribute(this.options.forResultAttribute)] : [route.url, transition];
+            this.rememberFocus(element);
+        } else if (action == "back") {
+            args = [transition, this.getOverrideResult(element)];
+        } else if (action == "refresh" || action == "reapply") {
+            args = [action == "refresh"];
+            action = "refresh";
+        } else {
+            console.error("backstack.js onOverrideEvent(): unknown action '" + action + "'");
+            return;
+        }
+
+        let tab = this.getActiveTab();
+        if (tab != null) {
+            let screen = tab.backstack.getCurrent();
+            this.guardNavigation(this.getOverrideNavigation(tab, action, args), function () {
+                return screen.onOverride(action, args);
+            }).catch(function () {
+                /** a redirect by a guard that failed is already shown by the error HTML and 'error' event **/
+            });
+        }
+        return false;
+    }
+
+    /**
+     * getOverrideNavigation():
+     * Returns the navigation an override button would make (see guardNavigation()).
+     *
+     * @param {Tab} tab - the Tab the button acts on.
+     * @param {string} action - "go", "back", "clear" or "refresh".
+     * @param {Array} args - the arguments for the action (see Screen.onOverride()).
+     */
+    getOverrideNavigation(tab, action, args) {
+        let screens = tab.backstack.screens;
+        let navigation = { type: action, from: tab.getCurrentUrl(), to: null };
+        if (action == "go" || action == "clear") {
+            navigation.to = args[0];
+        } else if (action == "back") {
+            navigation.to = (screens.length > 1) ? screens[screens.length - 2].url : null;
+        } else if (action == "refresh") {
+            navigation.to = navigation.from;
+            navigation.forceRefresh = args[0];
+        }
+        return this.createEvent(tab, navigation);
+    }
+
+    /**
+     * getTabNavigation():
+     * Returns the navigation that selecting a Tab would make (see guardNavigation()).
+     *
+     * @param {Tab} tab - the Tab to select.
+     */
+    getTabNavigation(tab) {
+        let active = this.getActiveTab();
+        return this.createEvent(tab, {
+            type: "tab",
+            from: (active != null) ? active.getCurrentUrl() : null,
+            to: tab.getCurrentUrl(),
+            previousTabViewId: this.selectedTabViewId
+        });
+    }
+
+    /**
+     * addGuard():
+     * Registers a navigation guard, which is asked before any Go, Back, Go + Clear, Submit, Refresh or Tab change
+     * (whether from a button or code) whether it can go ahead, and before following the browser's Back/Forward buttons
+     * (a navigation of type "history"). The guard is called with the navigation (as for on()) and returns (or returns a
+     * Promise of):
+     *  - false to cancel the navigation;
+     *  - a URL, or { url, tab, replace }, to navigate there instead (see navigate()), e.g. to a login Screen in the
+     *    same Tab - by default in the Tab being navigated;
+     *  - anything else to let it go ahead.
+     * Returns this TabBar so calls can be chained.
+     *
+     * @param {function} guard - the guard.
+     */
+    addGuard(guard) {
+        this.guards.push(guard);
+        return this;
+    }
+
+    /**
+     * removeGuard():
+     * Removes a guard registered with addGuard(). Returns this TabBar so calls can be chained.
+     *
+     * @param {function} guard - the guard to remove.
+     */
+    removeGuard(guard) {
+        this.guards = this.guards.filter(function (registered) {
+            return registered != guard;
+        });
+        return this;
+    }
+
+    /**
+     * guardNavigation():
+     * Asks the "beforeLeave" handlers of the Screen being left (see ScreenLifecycle.canLeave()), then the guards (see
+     * addGuard()), whether a navigation can go ahead. If it can, proceed is called; if a guard redirected it, the guard's
+     * URL is navigated to instead, without asking the guards again.
+     * If there is nothing to ask, proceed is called straight away. A guarded navigation made while another is waiting
+     * for its guards replaces it, so only the latest goes ahead.
+     * Returns a Promise that resolves with what proceed returned (or the redirect's navigate(), which rejects if the
+     * redirect's Screen fails to load), or with null if the navigation was cancelled. A failing guard, or a redirect to a
+     * Tab that does not exist, is logged and cancels the navigation.
+     *
+     * @param {Object} navigation - the navigation, as given to on() handlers.
+     * @param {function} proceed - makes the navigation.
+     */
+    guardNavigation(navigation, proceed) {
+        let self = this;
+        let active = this.getActiveTab();
+        let lifecycle = (active != null) ? active.backstack.getCurrent().lifecycle : null;
+        let leaving = lifecycle != null && lifecycle.hasLeaveGuards();
+        if (!leaving && this.guards.length == 0) {
+            this.pendingGuard = null;
+            return Promise.resolve(proceed());
+        }
+
+        let pending = {};
+        this.pendingGuard = pending;
+        let guards = this.guards.slice();
+        return (leaving ? lifecycle.canLeave(navigation) : Promise.resolve(true)).then(function (allowed) {
+            return guards.reduce(function (result, guard) {
+                return result.then(function (previous) {
+                    return TabBar.isGuardAllowing(previous) ? guard(navigation) : previous;
+                });
+            }, Promise.resolve(allowed));
+        }).then(function (result) {
+            if (self.pendingGuard !== pending) {
+                return null;
+            }
+            self.pendingGuard = null;
+            if (TabBar.isGuardAllowing(result)) {
+                return proceed();
+            } else if (result === false) {
+                return null;
+            }
+            let redirect = (typeof result == "string") ? { url: result } : result;
+            let tab = (redirect.tab != null) ? redirect.tab : navigation.tabViewId;
+            if (!self.hasTab(tab)) {
+                console.error("backstack.js guardNavigation(): guard redirected to unknown tab '" + tab + "'");
+                return null;
+            }
+            return self.navigate(redirect.url, {
+                tab: tab,
+                replace: redirect.replace === true,
+                force: true
+            });
+        }, function (e) {
+            console.error("backstack.js guardNavigation(): guard failed: " + e);
+            if (self.pendingGuard === pending) {
+                self.pendingGuard = null;
+            }
+            return null;
+        });
+    }
+
+    /**
+     * isGuardAllowing():
+     * Returns true if a guard's result lets the navigation go ahead: it is neither false nor a redirect (see addGuard()).
+     *
+     * @param {Object} result - what the guard returned.
+     */
+    static isGuardAllowing(result) {
+        if (result === false || typeof result == "string") {
+            return false;
+        }
+        return result == null || typeof result != "object" || result.url == null;
+    }
+
+    /**
+     * submitForm():
+     * Submits an override form to the selected Tab's (or the modal's) current Screen (see Screen.onOverride()).
+     * The submission (see getSubmission()) is given to the 'beforeSubmit' option first, which can change or cancel it,
+     * and then the navigation guards are asked (see guardNavigation()).
+     * The form cannot be submitted again until its Screen has loaded or failed (see startSubmit()).
+     * Returns a Promise that resolves with true if the form was submitted (and with false if a guard redirected it, even
+     * if the redirect failed).
+     *
+     * @param {Object} form - the form element.
+     * @param {Object} submitter - (optional) the button that submitted the form.
+     */
+    submitForm(form, submitter) {
+        let self = this;
+        let tab = this.getActiveTab();
+        if (tab == null || this.isSubmitting(form)) {
+            return Promise.resolve(false);
+        }
+        let screen = tab.backstack.getCurrent();
+        let submission = this.getSubmission(tab, form, submitter);
+        this.startSubmit(form);
+
+        let beforeSubmit = this.options.beforeSubmit;
+        return Promise.resolve((beforeSubmit != null) ? beforeSubmit(submission) : true).then(function (proceed) {
+            if (proceed === false || !self.isSubmitting(form)) {
+                return false;
+            }
+            return self.guardNavigation(self.createEvent(tab, {
+                type: "submit",
+                from: tab.getCurrentUrl(),
+                to: submission.action,
+                method: submission.method,
+                data: submission.data
+            }), function () {
+                return screen.onOverride("submit", [submission.action, submission.method, submission.data, submission.transition]);
+            });
+        }, function (e) {
+            console.error("backstack.js submitForm(): 'beforeSubmit' failed: " + e);
+            return false;
+        }).catch(function () {
+            /** a redirect by a guard that failed is already shown by the error HTML and 'error' event **/
+            return false;
+        }).then(function (submitted) {
+            if (submitted !== true && self.isSubmitting(form)) {
+                self.endSubmit();
+            }
+            return submitted === true;
+        });
+    }
+
+    /**
+     * getSubmission():
+     * Returns what an override form would send: { tabViewId, form, submitter, action, method, data, transition }.
+     *  - action: the submit button's 'formaction' if it has one, otherwise the form's action.
+     *  - method: upper case, from the 'methodAttribute' option of the submit button or the form, otherwise the submit
+     *    button's 'formmethod' or the form's method (GET by default).
+     *  - data: for a GET, an Array of JSON-like value/keys of the form's fields other than files; otherwise a FormData,
+     *    so that files are sent too. The submit button's name and value are included if it has a name.
+     *
+     * @param {Tab} tab - the Tab the form is in.
+     * @param {Element} form - the form element.
+     * @param {Element} submitter - (optional) the button that submitted the form.
+     */
+    getSubmission(tab, form, submitter) {
+        let attribute = function (name) {
+            return (submitter != null && submitter.getAttribute(name)) || form.getAttribute(name);
+        };
+        let method = attribute(this.options.methodAttribute)
+            || (submitter != null && submitter.getAttribute("formmethod")) || form.getAttribute("method") || "GET";
+        method = method.toUpperCase();
+
+        let data = null;
+        if (method == "GET") {
+            data = [];
+            new FormData(form).forEach(function (value, name) {
+                if (typeof value == "string") {
+                    /** line breaks as a browser would send them **/
+                    data.push({ name: name, value: value.replace(/\r?\n/g, "\r\n") });
+                }
+            });
+            if (submitter != null && submitter.name) {
+                data.push({ name: submitter.name, value: submitter.value });
+            }
+        } else {
+            data = new FormData(form);
+            if (submitter != null && submitter.name) {
+                data.append(submitter.name, submitter.value);
+            }
+        }
+
+        return {
+            tabViewId: tab.viewId,
+            form: form,
+            submitter: (submitter != null) ? submitter : null,
+            action: (submitter != null && submitter.hasAttribute("formaction")) ? submitter.formAction : form.action,
+            method: method,
+            data: data,
+            transition: attribute(this.options.transitionAttribute)
+        };
+    }
+
+    /**
+     * getSubmitter():
+     * Returns the button that submitted a form, or null if it was submitted another way (e.g. pressing Enter).
+     *
+     * @param {Element} form - the form element.
+     * @param {SubmitEvent} e - the submit event.
+     */
+    getSubmitter(form, e) {
+        let submitter = e.submitter;
+        if (submitter == null) {
+            submitter = this.submitters.get(form);
+        }
+        this.submitters.delete(form);
+        return (submitter != null && submitter.form === form) ? submitter : null;
+    }
+
+    /**
+     * startSubmit():
+     * Guards a form against being submitted twice: its enabled submit buttons are disabled and it is marked as busy
+     * until its Screen has loaded or failed, or another navigation takes over (see endSubmit()).
+     *
+     * @param {Element} form - the form element.
+     */
+    startSubmit(form) {
+        this.endSubmit();
+        let buttons = Array.from(form.querySelectorAll(this.submitButtonSelector)).filter(function (button) {
+            return !button.disabled;
+        });
+        buttons.forEach(function (button) {
+            button.disabled = true;
+        });
+        this.submitting = {
+            form: form,
+            buttons: buttons
+        };
+        form.classList.add(this.submittingClassName);
+        form.setAttribute("aria-busy", "true");
+    }
+
+    /**
+     * endSubmit():
+     * Lets the form being submitted (see startSubmit()) be used again.
+     */
+    endSubmit() {
+        if (this.submitting == null) {
+            return;
+        }
+        this.submitting.form.classList.remove(this.submittingClassName);
+        this.submitting.form.removeAttribute("aria-busy");
+        this.submitting.buttons.forEach(function (button) {
+            button.disabled = false;
+        });
+        this.submitting = null;
+    }
+
+    /**
+     * isSubmitting():
+     * Returns true if a form is being submitted (see startSubmit()).
+     *
+     * @param {Object} form - the form element.
+     */
+    isSubmitting(form) {
+        return this.submitting != null && this.submitting.form === form;
+    }
+
+    /**
+     * getOverrideUrl():
+     * Returns the destination URL of a Go or Go + Clear element (see getOverrideRoute()).
+     *
+     * @param {Object} element - the override button.
+     */
+    getOverrideUrl(element) {
+        return this.getOverrideRoute(element).url;
+    }
+
+    /**
+     * getOverrideRoute():
+     * Returns { url, tab } for the destination of a Go or Go + Clear element: its href attribute (see the 'hrefAttribute'
+     * option) made absolute if it has one, otherwise the link's href, and a null tab (backstack-router.js adds routes).
+     * url is null for an element that is not a link and has no href attribute (an error is logged).
+     *
+     * @param {Object} element - the override button.
+     */
+    getOverrideRoute(element) {
+        let href = element.getAttribute(this.options.hrefAttribute);
+        let url = (href != null) ? new URL(href, document.baseURI).href : element.href;
+        if (typeof url != "string" || url == "") {
+            console.error("backstack.js getOverrideRoute(): the element has no '" + this.options.hrefAttribute + "' attribute or href");
+            return { url: null, tab: null };
+        }
+        return { url: url, tab: null };
+    }
+
+    /**
+     * resolveUrl():
+     * Returns the URL a Screen is requested from for a URL given to navigate() or a Tab: the URL itself, unless a feature
+     * changes it (e.g. backstack-router.js, for a route's path), or null if it cannot be resolved.
+     *
+     * @param {string} url - the URL.
+     */
+    resolveUrl(url) {
+        return url;
+    }
+
+    /**
+     * getOverrideResult():
+     * Returns the result a Back element hands to the Screen below (see the 'resultAttribute' option): its value parsed as
+     * JSON, or as it is if it is not JSON. Returns undefined if the element has no result.
+     *
+     * @param {Object} element - the override button.
+     */
+    getOverrideResult(element) {
+        let result = element.getAttribute(this.options.resultAttribute);
+        if (result == null) {
+            return undefined;
+        }
+        try {
+            return JSON.parse(result);
+        } catch (e) {
+            return result;
+        }
+    }
+
+    /**
+     * setBackVisibility():
+     * Show all Back buttons in the app view and chrome if isVisible.
+     * Hide all Back buttons in the app view and chrome if not isVisible.
+     *
+     * @param {boolean} isVisible - true if there is a Screen to go back to.
+     */
+    setBackVisibility(isVisible) {
+        let backSelector = this.options.overrideSelectors.back + ", [" + this.options.actionAttribute + "=back]";
+        let containers = [this.getAppView()];
+        this.chromeElements.forEach(function (element) {
+            containers = containers.concat(elementsOf(element));
+        });
+        containers.forEach(function (container) {
+            container.querySelectorAll(backSelector).forEach(function (button) {
+                button.style.visibility = isVisible ? "visible" : "hidden";
+            });
+        });
+    }
+
+    /**
+     * updateToolbar():
+     * Shows a Screen's title and toolbar actions (see Screen.readMetadata()): the page's title and the 'toolbarTitle'
+     * elements' text become its title, and the 'toolbarActions' elements' HTML becomes its actions. Whatever the Screen
+     * does not have, the page's own title and the elements' own text and HTML are put back for - so going back restores
+     * the previous Screen's toolbar.
+     *
+     * @param {Screen} screen - the Screen being shown.
+     */
+    updateToolbar(screen) {
+        let defaults = this.toolbarDefaults;
+        let title = (screen != null) ? screen.title : null;
+        let actions = (screen != null) ? screen.toolbar : null;
+        document.title = (title != null) ? title : this.documentTitle;
+        elementsOf(this.options.toolbarTitle).forEach(function (element) {
+            if (!defaults.has(element)) {
+                defaults.set(element, element.textContent);
+            }
+            element.textContent = (title != null) ? title : defaults.get(element);
+        });
+        elementsOf(this.options.toolbarActions).forEach(function (element) {
+            if (!defaults.has(element)) {
+                defaults.set(element, element.innerHTML);
+            }
+            setHtml(element, (actions != null) ? actions : defaults.get(element));
+        });
+    }
+
+    /**
+     * onTabNavigation():
+     * Called when navigation within a Tab has changed its Backstack, just before the new current Screen is shown.
+     * Any modal is dismissed (unless it is the modal being navigated), any Screen HTML still loading is aborted, any form
+     * being submitted can be used again (unless this is its submission, see startSubmit()), the Screen HTML already in
+     * the view can no longer be used, the loading HTML is due (see startLoading()), the transition for the navigation is
+     * chosen, and the change is recorded (see onBackstackChanged()) unless it was a refresh or within a modal.
+     *
+     * @param {Tab} tab - the Tab that was navigated.
+     * @param {Object} navigation - the navigation (see Tab.setNavigationListener()).
+     */
+    onTabNavigation(tab, navigation) {
+        let type = navigation.type;
+        if (type != "submit") {
+            this.endSubmit();
+        }
+        if (!this.isModalTab(tab)) {
+            this.dismissModal(true);
+        }
+        this.abortRequests();
+        this.deactivateScreens();
+        this.startLoading(navigation.to);
+        this.nextTransition = this.getTransition(tab, type, navigation.transition);
+        if (type != "refresh" && !this.isModalTab(tab)) {
+            this.onBackstackChanged(tab, (type == "go" || type == "submit") ? "push" : (type == "back") ? "back" : "replace");
+        }
+
+        let event = this.createEvent(tab, Object.assign({}, navigation, tab.backstack.getCurrent().getMetadata()));
+        this.currentNavigation = event;
+        this.emit("navigate", event);
+        if (type == "back" || type == "submit" || type == "refresh") {
+            this.emit(type, event);
+        }
+    }
+
+    /**
+     * changeTab():
+     * Makes a Tab the selected one without showing its Screen.
+     * TabBarView visually highlights the newly chosen tab.
+     * The current Tab is told to destroy its destroyables like listeners etc.
+     *  - This is to stop any conflicts of objects between the views.
+     * Any Screen HTML still loading is aborted so that it cannot be shown over the newly selected Tab.
+     * Selecting a Tab is treated as a Backstack change (see onBackstackChanged()).
+     *
+     * @param {Tab} tab - the Tab to select.
+     * @param {string} historyAction - "push", "replace", "back" or null (see recordHistory()).
+     */
+    changeTab(tab, historyAction) {
+        let previous = this.hasTab(this.selectedTabViewId) ? this.findTab(this.selectedTabViewId) : null;
+        let event = this.createEvent(tab, Object.assign({
+            type: "tab",
+            from: (previous != null) ? previous.getCurrentUrl() : null,
+            to: tab.getCurrentUrl(),
+            previousTabViewId: (previous != null) ? previous.viewId : null
+        }, tab.backstack.getCurrent().getMetadata()));
+        this.emit("beforeNavigate", event);
+
+        this.dismissModal(true);
+        this.endSubmit();
+        if (previous != null) {
+            previous.destroy();
+        }
+        this.abortRequests();
+        this.removeSelectedViewClass("." + this.tabClassName);
+        this.addSelectedViewClass("#" + tab.viewId);
+        this.selectedTabViewId = tab.viewId;
+        this.updateTabAria();
+        this.deactivateScreens();
+        this.startLoading(tab.getCurrentUrl());
+        this.nextTransition = this.getTransition(tab, "tab");
+        this.onBackstackChanged(tab, historyAction);
+
+        this.currentNavigation = event;
+        this.emit("navigate", event);
+        this.emit("tabChange", event);
+    }
+
+    /**
+     * showTab():
+     * Makes a Tab the selected one and shows its current Screen.
+     *
+     * @param {Tab} tab - the Tab to select.
+     * @param {string} historyAction - "push", "replace", "back" or null (see recordHistory()).
+     * @param {function} onSuccess - notifies caller when HTML has successfully been generated for this Screen (see getScreenCallbacks()).
+     * @param {function} onError - notifies caller when error has occurred (see getScreenCallbacks()).
+     */
+    showTab(tab, historyAction, onSuccess, onError) {
+        this.changeTab(tab, historyAction);
+        tab.select(onSuccess, onError);
+    }
+
+    /**
+     * getScreenCallbacks():
+     * Returns the { onSuccess, onError } callbacks to give a Tab so that its Screen HTML is shown in the app view.
+     * A request aborted by a newer navigation (see abortRequests()) is not an error: the newer navigation takes over the
+     * app view, so only onFailed is told. If the server asked for another navigation in its response (see
+     * followResponse()), the callbacks are handed on to it.
+     *
+     * @param {Tab} tab - the Tab the callbacks are for.
+     * @param {function} onShown - (optional) called with the URL and the Tab's view ID once the Screen is shown.
+     * @param {function} onFailed - (optional) called with the failed request and URL if the Screen could not be generated.
+     */
+    getScreenCallbacks(tab, onShown, onFailed) {
+        let self = this;
+        return {
+            onSuccess: function (htmlCode, url, response) {
+                if (response != null && self.followResponse(tab, response, onShown, onFailed)) {
+                    return;
+                }
+                self.onScreenSuccess(tab, htmlCode, url);
+                if (onShown != null) {
+                    onShown(url, tab.viewId);
+                }
+            },
+            onError: function (data, url) {
+                if (data.statusText != "abort") {
+                    self.onScreenError(tab, data, url);
+                }
+                if (onFailed != null) {
+                    onFailed(data, url);
+                }
+            }
+        };
+    }
+
+    /**
+     * followResponse():
+     * Carries out the navigation the server asked for in the response to a Tab's current Screen (see
+     * Screen.followResponse()), before the Screen is shown:
+     *  - X-Backstack-Action "push" (default): the Screen is shown as usual.
+     *  - "replace": the Screen replaces the one below it (as Go + Clear does), e.g. so a sent form is not one Back away.
+     *  - "clear": the Screen replaces every Screen below it, e.g. after logging in.
+     *  - "back" / "pop-to-root": the Screen is not shown. Instead Back is pressed on the Screen below it (e.g. the form
+     *    that was sent, to "save and go back"), or every Screen but the first is popped, and the Screen gone back to is
+     *    requested again so that it is up to date.
+     *  - X-Backstack-Tab: the action is carried out in that Tab instead, which is then selected. The Screen is moved there
+     *    (unless the action is "back" or "pop-to-root"), showing the response without requesting it again.
+     * A Screen that moved (see X-Backstack-Location) or changed the Backstack replaces the current history entry.
+     * Returns true if another navigation took over from showing the Screen.
+     *
+     * @param {Tab} tab - the Tab whose current Screen the response is for.
+     * @param {Object} response - { action, tab, location, title } (see Screen.followResponse()).
+     * @param {function} onShown - (optional) see getScreenCallbacks().
+     * @param {function} onFailed - (optional) see getScreenCallbacks().
+     */
+    followResponse(tab, response, onShown, onFailed) {
+        let action = (response.action != null) ? response.action.toLowerCase() : "push";
+        if (["push", "replace", "clear", "back", "pop-to-root"].indexOf(action) < 0) {
+            console.error("backstack.js followResponse(): unknown X-Backstack-Action '" + response.action + "'");
+            action = "push";
+        }
+        let target = tab;
+        if (response.tab != null && response.tab != tab.viewId) {
+            if (this.hasTab(response.tab)) {
+                target = this.findTab(response.tab);
+            } else {
+                console.error("backstack.js followResponse(): could not find tab with id '" + response.tab + "'");
+            }
+        }
+
+        let screens = tab.backstack.screens;
+        let screen = tab.backstack.getCurrent();
+        if (target !== tab) {
+            let moved = new Screen(screen.url, screen.method, screen.data);
+            moved.title = screen.title;
+            moved.serverTitle = screen.serverTitle;
+            let cached = backstack.cache.get(moved.getCacheKey());
+            if (cached != null) {
+                /** used once by the moved Screen, like prefetched HTML (see Screen.initialise()) **/
+                cached.prefetched = true;
+            }
+            tab.backstack.pop();
+            if (action == "back") {
+                target.backstack.pop();
+            } else if (action == "pop-to-root") {
+                while (target.backstack.pop()) {
+                    /** pop() always leaves the first Screen **/
+                }
+            } else {
+                if (action == "replace") {
+                    target.backstack.popForced();
+                } else if (action == "clear") {
+                    while (target.backstack.popForced()) {
+                        /** the moved Screen becomes the first **/
+                    }
+                }
+                target.backstack.push(moved);
+            }
+            let callbacks = this.getScreenCallbacks(target, onShown, onFailed);
+            this.showTab(target, "replace", callbacks.onSuccess, callbacks.onError);
+            return true;
+        }
+
+        if ((action == "back" || action == "pop-to-root") && screens.length > 1) {
+            tab.backstack.pop();
+            let destination = (action == "back" && screens.length > 1) ? screens[screens.length - 2] : screens[0];
+            destination.release();
+            backstack.cache.remove(destination.getCacheKey());
+            let callbacks = this.getScreenCallbacks(tab, onShown, onFailed);
+            tab.destroy();
+            if (screens.length == 1) {
+                tab.onRefresh(true, callbacks.onSuccess, callbacks.onError);
+            } else if (action == "back") {
+                tab.onBack(callbacks.onSuccess, callbacks.onError);
+            } else {
+                tab.onPopToRoot(callbacks.onSuccess, callbacks.onError);
+            }
+            return true;
+        }
+
+        if (action == "replace" || action == "clear") {
+            screens.slice((action == "clear") ? 0 : Math.max(screens.length - 2, 0), -1).forEach(function (below) {
+                tab.backstack.remove(below);
+            });
+        }
+        if (!this.isModalTab(tab) && (response.location != null || action == "replace" || action == "clear")) {
+            this.onBackstackChanged(tab, "replace");
+        }
+        return false;
+    }
+
+    /**
+     * navigate():
+     * Pushes a new Screen onto a Tab's Backstack and shows it, as if the user pressed a Go button.
+     * If the Tab is not the selected one, it is selected first.
+     * Returns a Promise that resolves with { tabViewId, url } once the Screen is shown (or with null if a navigation guard
+     * cancelled it, see addGuard()), or rejects with an Error (with tabViewId, url, status and request properties) if it
+     * could not be generated.
+     *
+     * @param {string} url - URL of the Screen, or the path of a route (see the 'routes' option).
+     * @param {Object} options - (optional):
+     *  - tab: ID of the Tab to navigate in (the selected Tab by default).
+     *  - replace: true to replace the current Screen rather than push on top of it (as Go + Clear does).
+     *  - method: request method ("GET" by default). Other methods are treated as a form submission.
+     *  - data: request data (see jQuery's form serializeArray() method), or a FormData.
+     *  - transition: the transition to use instead of the default.
+     *  - resultName / onResult: to expect a result from the new Screen (see Screen.expectResult() and finish()): the
+     *    name of the result, and a function called with the result once the Screen is popped (null if there is none).
+     *  - force: true to navigate without asking the navigation guards (see guardNavigation()).
+     */
+    navigate(url, options) {
+        let self = this;
+        options = withDefaults({
+            tab: this.selectedTabViewId,
+            replace: false,
+            method: "GET",
+            data: null,
+            transition: null,
+            resultName: null,
+            onResult: null,
+            force: false
+        }, options);
+        options.method = (options.method || "GET").toUpperCase();
+        if (!this.hasTab(options.tab)) {
+            return Promise.reject(new Error("backstack.js navigate(): could not find tab with id '" + options.tab + "'"));
+        }
+        url = this.resolveUrl(url);
+        if (url == null) {
+            return Promise.reject(new Error("backstack.js navigate(): could not resolve the route of the url"));
+        }
+
+        let tab = this.findTab(options.tab);
+        let type = options.replace ? "clear" : ((options.method == "GET") ? "go" : "submit");
+        let navigate = function () {
+            return self.promiseNavigation(tab, function (onSuccess, onError) {
+                if (tab.viewId != self.selectedTabViewId) {
+                    self.changeTab(tab, "push");
+                } else {
+                    tab.destroy();
+                }
+                let screen = new Screen(url, options.method, options.data);
+                if (options.resultName != null || options.onResult != null) {
+                    screen.expectResult(options.resultName, options.onResult);
+                }
+                return tab.goToScreen(screen, type, onSuccess, onError, options.transition);
+            });
+        };
+        if (options.force) {
+            return navigate();
+        }
+        return this.guardNavigation(this.createEvent(tab, {
+            type: type,
+            from: tab.getCurrentUrl(),
+            to: url,
+            method: options.method,
+            data: options.data
+        }), navigate);
+    }
+
+    /**
+     * navigateForResult():
+     * Navigates to a Screen (see navigate()) and waits for it to hand back a result (see finish()).
+     * Returns a Promise that resolves with the result once the Screen is popped, with null if it is popped without one
+     * (or its navigation was aborted), or rejects as navigate() does if the Screen could not be generated.
+     *
+     * @param {string} url - URL of the Screen.
+     * @param {Object} options - (optional) as for navigate().
+     */
+    navigateForResult(url, options) {
+        let self = this;
+        return new Promise(function (resolve, reject) {
+            self.navigate(url, Object.assign({}, options, { onResult: resolve })).then(function (shown) {
+                if (shown == null) {
+                    resolve(null);
+                }
+            }, reject);
+        });
+    }
+
+    /**
+     * back():
+     * Pops the current Screen from the selected Tab's Backstack and shows the previous one, as if the user pressed a Back button.
+     * While a modal is presented, its Backstack is popped instead, and the modal is dismissed from its first Screen.
+     * Returns a Promise that resolves with { tabViewId, url } once the previous Screen is shown, or with null if there
+     * was nothing to go back to or a navigation guard cancelled it (see also promiseNavigation() and addGuard()).
+     *
+     * @param {Object} result - (optional) the result for the previous Screen (see finish()).
+     * @param {string/function} transition - (optional) the transition to use instead of the default.
+     */
+    back(result, transition) {
+        let self = this;
+        let tab = this.getActiveTab();
+        if (this.isModalTab(tab) && !tab.isHeaderBackVisible()) {
+            this.dismissModal();
+            let selected = this.findTab(this.selectedTabViewId);
+            return Promise.resolve({ tabViewId: selected.viewId, url: selected.getCurrentUrl() });
+        }
+        return this.guardNavigation(this.getOverrideNavigation(tab, "back", []), function () {
+            return self.promiseNavigation(tab, function (onSuccess, onError) {
+                if (!tab.isHeaderBackVisible()) {
+                    return false;
+                }
+                tab.destroy();
+                return tab.onBack(onSuccess, onError, transition, result);
+            });
+        });
+    }
+
+    /**
+     * finish():
+     * Goes back from the current Screen (see back()), handing a result to the previous Screen: its lifecycle "result"
+     * handlers (see ScreenLifecycle) and the 'result' event are given { name, value }, and whoever pushed the Screen
+     * expecting a result (see navigateForResult()) is given the value.
+     * Returns a Promise as back() does.
+     *
+     * @param {Object} result - the result, e.g. the item the user picked.
+     */
+    finish(result) {
+        return this.back((result !== undefined) ? result : null);
+    }
+
+    /**
+     * retry():
+     * Loads the selected Tab's (or the modal's) current Screen again, e.g. after it could not be loaded (see the
+     * 'errorTemplate' option).
+     * Returns a Promise that resolves with { tabViewId, url } once the Screen is shown (or with null if a navigation guard
+     * cancelled it, see addGuard()).
+     */
+    retry() {
+        let self = this;
+        let tab = this.getActiveTab();
+        return this.guardNavigation(this.getOverrideNavigation(tab, "refresh", [true]), function () {
+            return self.promiseNavigation(tab, function (onSuccess, onError) {
+                tab.destroy();
+                tab.onRefresh(true, onSuccess, onError);
+                return true;
+            });
+        });
+    }
+
+    /**
+     * popToRoot():
+     * Pops every Screen but the first from a Tab's Backstack. The first Screen is shown if the Tab is the selected one
+     * (and the navigation guards allow it, see addGuard()).
+     * Returns a Promise that resolves with { tabViewId, url } once done, or with null if there was nothing to pop (or
+     * a navigation guard cancelled it).
+     *
+     * @param {string} tabViewId - (optional) ID of the Tab (the selected Tab by default).
+     */
+    popToRoot(tabViewId) {
+        let self = this;
+        if (tabViewId == null) {
+            tabViewId = this.selectedTabViewId;
+        }
+        if (!this.hasTab(tabViewId)) {
+            return Promise.reject(new Error("backstack.js popToRoot(): could not find tab with id '" + tabViewId + "'"));
+        }
+
+        let tab = this.findTab(tabViewId);
+        if (tab.viewId != this.selectedTabViewId) {
+            if (!tab.isHeaderBackVisible()) {
+                return Promise.resolve(null);
+            }
+            while (tab.backstack.pop()) {
+                /** pop() always leaves the first Screen **/
+            }
+            this.saveToStorage();
+            return Promise.resolve({ tabViewId: tab.viewId, url: tab.backstack.getCurrent().url });
+        }
+        return this.guardNavigation(this.createEvent(tab, {
+            type: "back",
+            from: tab.getCurrentUrl(),
+            to: tab.backstack.screens[0].url
+        }), function () {
+            return self.promiseNavigation(tab, function (onSuccess, onError) {
+                if (!tab.isHeaderBackVisible()) {
+                    return false;
+                }
+                tab.destroy();
+                return tab.onPopToRoot(onSuccess, onError);
+            });
+        });
+    }
+
+    /**
+     * selectTab():
+     * Selects a Tab and shows its current Screen, as if the user clicked the Tab.
+     * Returns a Promise that resolves with { tabViewId, url } once the Screen is shown (or with null if a navigation guard
+     * cancelled it, see addGuard()).
+     *
+     * @param {string} tabViewId - ID of the Tab to select.
+     */
+    selectTab(tabViewId) {
+        let self = this;
+        if (!this.hasTab(tabViewId)) {
+            return Promise.reject(new Error("backstack.js selectTab(): could not find tab with id '" + tabViewId + "'"));
+        }
+        let tab = this.findTab(tabViewId);
+        return this.guardNavigation(this.getTabNavigation(tab), function () {
+            return self.promiseNavigation(tab, function (onSuccess, onError) {
+                self.showTab(tab, "push", onSuccess, onError);
+                return true;
+            });
+        });
+    }
+
+    /**
+     * getStack():
+     * Returns a copy of a Tab's Backstack as an array of { url, method, data }, bottom first. Unlike toJSON() (see
+     * Screen.toJSON()), Screens that are not GETs keep their method and data.
+     * Returns null if the Tab is not found.
+     *
+     * @param {string} tabViewId - (optional) ID of the Tab (the selected Tab by default).
+     */
+    getStack(tabViewId) {
+        if (tabViewId == null) {
+            tabViewId = this.selectedTabViewId;
+        }
+        if (!this.hasTab(tabViewId)) {
+            return null;
+        }
+        return this.findTab(tabViewId).backstack.screens.map(function (screen) {
+            return { url: screen.url, method: screen.method, data: Screen.serializeData(screen.data) };
+        });
+    }
+
+    /**
+     * promiseNavigation():
+     * Runs a navigation and returns a Promise for it (see navigate()).
+     * The Promise resolves with null if nothing happened, or if the Screen's HTML was aborted by a newer navigation.
+     *
+     * @param {Tab} tab - the Tab being navigated.
+     * @param {function} navigation - given onSuccess/onError callbacks for the Tab; returns false if there was nothing to do.
+     */
+    promiseNavigation(tab, navigation) {
+        let self = this;
+        return new Promise(function (resolve, reject) {
+            let callbacks = self.getScreenCallbacks(tab, function (url, tabViewId) {
+                resolve({ tabViewId: tabViewId, url: url });
+            }, function (data, url) {
+                if (data.statusText == "abort") {
+                    resolve(null);
+                    return;
+                }
+                let error = new Error("backstack.js: could not load '" + url + "' (" + data.status + " " + data.statusText + ")");
+                error.tabViewId = tab.viewId;
+                error.url = url;
+                error.status = data.status;
+                error.request = data;
+                reject(error);
+            });
+            if (!navigation(callbacks.onSuccess, callbacks.onError)) {
+                resolve(null);
+            }
+        });
+    }
+
+    /**
+     * onBackstackChanged():
+     * Called whenever a Tab is selected or its Backstack changes.
+     * Records a browser history entry (if enabled) and saves the Backstacks to storage (if enabled).
+     *
+     * @param {Tab} tab - the Tab that was selected or changed.
+     * @param {string} historyAction - "push", "replace", "back" or null (see recordHistory()).
+     */
+    onBackstackChanged(tab, historyAction) {
+        this.recordHistory(tab, historyAction);
+        this.saveToStorage();
+    }
+
+    /**
+     * onScreenSuccess():
+     * Applies the HTML of a Tab's current Screen to the app view and notifies the caller.
+     * If the Screen was gone back to with a result (see Tab.onBack()), the result is handed to the Screen's lifecycle
+     * "result" handlers (see ScreenLifecycle) and the 'result' event is emitted.
+     * The page's title and the toolbar become the Screen's (see updateToolbar()).
+     *
+     * @param {Tab} tab - the Tab that generated the HTML.
+     * @param {string} htmlCode - the HTML of the Screen.
+     * @param {string} url - URL of the Screen.
+     */
+    onScreenSuccess(tab, htmlCode, url) {
+        let transition = (this.nextTransition != null) ? this.nextTransition : this.transitions["none"];
+        this.nextTransition = null;
+        this.stopLoading();
+        this.endSubmit();
+        this.showScreen(tab.backstack.getCurrent(), htmlCode, transition);
+        if (!this.isModalTab(tab)) {
+            this.updateToolbar(tab.backstack.getCurrent());
+            this.setBackVisibility(tab.isHeaderBackVisible());
+        }
+        let element = childrenWithClass(this.getViewport(), this.screenClassName)[0];
+        if (element != null) {
+            this.prefetchScreenLinks(element);
+        }
+
+        let event = this.createEvent(tab, Object.assign({ type: "refresh" }, this.currentNavigation, {
+            url: url
+        }, tab.backstack.getCurrent().getMetadata()));
+        this.currentNavigation = null;
+        this.manageFocus(tab, event);
+        if (this.onSuccess != null) {
+            this.onSuccess(tab.viewId, url);
+        }
+        this.emit("render", event);
+        if (event.type == "back" && event.result != null) {
+            let lifecycle = tab.backstack.getCurrent().lifecycle;
+            if (lifecycle != null) {
+                lifecycle.notify("result", event.result);
+            }
+            this.emit("result", event);
+        }
+    }
+
+    /**
+     * onScreenError():
+     * Notifies the caller that a Tab's current Screen could not be generated.
+     * The 'error' event carries the HTTP status and the response body (or a statusText of "timeout" if the 'timeout'
+     * passed), and 'offline' if the browser has no network connection.
+     * The error HTML is shown in place of the Screen (see showErrorScreen()), or if there is no 'errorTemplate', the Screen
+     * HTML still in the app view is made usable again (see reactivateScreens()).
+     *
+     * @param {Tab} tab - the Tab that failed to generate the HTML.
+     * @param {ScreenRequest} data - the failed request.
+     * @param {string} url - URL of the Screen.
+     */
+    onScreenError(tab, data, url) {
+        let event = this.createEvent(tab, Object.assign({ type: "refresh" }, this.currentNavigation, {
+            url: url,
+            status: data.status,
+            statusText: data.statusText,
+            responseText: data.responseText,
+            request: data,
+            offline: navigator.onLine === false
+        }));
+        this.currentNavigation = null;
+        this.stopLoading();
+        this.endSubmit();
+        if (this.getErrorTemplate(event) === false) {
+            this.reactivateScreens(tab);
+        } else {
+            this.showErrorScreen(tab, event);
+        }
+        if (this.onError != null) {
+            this.onError(tab.viewId, url, data);
+        }
+        this.emit("error", event);
+    }
+
+    /**
+     * on():
+     * Registers a handler for a TabBar event. Each handler is called with an event object holding at least:
+     *  - type: the navigation type ("go", "back", "clear", "submit", "refresh" or "tab").
+     *  - tabViewId: ID of the Tab.
+     *  - from / to: URLs of the Tab's current Screen before and after the navigation.
+     *  - depth: the number of Screens in the Tab's Backstack.
+     * Events:
+     *  - beforeNavigate: a navigation is about to happen.
+     *  - navigate: a navigation has changed a Backstack or the selected Tab; its Screen is being generated (also has
+     *    'title' and 'toolbar': those of the Screen, if it has been shown before, or null - see Screen.getMetadata()).
+     *  - render: a Screen has been shown (also has 'url', 'title' and 'toolbar': the Screen's title and toolbar actions,
+     *    or null).
+     *  - back / submit / refresh: as 'navigate', for those navigation types only.
+     *  - tabChange: as 'navigate', when the selected Tab changes (also has 'previousTabViewId').
+     *  - tabReselect: the selected Tab was clicked (see reselectTab()).
+     *  - error: a Screen could not be generated (also has 'url', 'status', 'statusText', 'responseText', 'request' and
+     *    'offline').
+     *  - stackEmpty: Back was pressed with only one Screen in the Backstack.
+     *  - result: a Screen has been gone back to with a result (also has 'url' and 'result': { name, value }).
+     * The optional features add events of their own, e.g. backstack-modals.js's 'present' and 'dismiss'.
+     * Returns this TabBar so calls can be chained.
+     *
+     * @param {string} event - the event name.
+     * @param {function} handler - called with the event object.
+     */
+    on(event, handler) {
+        if (this.listeners[event] == null) {
+            console.error("backstack.js on(): unknown event '" + event + "'");
+        } else {
+            this.listeners[event].push(handler);
+        }
+        return this;
+    }
+
+    /**
+     * off():
+     * Removes a handler registered with on(). Returns this TabBar so calls can be chained.
+     *
+     * @param {string} event - the event name.
+     * @param {function} handler - the handler to remove.
+     */
+    off(event, handler) {
+        if (this.listeners[event] != null) {
+            this.listeners[event] = this.listeners[event].filter(function (listener) {
+                return listener != handler;
+            });
+        }
+        return this;
+    }
+
+    /**
+     * emit():
+     * Calls the handlers of an event. A failing handler is logged and does not stop the others.
+     *
+     * @param {string} event - the event name.
+     * @param {Object} detail - the event object given to each handler.
+     */
+    emit(event, detail) {
+        this.listeners[event].slice().forEach(function (handler) {
+            try {
+                handler(detail);
+            } catch (e) {
+                console.error("backstack.js: '" + event + "' handler failed: " + e);
+            }
+        });
+    }
+
+    /**
+     * createEvent():
+     * Creates the event object for a navigation within a Tab (see on()).
+     *
+     * @param {Tab} tab - the Tab being navigated.
+     * @param {Object} navigation - the navigation (see Tab.setNavigationListener()).
+     */
+    createEvent(tab, navigation) {
+        let event = Object.assign({}, navigation, {
+            tabViewId: tab.viewId,
+            depth: tab.backstack.screens.length
+        });
+        delete event.transition;
+        return event;
+    }
+
+    /**
+     * setHistoryListeners():
+     * Listens for the browser's Back/Forward buttons (and hand-edited URLs) so they drive the Backstacks.
+     */
+    setHistoryListeners() {
+        var self = this;
+        window.addEventListener("popstate", function (e) {
+            if (self.ignoreNextPopState) {
+                self.ignoreNextPopState = false;
+                if (self.historyBackTab != null) {
+                    /** another Back may have popped more Screens while stepping back **/
+                    let tab = self.historyBackTab;
+                    self.historyBackTab = null;
+                    self.recordHistory(tab, "back");
+                }
+                return;
+            }
+            self.onPopState(e.state);
+        });
+    }
+
+    /**
+     * onPopState():
+     * Handles the browser's Back/Forward buttons (or a hand-edited URL) moving to another history entry (see
+     * onHistoryChange()).
+     *
+     * @param {Object} state - the history entry's state, or null if it has none.
+     */
+    onPopState(state) {
+        this.onHistoryChange((state != null && state.backstack != null) ? state.backstack : this.parseLocation());
+    }
+
+    /**
+     * onHistoryChange():
+     * Brings the TabBar in line with a browser history entry.
+     * The entry's Tab has its Backstack synced to the entry's Screens - going back a page will pop the Backstack.
+     * If the entry is for another Tab, that Tab is selected; otherwise the (possibly new) current Screen is shown.
+     * The navigation guards are asked first (see guardNavigation()), as a "history" navigation; if they cancel it, the
+     * entry for the current Backstack is pushed again so the page URL stays in step with it.
+     *
+     * @param {Object} state - the history entry ({ tab, screens }), or null if the entry is not one of ours.
+     */
+    onHistoryChange(state) {
+        let self = this;
+        if (state == null || !this.hasTab(state.tab)) {
+            return;
+        }
+        let tab = this.findTab(state.tab);
+        let selected = this.findTab(this.selectedTabViewId);
+        let allowed = false;
+        this.guardNavigation(this.createEvent(tab, {
+            type: "history",
+            from: selected.getCurrentUrl(),
+            to: (state.screens.length > 0) ? state.screens[state.screens.length - 1] : tab.getCurrentUrl()
+        }), function () {
+            allowed = true;
+            self.applyHistoryState(tab, state);
+        }).then(function (redirected) {
+            if (!allowed && redirected == null && self.selectedTabViewId == selected.viewId) {
+                self.recordHistory(selected, "push");
+            }
+        }).catch(function () {
+            /** a redirect by a guard that failed is already shown by the error HTML and 'error' event **/
+        });
+    }
+
+    /**
+     * applyHistoryState():
+     * Syncs a Tab to a browser history entry and shows it (see onHistoryChange()).
+     *
+     * @param {Tab} tab - the entry's Tab.
+     * @param {Object} state - the history entry ({ tab, screens }).
+     */
+    applyHistoryState(tab, state) {
+        let callbacks = this.getScreenCallbacks(tab);
+        if (tab.viewId != this.selectedTabViewId) {
+            if (state.screens.length > 0) {
+                tab.restoreScreens(state.screens);
+            }
+            this.showTab(tab, null, callbacks.onSuccess, callbacks.onError);
+        } else if (state.screens.length > 0) {
+            tab.destroy();
+            tab.restoreScreens(state.screens);
+            this.saveToStorage();
+            tab.onRefresh(false, callbacks.onSuccess, callbacks.onError);
+        }
+    }
+
+    /**
+     * restoreFromLocation():
+     * Restores the selected Tab and its Backstack from the current page URL so a shared link opens the same Screen.
+     * Returns the ID of the Tab to select first - the default is returned if the URL holds no Backstack.
+     *
+     * @param {string} defaultTabViewId - ID of the tab view to select if the URL holds no Backstack.
+     */
+    restoreFromLocation(defaultTabViewId) {
+        let state = this.parseLocation();
+        if (state == null || !this.hasTab(state.tab)) {
+            return defaultTabViewId;
+        }
+        if (state.screens.length > 0) {
+            this.findTab(state.tab).restoreScreens(state.screens);
+        }
+        return state.tab;
+    }
+
+    /**
+     * toJSON():
+     * Returns the selected Tab and every Tab's Backstack in a form that can be saved (e.g. with JSON.stringify()) and
+     * later given to restore().
+     * Cached HTML is not included; restored Screens are fetched again when shown.
+     */
+    toJSON() {
+        return {
+            selectedTabViewId: this.selectedTabViewId,
+            tabs: this.tabs.map(function (tab) {
+                return tab.toJSON();
+            })
+        };
+    }
+
+    /**
+     * restore():
+     * Rebuilds the Backstacks from the output of toJSON() and shows the saved Tab's current Screen.
+     * Tabs in the state that are not in this TabBar are ignored.
+     *
+     * @param {Object} state - the output of toJSON().
+     */
+    restore(state) {
+        this.findTab(this.selectedTabViewId).destroy();
+        let tab = this.findTab(this.restoreBackstacks(state, this.selectedTabViewId));
+        let callbacks = this.getScreenCallbacks(tab);
+        this.showTab(tab, "replace", callbacks.onSuccess, callbacks.onError);
+    }
+
+    /**
+     * restoreBackstacks():
+     * Rebuilds the Backstacks from the output of toJSON() without showing anything.
+     * Returns the ID of the saved Tab, or the default if the saved Tab is not in this TabBar.
+     *
+     * @param {Object} state - the output of toJSON().
+     * @param {string} defaultTabViewId - ID of the tab view to return if the saved Tab is not found.
+     */
+    restoreBackstacks(state, defaultTabViewId) {
+        let self = this;
+        if (state == null || !Array.isArray(state.tabs)) {
+            return defaultTabViewId;
+        }
+        state.tabs.forEach(function (json) {
+            if (self.hasTab(json.viewId)) {
+                self.findTab(json.viewId).restore(json);
+            }
+        });
+        return this.hasTab(state.selectedTabViewId) ? state.selectedTabViewId : defaultTabViewId;
+    }
+
+    /**
+     * getStorage():
+     * Returns the storage adapter for the 'storage' option, or null if the Backstacks should not be saved.
+     *
+     * @param {string/Object} storage - "session", "local", or an object with getItem(key)/setItem(key, value).
+     */
+    getStorage(storage) {
+        try {
+            if (storage == "session") {
+                return window.sessionStorage;
+            } else if (storage == "local") {
+                return window.localStorage;
+            }
+        } catch (e) {
+            /** browsers can deny access to storage (e.g. when cookies are blocked) **/
+            console.error("backstack.js getStorage(): storage '" + storage + "' is not available: " + e);
+            return null;
+        }
+        return (storage != null && typeof storage.getItem == "function" && typeof storage.setItem == "function") ? storage : null;
+    }
+
+    /**
+     * saveToStorage():
+     * Saves the Backstacks to storage. Does nothing if storage is not enabled.
+     */
+    saveToStorage() {
+        if (this.storage == null) {
+            return;
+        }
+        try {
+            this.storage.setItem(this.options.storageKey, JSON.stringify(this));
+        } catch (e) {
+            console.error("backstack.js saveToStorage(): could not save backstacks: " + e);
+        }
+    }
+
+    /**
+     * restoreFromStorage():
+     * Rebuilds the Backstacks from storage.
+     * Returns the ID of the saved Tab - the default is returned if nothing (valid) has been saved.
+     *
+     * @param {string} defaultTabViewId - ID of the tab view to select if nothing has been saved.
+     */
+    restoreFromStorage(defaultTabViewId) {
+        let state = null;
+        try {
+            state = JSON.parse(this.storage.getItem(this.options.storageKey));
+        } catch (e) {
+            console.error("backstack.js restoreFromStorage(): could not read saved backstacks: " + e);
+        }
+        return this.restoreBackstacks(state, defaultTabViewId);
+    }
+
+    /**
+     * recordHistory():
+     * Pushes or replaces a browser history entry representing the given Tab and its Backstack.
+     * Each entry counts the entries pushed before it by navigation within the same Tab ('steps'), so that an in-app Back
+     * can step back over them (as the browser's Back button would) rather than leave them as stale Forward entries.
+     * Does nothing if history is not enabled.
+     *
+     * @param {Tab} tab - the Tab to record.
+     * @param {string} action - "push" to add a new entry, "replace" to overwrite the current one, "back" to go back to
+     *                          the entry of the Screen gone back to (or overwrite the current one if there is none), or
+     *                          null to do nothing.
+     */
+    recordHistory(tab, action) {
+        if (!this.options.history || action == null) {
+            return;
+        }
+        if (action == "back" && this.historyBackTab != null) {
+            /** already stepping back: the entry is brought in line once the step lands (see setHistoryListeners()) **/
+            return;
+        }
+        let current = (window.history.state != null) ? window.history.state.backstack : null;
+        let steps = (current != null && current.tab == tab.viewId && current.steps != null) ? current.steps : 0;
+        let state = { backstack: { tab: tab.viewId, screens: tab.getScreenUrls(), steps: steps } };
+        let url = this.buildLocation(state.backstack);
+        if (action == "back" && current != null && current.tab == tab.viewId) {
+            let popped = current.screens.length - state.backstack.screens.length;
+            if (popped > 0 && popped <= steps) {
+                this.ignoreNextPopState = true;
+                this.historyBackTab = tab;
+                window.history.go(-popped);
+                return;
+            }
+        }
+        if (action == "push") {
+            state.backstack.steps = (current != null && current.tab == tab.viewId) ? steps + 1 : 0;
+            window.history.pushState(state, "", url);
+        } else {
+            window.history.replaceState(state, "", url);
+        }
+    }
+
+    /**
+     * buildLocation():
+     * Encodes a Tab and its Screen URLs into the page URL, e.g. '#tab-two:2-1.html,2-2.html'.
+     * The hash is used by default; the 'bs' query parameter is used if the history option is "query".
+     * Screens on another origin are left out, as parseLocation() does not accept them.
+     *
+     * @param {Object} state - { tab, screens } to encode.
+     */
+    buildLocation(state) {
+        let self = this;
+        let encoded = encodeURIComponent(state.tab) + ":" + state.screens.filter(function (url) {
+            return self.isSameOrigin(url);
+        }).map(function (url) {
+            return encodeURIComponent(self.toLocationUrl(url)).replace(/%2F/g, "/");
+        }).join(",");
+
+        if (this.options.history == "query") {
+            let params = new URLSearchParams(window.location.search);
+            params.set(this.historyQueryParam, encoded);
+            return window.location.pathname + "?" + params.toString() + window.location.hash;
+        }
+        return window.location.pathname + window.location.search + "#" + encoded;
+    }
+
+    /**
+     * parseLocation():
+     * Decodes a Tab and its Screen URLs from the page URL (see buildLocation()).
+     * Returns { tab, screens }, or null if the page URL holds no Backstack - or one that cannot be decoded (e.g. a
+     * truncated link), or that has a Screen on another origin, whose HTML (and scripts) a crafted link would otherwise
+     * have the app show.
+     */
+    parseLocation() {
+        let self = this;
+        let encoded = null;
+        if (this.options.history == "query") {
+            encoded = new URLSearchParams(window.location.search).get(this.historyQueryParam);
+        } else if (window.location.hash.length > 1) {
+            encoded = window.location.hash.substring(1);
+        }
+
+        let separator = (encoded != null) ? encoded.indexOf(":") : -1;
+        if (separator < 1) {
+            return null;
+        }
+        let screens = encoded.substring(separator + 1);
+        let state = null;
+        try {
+            state = {
+                tab: decodeURIComponent(encoded.substring(0, separator)),
+                screens: (screens.length > 0) ? screens.split(",").map(decodeURIComponent) : []
+            };
+        } catch (e) {
+            console.error("backstack.js parseLocation(): could not decode '" + encoded + "': " + e);
+            return null;
+        }
+        let foreign = state.screens.filter(function (url) {
+            return !self.isSameOrigin(url);
+        });
+        if (foreign.length > 0) {
+            console.error("backstack.js parseLocation(): ignoring the page URL as it has Screens on another origin: " + foreign.join(", "));
+            return null;
+        }
+        return state;
+    }
+
+    /**
+     * isSameOrigin():
+     * Returns true if a Screen URL (relative to the page) is on the page's origin.
+     *
+     * @param {string} url - URL of the Screen.
+     */
+    isSameOrigin(url) {
+        try {
+            return new URL(url, window.location.href).origin == window.location.origin;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * toLocationUrl():
+     * Shortens a Screen URL for use in the page URL - links from the same origin are made root-relative.
+     *
+     * @param {string} url - URL of the Screen.
+     */
+    toLocationUrl(url) {
+        let origin = window.location.origin;
+        if (url.indexOf(origin + "/") == 0) {
+            return url.substring(origin.length);
+        }
+        return url;
+    }
+
+    /**
+     * findTab():
+     * Finds Tab element within this TabBar.
+     *
+     * @param {string} tabViewId - view ID of the Tab to be found
+    */
+    findTab(tabViewId) {
+        let selectedTab = this.tabs.find(function (tab) {
+            return tab.viewId == tabViewId
+        });
+
+        if (selectedTab != null)
+            return selectedTab;
+        else
+            console.error("backstack.js findTab(): could not find tab with id '" + tabViewId + "'");
+    }
+
+    /**
+     * hasTab():
+     * Returns true if a Tab with the given view ID is within this TabBar.
+     *
+     * @param {string} tabViewId - view ID of the Tab to look for
+     */
+    hasTab(tabViewId) {
+        return this.tabs.some(function (tab) {
+            return tab.viewId == tabViewId;
+        });
+    }
+
+    /**
+     * clickTab():
+     * Triggers a click on the specified tab.
+     *
+     * @param {string} tabViewId - view ID of the Tab to be clicked
+     */
+    clickTab(tabViewId) {
+        let view = document.getElementById(tabViewId);
+        if (view != null) {
+            view.click();
+        }
+    }
+
+    /**
+    * addSelectedViewClass():
+    * Adds a new class to this Tab's view to change its visible state to 'selected'.
+    * 
+    * @param {string} view - the selected view's selector.
+    */
+    addSelectedViewClass(view) {
+        let className = this.tabSelectedClassName;
+        elementsOf(view).forEach(function (element) {
+            element.classList.add(className);
+        });
+    }
+
+    /**
+     * removeSelectedViewClass():
+     * Removes the 'selected' visible state class from this Tab's view to make it 'unselected'.
+     * 
+     * @param {string} view - the selected view's selector.
+     */
+    removeSelectedViewClass(view) {
+        let className = this.tabSelectedClassName;
+        elementsOf(view).forEach(function (element) {
+            element.classList.remove(className);
+        });
+    }
+
+    /**
+     * setTransition():
+     * Registers a transition under a name so it can be used by Tab.setTransitions(), setDefaultTransitions() or a
+     * button's 'data-bs-transition' attribute.
+     * A transition is a function(incoming, outgoing, speed, onComplete):
+     *  - incoming: the new Screen's element. It is already in the app view.
+     *  - outgoing: an Array of the old Screen's element(s). It may be empty (e.g. on first load).
+     *  - speed: the transition duration in milliseconds (0 if the user prefers reduced motion).
+     *  - onComplete: must be called when the transition is finished; the outgoing element(s) are then removed (or kept
+     *    alive, so remove any classes or styles the transition added to them first).
+     *
+     * @param {string} name - name of the transition.
+     * @param {function} transition - the transition function.
+     */
+    setTransition(name, transition) {
+        this.transitions[name] = transition;
+    }
+
+    /**
+     * setDefaultTransitions():
+     * Changes the transitions used for each navigation type in every Tab (unless the Tab overrides them).
+     *
+     * @param {Object} transitions - transition names/functions keyed by navigation type ("go", "back", "clear", "submit" or "tab").
+     */
+    setDefaultTransitions(transitions) {
+        this.defaultTransitions = Object.assign(this.defaultTransitions, transitions);
+    }
+
+    /**
+     * getTransition():
+     * Returns the transition function for a navigation.
+     * The transition requested by the navigation itself wins, then the Tab's, then the TabBar's default.
+     * Unknown transition names fall back to no transition.
+     *
+     * @param {Tab} tab - the Tab being navigated.
+     * @param {string} type - the navigation type ("go", "back", "clear", "submit" or "tab").
+     * @param {string/function} transition - (optional) the transition requested for this navigation.
+     */
+    getTransition(tab, type, transition) {
+        if (transition == null) {
+            transition = (tab.transitions[type] != null) ? tab.transitions[type] : this.defaultTransitions[type];
+        }
+        if (typeof transition == "function") {
+            return transition;
+        }
+        if (this.transitions[transition] == null) {
+            console.error("backstack.js getTransition(): could not find transition '" + transition + "'");
+            return this.transitions["none"];
+        }
+        return this.transitions[transition];
+    }
+
+    /**
+     * getTransitionSpeed():
+     * Returns the transition duration in milliseconds.
+     * This is 0 if the user has asked their system for reduced motion.
+     */
+    getTransitionSpeed() {
+        if (window.matchMedia != null && window.matchMedia("(prefers-reduced-motion: reduce)").matches) {
+            return 0;
+        }
+        let speed = (typeof this.transitionSpeed == "string") ? TabBar.transitionSpeeds[this.transitionSpeed] : this.transitionSpeed;
+        return (speed != null && !isNaN(speed)) ? Number(speed) : TabBar.transitionSpeeds.default;
+    }
+
+    /**
+     * isModalOpen():
+     * Returns true if a modal is presented over the app view (see backstack-modals.js).
+     */
+    isModalOpen() {
+        return false;
+    }
+
+    /**
+     * isModalTab():
+     * Returns true if the Tab holds the Backstack of a presented modal rather than being one of the TabBar's Tabs (see
+     * backstack-modals.js).
+     *
+     * @param {Tab} tab - the Tab.
+     */
+    isModalTab(tab) {
+        return false;
+    }
+
+    /**
+     * dismissModal():
+     * Dismisses the presented modal (see backstack-modals.js). Returns true if there was a modal to dismiss.
+     *
+     * @param {boolean} immediately - (optional) true to remove the modal without animating it out, e.g. when another
+     *                                navigation is about to use the app view.
+     */
+    dismissModal(immediately) {
+        return false;
+    }
+
+    /**
+     * getActiveTab():
+     * Returns the Tab the user is interacting with: the selected Tab, unless a modal is presented (see
+     * backstack-modals.js).
+     */
+    getActiveTab() {
+        return this.hasTab(this.selectedTabViewId) ? this.findTab(this.selectedTabViewId) : null;
+    }
+
+    /**
+     * getViewport():
+     * Returns the element Screens are shown in: the app view, unless a modal is presented (see backstack-modals.js).
+     */
+    getViewport() {
+        return this.getAppView();
+    }
+
+    /**
+     * getAppView():
+     * Returns the app view element (see the 'viewport' option), or null if it is not on the page.
+     */
+    getAppView() {
+        return document.querySelector(this.appViewId);
+    }
+
+    /**
+     * deactivateScreens():
+     * Stops the user interacting with the Screen HTML in the app view while the next Screen is on its way.
+     */
+    deactivateScreens() {
+        let className = this.screenInactiveClassName;
+        childrenWithClass(this.getViewport(), this.screenClassName).forEach(function (element) {
+            element.classList.add(className);
+        });
+    }
+
+    /**
+     * startLoading():
+     * Shows the loading HTML (see the 'loadingTemplate' option) over the app view if the next Screen has not been shown
+     * within the 'loadingDelay'.
+     *
+     * @param {string} url - URL of the Screen that is loading.
+     */
+    startLoading(url) {
+        let self = this;
+        this.stopLoading();
+        if (this.options.loadingTemplate === false) {
+            return;
+        }
+        this.loadingTimer = setTimeout(function () {
+            self.loadingTimer = null;
+            self.showLoading(url);
+        }, this.options.loadingDelay);
+    }
+
+    /**
+     * showLoading():
+     * Adds the loading HTML over the app view.
+     *
+     * @param {string} url - URL of the Screen that is loading.
+     */
+    showLoading(url) {
+        let template = this.options.loadingTemplate;
+        let indicator = createElement("div", this.loadingIndicatorClassName, { "role": "status" });
+        if (template == null) {
+            indicator.setAttribute("aria-label", "Loading");
+            indicator.appendChild(createElement("div", "bs-spinner"));
+        } else {
+            setHtml(indicator, (typeof template == "function") ? template(url) : template);
+        }
+        let viewport = this.getViewport();
+        viewport.classList.add(this.loadingClassName);
+        viewport.appendChild(indicator);
+    }
+
+    /**
+     * stopLoading():
+     * Removes the loading HTML, or stops it being shown if it is not shown yet.
+     */
+    stopLoading() {
+        if (this.loadingTimer != null) {
+            clearTimeout(this.loadingTimer);
+            this.loadingTimer = null;
+        }
+        let viewport = this.getViewport();
+        viewport.classList.remove(this.loadingClassName);
+        childrenWithClass(viewport, this.loadingIndicatorClassName).forEach(function (indicator) {
+            indicator.remove();
+        });
+    }
+
+    /**
+     * reactivateScreens():
+     * Lets the user interact with the Screen HTML in the app view again after the next Screen failed to load.
+     * Its buttons act on the Tab's current Screen (the one that failed), so Back returns to the Screen the HTML belongs to.
+     *
+     * @param {Tab} tab - the Tab whose Screen failed to load.
+     */
+    reactivateScreens(tab) {
+        let className = this.screenInactiveClassName;
+        let screens = childrenWithClass(this.getViewport(), this.screenClassName);
+        screens.forEach(function (element) {
+            element.classList.remove(className);
+        });
+        this.eachLifecycle(screens, function (lifecycle) {
+            lifecycle.resume();
+        });
+        this.nextTransition = null;
+        if (!this.isModalTab(tab)) {
+            this.setBackVisibility(tab.isHeaderBackVisible());
+        }
+    }
+
+    /**
+     * abortRequests():
+     * Aborts every request for Screen HTML still in flight, in any Tab, so that it cannot be shown over a newer navigation.
+     */
+    abortRequests() {
+        this.tabs.forEach(function (tab) {
+            tab.abort();
+        });
+    }
+
+    /**
+     * showScreen():
+     * Adds the Screen HTML to the app view and runs the transition from the Screen(s) already there.
+     * The incoming and outgoing Screens are both in the app view until the transition completes.
+     * The incoming Screen is put first so that its IDs are found before the outgoing Screen's.
+     * The outgoing Screens are paused straight away; once the transition completes, each is kept alive (if it is still in a
+     * Backstack and keep-alive is on for it) or destroyed and removed.
+     * The incoming Screen's kept HTML is put back if there is any; otherwise its HTML is applied, its metadata is read (see
+     * Screen.readMetadata()) and it is created. Either way it is resumed and its scroll positions are restored.
+     *
+     * @param {Screen} screen - the Screen being shown.
+     * @param {string} htmlCode - the HTML of the Screen.
+     * @param {function} transition - the transition function (see setTransition()).
+     */
+    showScreen(screen, htmlCode, transition) {
+        let viewport = this.getViewport();
+        let outgoing = this.leaveScreens();
+        let incoming = null;
+
+        if (screen.isRetained()) {
+            incoming = screen.retainedElement;
+            screen.retainedElement = null;
+            viewport.prepend(incoming);
+            screen.lifecycle.resume();
+        } else {
+            incoming = createElement("div", this.screenClassName);
+            viewport.prepend(incoming);
+
+            let lifecycle = screen.createLifecycle(incoming);
+            backstack.applyingLifecycle = lifecycle;
+            try {
+                setHtml(incoming, htmlCode);
+            } finally {
+                backstack.applyingLifecycle = null;
+            }
+            screen.readMetadata(incoming);
+            lifecycle.create();
+            lifecycle.resume();
+        }
+        this.setScrollPositions(incoming, screen.scrollPositions);
+        this.runTransition(incoming, outgoing, transition);
+    }
+
+    /**
+     * showErrorScreen():
+     * Shows the error HTML (see the 'errorTemplate' option) in place of a Screen that could not be loaded.
+     * The error HTML is not part of any Screen, so it is removed as soon as the next Screen is shown.
+     *
+     * @param {Tab} tab - the Tab whose Screen could not be loaded.
+     * @param {Object} error - the 'error' event (see on()).
+     */
+    showErrorScreen(tab, error) {
+        let template = this.getErrorTemplate(error);
+        let transition = (this.nextTransition != null) ? this.nextTransition : this.transitions["none"];
+        this.nextTransition = null;
+
+        let outgoing = this.leaveScreens();
+        let incoming = createElement("div", this.screenClassName + " " + this.errorScreenClassName);
+        setHtml(incoming, (template == null) ? this.createErrorHtml(error) : ((typeof template == "function") ? template(error) : template));
+        this.getViewport().prepend(incoming);
+        this.runTransition(incoming, outgoing, transition);
+        if (!this.isModalTab(tab)) {
+            this.updateToolbar(tab.backstack.getCurrent());
+            this.setBackVisibility(tab.isHeaderBackVisible());
+        }
+    }
+
+    /**
+     * getErrorTemplate():
+     * Returns the 'errorTemplate' (backstack-offline.js shows its 'offlineScreen' instead while the browser is offline).
+     *
+     * @param {Object} error - the 'error' event (see on()).
+     */
+    getErrorTemplate(error) {
+        return this.options.errorTemplate;
+    }
+
+    /**
+     * createErrorHtml():
+     * Returns the default error HTML: a message for the failure and a Retry button.
+     *
+     * @param {Object} error - the 'error' event (see on()).
+     */
+    createErrorHtml(error) {
+        let title = "Something went wrong";
+        let message = "This page could not be loaded (" + error.status + " " + error.statusText + ").";
+        if (error.offline) {
+            title = "You are offline";
+            message = "Check your connection and try again.";
+        } else if (error.statusText == "timeout") {
+            message = "This page took too long to respond.";
+        }
+        let html = createElement("div", "bs-error");
+        let retry = createElement("button", "bs-error-retry", { "type": "button" });
+        retry.setAttribute(this.options.actionAttribute, "retry");
+        retry.textContent = "Retry";
+        [createElement("p", "bs-error-title"), createElement("p", "bs-error-message"), retry].forEach(function (child, i) {
+            if (i < 2) {
+                child.textContent = (i == 0) ? title : message;
+            }
+            html.appendChild(child);
+        });
+        return html;
+    }
+
+    /**
+     * leaveScreens():
+     * Starts the Screens in the app view leaving it: their scroll positions are saved, their lifecycle is paused and they can
+     * no longer be clicked. Returns them as an Array for runTransition().
+     */
+    leaveScreens() {
+        let self = this;
+        let outgoing = childrenWithClass(this.getViewport(), this.screenClassName);
+
+        this.eachLifecycle(outgoing, function (lifecycle) {
+            lifecycle.screen.scrollPositions = self.getScrollPositions(lifecycle.element);
+            lifecycle.pause();
+        });
+        outgoing.forEach(function (element) {
+            element.classList.add(self.screenInactiveClassName, self.screenLeavingClassName);
+        });
+        this.getViewport().classList.add(this.transitioningClassName);
+        return outgoing;
+    }
+
+    /**
+     * runTransition():
+     * Runs the transition from the leaving Screens (see leaveScreens()) to the incoming one, already in the app view.
+     * Once it completes, each outgoing Screen is kept alive or destroyed and removed (see showScreen()).
+     *
+     * @param {Element} incoming - the incoming Screen element.
+     * @param {Array} outgoing - the outgoing Screen elements.
+     * @param {function} transition - the transition function (see setTransition()).
+     */
+    runTransition(incoming, outgoing, transition) {
+        let self = this;
+        let viewport = this.getViewport();
+        transition(incoming, outgoing, this.getTransitionSpeed(), function () {
+            outgoing.forEach(function (element) {
+                let lifecycle = ScreenLifecycle.forElement(element);
+                element.classList.remove(self.screenInactiveClassName, self.screenLeavingClassName);
+                if (lifecycle != null && self.isKeptAlive(lifecycle)) {
+                    lifecycle.screen.retain(element);
+                } else {
+                    if (lifecycle != null) {
+                        lifecycle.destroy();
+                    }
+                    element.remove();
+                }
+            });
+            if (childrenWithClass(viewport, self.screenLeavingClassName).length == 0) {
+                viewport.classList.remove(self.transitioningClassName);
+            }
+        });
+    }
+
+    /**
+     * isKeptAlive():
+     * Returns true if an outgoing Screen's live HTML should be kept rather than destroyed.
+     * This is the case if keep-alive is on for the Screen and it is still in a Backstack (i.e. it has not been popped).
+     *
+     * @param {ScreenLifecycle} lifecycle - the lifecycle of the outgoing Screen's HTML.
+     */
+    isKeptAlive(lifecycle) {
+        let screen = lifecycle.screen;
+        if (lifecycle.state == "destroyed" || screen.lifecycle != lifecycle) {
+            return false;
+        }
+        let keepAlive = (screen.keepAlive != null) ? screen.keepAlive : this.options.keepAlive;
+        return keepAlive == true && this.tabs.some(function (tab) {
+            return tab.backstack.contains(screen);
+        });
+    }
+
+    /**
+     * rememberFocus():
+     * Remembers where the element that is leading away from the active Tab's current Screen (e.g. a Go link) is within
+     * it (see getElementPath()), so that it gets the focus back when the Screen is gone back to (see manageFocus()).
+     *
+     * @param {Element} element - the element.
+     */
+    rememberFocus(element) {
+        let self = this;
+        let tab = this.getActiveTab();
+        let current = childrenWithClass(this.getViewport(), this.screenClassName).find(function (screen) {
+            return !screen.classList.contains(self.screenLeavingClassName);
+        });
+        if (tab == null || tab.backstack.getCurrent() == null) {
+            return;
+        }
+        let contained = current != null && current !== element && current.contains(element);
+        tab.backstack.getCurrent().focusPath = contained ? TabBar.getElementPath(current, element) : null;
+    }
+
+    /**
+     * manageFocus():
+     * Moves the focus into a newly shown Screen, so that keyboard and screen reader users are taken to it, and announces
+     * its title (see announce()).
+     * The focus is moved after a Go, Go + Clear, Submit, Back or history navigation or presenting a modal, or if it was in
+     * the Screen that was replaced. It goes to the element that led away from the Screen if it is being gone back to
+     * (see rememberFocus()), otherwise to the 'focusTarget'. Selecting a Tab leaves the focus on the Tab.
+     *
+     * @param {Tab} tab - the Tab whose Screen has been shown.
+     * @param {Object} navigation - the 'render' event (see on()).
+     */
+    manageFocus(tab, navigation) {
+        let screen = tab.backstack.getCurrent();
+        let viewport = this.getViewport();
+        let element = childrenWithClass(viewport, this.screenClassName)[0];
+        let focusPath = screen.focusPath;
+        screen.focusPath = null;
+        if (!(navigation.type == "tab" && navigation.previousTabViewId == null)) {
+            this.announce(element, screen);
+        }
+
+        let focused = document.activeElement;
+        let focusLost = focused !== viewport && viewport.contains(focused) && !element.contains(focused);
+        if (this.options.focusTarget === false
+            || (["go", "clear", "submit", "back", "history", "modal"].indexOf(navigation.type) < 0 && !focusLost)) {
+            return;
+        }
+
+        let target = null;
+        if (navigation.type == "back" && focusPath != null) {
+            target = TabBar.findElement(element, focusPath);
+        }
+        if (target == null) {
+            let focusTarget = this.options.focusTarget;
+            target = (typeof focusTarget == "function") ? elementsOf(focusTarget(element))[0] : element.querySelector(focusTarget);
+        }
+        if (target == null) {
+            target = element;
+        }
+        if (!target.matches("a[href], button, input, select, textarea, [tabindex]")) {
+            target.setAttribute("tabindex", "-1");
+        }
+        target.focus({ preventScroll: true });
+    }
+
+    /**
+     * announce():
+     * Tells screen readers that a Screen has been shown by putting its title in a polite 'aria-live' region (see the
+     * 'announce' option): the title the server gave it (see Screen.title), or its first heading's text, or the page's title.
+     *
+     * @param {Element} element - the element holding the Screen's HTML.
+     * @param {Screen} screen - the Screen.
+     */
+    announce(element, screen) {
+        if (!this.options.announce) {
+            return;
+        }
+        let title = screen.title;
+        if (title == null || title == "") {
+            let heading = element.querySelector("h1, h2, h3, h4, h5, h6");
+            title = ((heading != null) ? heading.textContent.trim() : "") || document.title;
+        }
+        let announcer = childrenWithClass(document.body, this.announcerClassName)[0];
+        if (announcer == null) {
+            announcer = createElement("div", this.announcerClassName, { "role": "status", "aria-live": "polite", "aria-atomic": "true" });
+            document.body.appendChild(announcer);
+        }
+        /** emptied first so the same title is announced again **/
+        announcer.textContent = "";
+        setTimeout(function () {
+            announcer.textContent = title;
+        }, 100);
+    }
+
+    /**
+     * setScrollListener():
+     * Keeps track of the elements within Screens that have been scrolled, so that only they need their scroll positions
+     * saved (see getScrollPositions()). Scroll events do not bubble, so they are listened for on their way down instead.
+     */
+    setScrollListener() {
+        let self = this;
+        document.addEventListener("scroll", function (e) {
+            if (e.target.nodeType == 1 && e.target.closest("." + self.screenClassName) != null) {
+                self.scrolledElements.add(e.target);
+            }
+        }, true);
+    }
+
+    /**
+     * getScrollPositions():
+     * Returns the scroll positions of the app view and of any scrolled elements within a Screen's HTML (see
+     * setScrollListener()). Elements are identified by their path within the Screen's HTML (see getElementPath()) so
+     * they can be found again in reapplied HTML.
+     *
+     * @param {Element} element - the element holding the Screen's HTML.
+     */
+    getScrollPositions(element) {
+        let self = this;
+        let root = element;
+        let viewport = this.getViewport();
+        let positions = {
+            top: viewport.scrollTop,
+            left: viewport.scrollLeft,
+            elements: []
+        };
+        this.scrolledElements.forEach(function (scrolled) {
+            if (root.contains(scrolled) && scrolled !== root) {
+                if (scrolled.scrollTop > 0 || scrolled.scrollLeft > 0) {
+                    positions.elements.push({
+                        path: TabBar.getElementPath(root, scrolled),
+                        top: scrolled.scrollTop,
+                        left: scrolled.scrollLeft
+                    });
+                }
+            } else if (scrolled.isConnected) {
+                return;
+            }
+            /** scrolled again once restored (see setScrollPositions()), or gone from the page **/
+            self.scrolledElements.delete(scrolled);
+        });
+        return positions;
+    }
+
+    /**
+     * setScrollPositions():
+     * Restores scroll positions saved by getScrollPositions(). The app view is scrolled to the top if there are none.
+     *
+     * @param {Element} element - the element holding the Screen's HTML.
+     * @param {Object} positions - the saved scroll positions, or null.
+     */
+    setScrollPositions(element, positions) {
+        let viewport = this.getViewport();
+        viewport.scrollTop = (positions != null) ? positions.top : 0;
+        viewport.scrollLeft = (positions != null) ? positions.left : 0;
+        if (positions == null) {
+            return;
+        }
+
+        positions.elements.forEach(function (position) {
+            let scrolled = TabBar.findElement(element, position.path);
+            if (scrolled != null) {
+                scrolled.scrollTop = position.top;
+                scrolled.scrollLeft = position.left;
+            }
+        });
+    }
+
+    /**
+     * getElementPath():
+     * Returns where an element is within a Screen's HTML, so that it can be found again once the HTML is shown again
+     * (see findElement()): its ID if it has one, otherwise the positions of it and its ancestors among their siblings.
+     *
+     * @param {Element} root - the element holding the Screen's HTML.
+     * @param {Element} element - an element within it.
+     */
+    static getElementPath(root, element) {
+        if (element.id) {
+            return element.id;
+        }
+        let path = [];
+        while (element !== root && element.parentElement != null) {
+            path.unshift(Array.prototype.indexOf.call(element.parentElement.children, element));
+            element = element.parentElement;
+        }
+        return path;
+    }
+
+    /**
+     * findElement():
+     * Returns the element at a path within a Screen's HTML (see getElementPath()), or null if there is none.
+     *
+     * @param {Element} root - the element holding the Screen's HTML.
+     * @param {string/Array} path - the element's ID, or its positions and its ancestors' among their siblings.
+     */
+    static findElement(root, path) {
+        if (typeof path == "string") {
+            return root.querySelector("[id=\"" + path.replace(/["\\]/g, "\\$&") + "\"]");
+        }
+        let element = root;
+        for (let i = 0; i < path.length && element != null; i++) {
+            element = element.children[path[i]];
+        }
+        return (element != null) ? element : null;
+    }
+
+    /**
+     * eachLifecycle():
+     * Calls a function with the ScreenLifecycle of each of the given Screen elements.
+     *
+     * @param {Array} elements - Screen elements within the app view.
+     * @param {function} callback - called with each ScreenLifecycle.
+     */
+    eachLifecycle(elements, callback) {
+        elements.forEach(function (element) {
+            let lifecycle = ScreenLifecycle.forElement(element);
+            if (lifecycle != null) {
+                callback(lifecycle);
+            }
+        });
+    }
+
+    /**
+     * extend():
+     * Adds an optional feature to every TabBar created after it (e.g. backstack-router.js). Its methods are added to
+     * TabBar.prototype, replacing the ones of the same name, its options' defaults are added to the constructor's, and its
+     * setup is called with each new TabBar (as 'this') once the options are set, before the Tabs are.
+     *
+     * @param {Object} feature - { methods, options, setup }, each of which is optional.
+     */
+    static extend(feature) {
+        Object.assign(TabBar.prototype, feature.methods);
+        TabBar.features.push(feature);
+    }
+
+    /**
+     * cssTransition():
+     * Creates a transition that adds CSS classes (with animations, see backstack.css) to the incoming and outgoing
+     * Screens for the length of the transition.
+     *
+     * @param {string} incomingClassName - class given to the incoming Screen.
+     * @param {string} outgoingClassName - class given to the outgoing Screen(s).
+     */
+    static cssTransition(incomingClassName, outgoingClassName) {
+        return function (incoming, outgoing, speed, onComplete) {
+            if (speed <= 0) {
+                onComplete();
+                return;
+            }
+            let elements = [incoming].concat(outgoing);
+            elements.forEach(function (element) {
+                element.classList.add((element === incoming) ? incomingClassName : outgoingClassName);
+                element.style.animationDuration = speed + "ms";
+            });
+            setTimeout(function () {
+                elements.forEach(function (element) {
+                    element.classList.remove((element === incoming) ? incomingClassName : outgoingClassName);
+                    element.style.animationDuration = "";
+                });
+                onComplete();
+            }, speed);
+        };
+    }
+}
+
+/** the TabBar of each app view, so the page's markup does not create a second one (see below) **/
+TabBar.instances = new WeakMap();
+/** the durations of the named transition speeds, in milliseconds (see getTransitionSpeed()) **/
+TabBar.transitionSpeeds = { fast: 200, slow: 600, default: 400 };
+/** the optional features added (see extend()) **/
+TabBar.features = [];
+
+
+/** creates the TabBar from the page's markup once it is ready (see TabBar.fromMarkup()) **/
+let autoInit = function () {
+    let viewport = document.querySelector("[data-bs-viewport]");
+    if (backstack.autoInit && viewport != null && !TabBar.instances.has(viewport)) {
+        backstack.tabBar = TabBar.fromMarkup();
+    }
+};
+if (document.readyState == "loading") {
+    document.addEventListener("DOMContentLoaded", autoInit);
+} else {
+    setTimeout(autoInit);
+}
+
+
+/** the classes are on 'backstack' (e.g. backstack.Screen), and on window unless the name is taken (e.g. by the browser's window.Screen) **/
+Object.assign(backstack, {
+    Screen: Screen,
+    ScreenLifecycle: ScreenLifecycle,
+    ScreenCache: ScreenCache,
+    ScreenRequest: ScreenRequest,
+    Backstack: Backstack,
+    Tab: Tab,
+    TabBar: TabBar
+});
+/** the helpers the optional features (e.g. backstack-router.js) share with backstack.js **/
+backstack.helpers = {
+    elementsOf: elementsOf,
+    withDefaults: withDefaults,
+    createElement: createElement,
+    setHtml: setHtml,
+    childrenWithClass: childrenWithClass,
+    delegate: delegate
+};
+["ScreenLifecycle", "ScreenCache", "ScreenRequest", "Backstack", "Tab", "TabBar"].forEach(function (name) {
+    if (!(name in window)) {
+        window[name] = backstack[name];
+    }
+});
+window.backstack = backstack;
+})();
+
+/** 'Screen' in the page's scripts is backstack.js's, but window.Screen is still the browser's **/
+/* exported Screen */
+const Screen = window.backstack.Screen;
\ No newline at end of file
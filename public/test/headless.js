@@ -0,0 +1,107 @@
+/**
+    headless.js:
+
+    Runs the behaviour tests (see tests.js) without a browser, for 'npm test': serves the 'public' folder on a free port
+    and opens test/index.html in jsdom. Each test's result is printed, and the process exits with 1 if any failed or they
+    did not finish in time.
+*/
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { JSDOM, VirtualConsole } = require("jsdom");
+
+/** the folder served, and how long the tests have to finish **/
+const ROOT = path.resolve(__dirname, "..");
+const TIMEOUT = 60000;
+
+const TYPES = {
+    ".html": "text/html; charset=utf-8",
+    ".js": "text/javascript; charset=utf-8",
+    ".css": "text/css; charset=utf-8"
+};
+
+
+/**
+ * serve():
+ * Answers a request with the file it names within ROOT, or a 404.
+ *
+ * @param {IncomingMessage} request - the request.
+ * @param {ServerResponse} response - its response.
+ */
+function serve(request, response) {
+    let file = path.join(ROOT, decodeURIComponent(new URL(request.url, "http://localhost").pathname));
+    if (file.indexOf(ROOT) != 0) {
+        response.writeHead(403);
+        response.end();
+        return;
+    }
+    fs.readFile(file, function (error, content) {
+        if (error != null) {
+            response.writeHead(404);
+            response.end("Not Found");
+            return;
+        }
+        response.writeHead(200, { "Content-Type": TYPES[path.extname(file)] || "application/octet-stream" });
+        response.end(content);
+    });
+}
+
+/**
+ * waitForResults():
+ * Returns a Promise of the tests' results (see run() in tests.js), or rejects if they take longer than TIMEOUT.
+ *
+ * @param {Window} window - the window of test/index.html.
+ */
+function waitForResults(window) {
+    let started = Date.now();
+    return new Promise(function (resolve, reject) {
+        let check = function () {
+            if (window.testResults != null) {
+                resolve(window.testResults);
+            } else if (Date.now() - started > TIMEOUT) {
+                reject(new Error("the tests did not finish within " + (TIMEOUT / 1000) + " seconds"));
+            } else {
+                setTimeout(check, 100);
+            }
+        };
+        check();
+    });
+}
+
+
+let server = http.createServer(serve);
+server.listen(0, "127.0.0.1", function () {
+    let virtualConsole = new VirtualConsole();
+    virtualConsole.on("log", function (message) {
+        console.log(message);
+    });
+    virtualConsole.on("jsdomError", function (error) {
+        console.error(error.message);
+    });
+
+    let window = null;
+    JSDOM.fromURL("http://127.0.0.1:" + server.address().port + "/test/index.html", {
+        runScripts: "dangerously",
+        resources: "usable",
+        pretendToBeVisual: true,
+        virtualConsole: virtualConsole
+    }).then(function (dom) {
+        window = dom.window;
+        return waitForResults(window);
+    }).then(function (results) {
+        let failed = results.filter(function (result) {
+            return !result.passed;
+        }).length;
+        console.log((results.length - failed) + " passed, " + failed + " failed");
+        return failed;
+    }, function (error) {
+        console.error(error.message);
+        return 1;
+    }).then(function (failed) {
+        if (window != null) {
+            window.close();
+        }
+        server.close();
+        process.exit((failed > 0) ? 1 : 0);
+    });
+});
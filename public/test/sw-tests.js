@@ -0,0 +1,328 @@
+/**
+    sw-tests.js:
+
+    Tests of the offline service worker (see backstack-sw.js), for 'npm test': runs it in a Node vm with small stand-ins
+    for fetch, the Cache API, IndexedDB and the pages it messages. Each test's result is printed, and the process exits
+    with 1 if any failed.
+*/
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const SOURCE = fs.readFileSync(path.resolve(__dirname, "../lib/backstackjs/js/backstack-sw.js"), "utf8");
+const HEADERS = { "X-Backstack-Request": "1" };
+
+let tests = [];
+
+
+/**
+ * test():
+ * Adds a test to be run by run(): body receives a new worker (see createWorker()) and returns a Promise.
+ *
+ * @param {string} name - the name of the test.
+ * @param {function} body - the test.
+ */
+function test(name, body) {
+    tests.push({ name: name, body: body });
+}
+
+/**
+ * assertEqual():
+ * Throws if actual and expected differ (compared as JSON).
+ *
+ * @param {*} actual - the value found.
+ * @param {*} expected - the value expected.
+ * @param {string} message - what is being checked.
+ */
+function assertEqual(actual, expected, message) {
+    if (JSON.stringify(actual) != JSON.stringify(expected)) {
+        throw new Error(message + ": expected " + JSON.stringify(expected) + ", got " + JSON.stringify(actual));
+    }
+}
+
+/**
+ * wait():
+ * Returns a Promise resolved after the given time, so the worker's IndexedDB requests can complete.
+ *
+ * @param {number} ms - the time to wait, 20 ms if not set.
+ */
+function wait(ms) {
+    return new Promise(function (resolve) {
+        setTimeout(resolve, (ms != null) ? ms : 20);
+    });
+}
+
+/**
+ * createRequest():
+ * Returns a stand-in IndexedDB request that succeeds with fn's result on a later task.
+ *
+ * @param {function} fn - computes the request's result.
+ */
+function createRequest(fn) {
+    let request = {};
+    setTimeout(function () {
+        request.result = fn();
+        if (request.onsuccess != null) {
+            request.onsuccess();
+        }
+    });
+    return request;
+}
+
+/**
+ * createWorker():
+ * Runs backstack-sw.js in a new context and returns its stand-ins:
+ * - server: the status each path is answered with (200 if not set), and whether the network is 'online'.
+ * - posted: the forms the server received, e.g. "POST /a.php a=1".
+ * - messages: the messages sent to the pages.
+ * - cache: the cached pages by URL, and 'failing': whether writing to the cache fails.
+ * - queue: the queued requests by id.
+ * - kept: the Promises passed to a fetch event's waitUntil().
+ * - fetch(request): dispatches a fetch event, returning what was passed to respondWith().
+ * - message(type): dispatches a message event, returning what was passed to waitUntil().
+ */
+function createWorker() {
+    let handlers = {};
+    let worker = {
+        server: { online: true, status: {} },
+        posted: [],
+        messages: [],
+        cache: new Map(),
+        failing: false,
+        queue: new Map(),
+        kept: []
+    };
+
+    let fetch = function (input, init) {
+        let request = new Request(input, init);
+        if (!worker.server.online) {
+            return Promise.reject(new TypeError("Failed to fetch"));
+        }
+        let url = new URL(request.url);
+        let status = worker.server.status[url.pathname] || 200;
+        return request.text().then(function (body) {
+            if (request.method != "GET") {
+                worker.posted.push(request.method + " " + url.pathname + " " + body);
+            }
+            return new Response(url.pathname, { status: status });
+        });
+    };
+
+    let cache = {
+        put: function (request, response) {
+            if (worker.failing) {
+                return Promise.reject(new Error("quota exceeded"));
+            }
+            return response.text().then(function (text) {
+                worker.cache.set(request.url, text);
+            });
+        },
+        delete: function (request) {
+            return Promise.resolve(worker.cache.delete(request.url || request));
+        },
+        match: function (request) {
+            return Promise.resolve(worker.cache.has(request.url) ? new Response(worker.cache.get(request.url)) : undefined);
+        },
+        keys: function () {
+            return Promise.resolve(Array.from(worker.cache.keys()));
+        }
+    };
+
+    let nextId = 1;
+    let store = {
+        add: function (value) {
+            return createRequest(function () {
+                let id = nextId++;
+                worker.queue.set(id, Object.assign({}, value, { id: id }));
+                return id;
+            });
+        },
+        openCursor: function () {
+            return createRequest(function () {
+                let ids = Array.from(worker.queue.keys()).sort(function (a, b) {
+                    return a - b;
+                });
+                return (ids.length > 0) ? { value: worker.queue.get(ids[0]) } : null;
+            });
+        },
+        delete: function (id) {
+            return createRequest(function () {
+                return worker.queue.delete(id);
+            });
+        },
+        clear: function () {
+            return createRequest(function () {
+                return worker.queue.clear();
+            });
+        }
+    };
+    let database = {
+        createObjectStore: function () {},
+        transaction: function () {
+            return { objectStore: function () { return store; } };
+        },
+        close: function () {}
+    };
+
+    let context = vm.createContext({
+        self: {
+            addEventListener: function (type, handler) {
+                handlers[type] = handler;
+            },
+            skipWaiting: function () {},
+            clients: {
+                claim: function () { return Promise.resolve(); },
+                matchAll: function () {
+                    return Promise.resolve([{ id: "page", postMessage: function (message) { worker.messages.push(message); } }]);
+                }
+            },
+            registration: {}
+        },
+        caches: {
+            open: function () { return Promise.resolve(cache); },
+            delete: function () { worker.cache.clear(); return Promise.resolve(true); }
+        },
+        indexedDB: {
+            open: function () {
+                return createRequest(function () {
+                    return database;
+                });
+            }
+        },
+        fetch: fetch,
+        Request: Request,
+        Response: Response,
+        Headers: Headers,
+        URL: URL,
+        DOMException: DOMException,
+        console: { log: console.log, error: function () {} },
+        setTimeout: setTimeout
+    });
+    vm.runInContext(SOURCE.replace(/^\uFEFF/, ""), context);
+
+    worker.fetch = function (url, options) {
+        let responded = null;
+        handlers.fetch({
+            request: new Request(url, Object.assign({ headers: HEADERS }, options)),
+            clientId: "page",
+            respondWith: function (promise) { responded = promise; },
+            waitUntil: function (promise) { worker.kept.push(promise); }
+        });
+        return responded;
+    };
+    worker.message = function (type) {
+        let kept = null;
+        handlers.message({ data: { type: type }, waitUntil: function (promise) { kept = promise; } });
+        return kept;
+    };
+    return worker;
+}
+
+/**
+ * queueForms():
+ * Sends the given forms while offline so they are queued, and then goes back online.
+ *
+ * @param {object} worker - the worker (see createWorker()).
+ * @param {string[]} forms - the forms' paths and bodies, e.g. "/a.php a=1".
+ */
+function queueForms(worker, forms) {
+    worker.server.online = false;
+    return forms.reduce(function (previous, form) {
+        let parts = form.split(" ");
+        return previous.then(function () {
+            return worker.fetch("http://example.test" + parts[0], { method: "POST", body: parts[1] });
+        }).then(wait);
+    }, Promise.resolve()).then(function () {
+        worker.server.online = true;
+        worker.messages.length = 0;
+    });
+}
+
+/**
+ * run():
+ * Runs the tests one after the other, each with a new worker, and prints their results.
+ */
+function run() {
+    let failed = 0;
+    return tests.reduce(function (previous, entry) {
+        return previous.then(function () {
+            return entry.body(createWorker());
+        }).then(function () {
+            console.log("PASS " + entry.name);
+        }, function (error) {
+            failed++;
+            console.log("FAIL " + entry.name + " - " + error.message);
+        });
+    }, Promise.resolve()).then(function () {
+        console.log((tests.length - failed) + " passed, " + failed + " failed");
+        process.exit((failed > 0) ? 1 : 0);
+    });
+}
+
+
+test("a form the server refuses (4xx) is dropped and reported, and the rest are sent", function (worker) {
+    worker.server.status["/bad.php"] = 422;
+    return queueForms(worker, ["/bad.php b=1", "/a.php a=1"]).then(function () {
+        return worker.message("backstack-replay");
+    }).then(wait).then(function () {
+        assertEqual(worker.posted, ["POST /bad.php b=1", "POST /a.php a=1"], "sent");
+        assertEqual(worker.queue.size, 0, "still queued");
+        assertEqual(worker.messages.map(function (message) {
+            return [message.url, message.status, message.ok, message.queued];
+        }), [
+            ["http://example.test/bad.php", 422, false, false],
+            ["http://example.test/a.php", 200, true, false]
+        ], "replayed messages");
+    });
+});
+
+test("a form the server fails to handle (5xx) stays queued with the rest", function (worker) {
+    worker.server.status["/bad.php"] = 503;
+    return queueForms(worker, ["/bad.php b=1", "/a.php a=1"]).then(function () {
+        return worker.message("backstack-replay");
+    }).then(wait).then(function () {
+        assertEqual(worker.posted, ["POST /bad.php b=1"], "sent");
+        assertEqual(worker.queue.size, 2, "still queued");
+        assertEqual(worker.messages.map(function (message) {
+            return [message.status, message.ok, message.queued];
+        }), [[503, false, true]], "replayed messages");
+    });
+});
+
+test("a form that cannot be sent stays queued", function (worker) {
+    return queueForms(worker, ["/a.php a=1"]).then(function () {
+        worker.server.online = false;
+        return worker.message("backstack-replay");
+    }).then(wait).then(function () {
+        assertEqual(worker.queue.size, 1, "still queued");
+        assertEqual(worker.messages, [], "replayed messages");
+    });
+});
+
+test("a Screen's HTML is cached within the fetch event, and shown offline", function (worker) {
+    return worker.fetch("http://example.test/a.html").then(function (response) {
+        assertEqual(response.status, 200, "status");
+        assertEqual(worker.kept.length, 1, "promises kept alive");
+        return worker.kept[0];
+    }).then(function () {
+        assertEqual(Array.from(worker.cache.keys()), ["http://example.test/a.html"], "cached");
+        worker.server.online = false;
+        return worker.fetch("http://example.test/a.html");
+    }).then(function (response) {
+        return response.text();
+    }).then(function (text) {
+        assertEqual(text, "/a.html", "offline response");
+    });
+});
+
+test("a failure to cache a Screen's HTML is caught", function (worker) {
+    worker.failing = true;
+    return worker.fetch("http://example.test/a.html").then(function (response) {
+        assertEqual(response.status, 200, "status");
+        return worker.kept[0];
+    }).then(function () {
+        assertEqual(worker.cache.size, 0, "cached");
+    });
+});
+
+run();
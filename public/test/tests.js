@@ -0,0 +1,1225 @@
+/**
+    tests.js:
+
+    Behaviour tests for backstack.js, run in a browser: serve the 'public' folder (e.g. 'php -S localhost:8000 -t public')
+    and open test/index.html. The results are listed on the page, logged to the console and left in window.testResults.
+
+    Each test is given a fresh copy of fixture.html in an iframe (so its TabBar, listeners and history are its own), with
+    backstack.js loaded. Screens' HTML is answered by fakeRequests() rather than a server.
+*/
+
+/** the tests, in the order they are run (see test()) **/
+const tests = [];
+
+
+/**
+ * test():
+ * Adds a test. Its callback is given the fixture's window and returns a Promise (or nothing, if it is not async);
+ * it fails if it throws or the Promise rejects.
+ *
+ * @param {string} name - what the test checks.
+ * @param {function} callback - the test.
+ */
+function test(name, callback) {
+    tests.push({ name: name, callback: callback });
+}
+
+/**
+ * assert():
+ * Throws if a condition is not met.
+ *
+ * @param {boolean} condition - the condition.
+ * @param {string} message - what went wrong if it is not met.
+ */
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+/**
+ * assertEqual():
+ * Throws if two values (compared as JSON) differ.
+ *
+ * @param {Object} actual - the value.
+ * @param {Object} expected - what it should be.
+ * @param {string} message - what the value is.
+ */
+function assertEqual(actual, expected, message) {
+    let a = JSON.stringify(actual);
+    let b = JSON.stringify(expected);
+    assert(a === b, message + ": expected " + b + " but was " + a);
+}
+
+/**
+ * wait():
+ * Returns a Promise that resolves after some milliseconds.
+ *
+ * @param {number} ms - (optional) how long to wait (50 by default).
+ */
+function wait(ms) {
+    return new Promise(function (resolve) {
+        setTimeout(resolve, (ms != null) ? ms : 50);
+    });
+}
+
+/**
+ * nextEvent():
+ * Returns a Promise of the next time a TabBar emits an event (see TabBar.on()).
+ *
+ * @param {TabBar} tabBar - the TabBar.
+ * @param {string} name - the event's name.
+ */
+function nextEvent(tabBar, name) {
+    return new Promise(function (resolve) {
+        let handler = function (event) {
+            tabBar.off(name, handler);
+            resolve(event);
+        };
+        tabBar.on(name, handler);
+    });
+}
+
+/**
+ * fakeRequests():
+ * Answers a fixture's Screen requests (see backstack.request) with HTML rather than a server. Returns the list of
+ * requests made, each { url, origin, method, body }.
+ *
+ * @param {Window} frame - the fixture's window.
+ * @param {Object} pages - HTML by file name, e.g. { "/a.html": "<p>A</p>" }, or { html, headers, delay } to answer with
+ *                         response headers too, or after 'delay' milliseconds. It is read as each request is answered,
+ *                         so a page can be changed between them. Other pages are answered with a 404.
+ */
+function fakeRequests(frame, pages) {
+    let requests = [];
+    frame.backstack.request = function (url, init) {
+        let resolved = new URL(url, frame.document.baseURI);
+        let page = pages[resolved.pathname.replace(/^.*\//, "/")];
+        if (typeof page == "string") {
+            page = { html: page };
+        }
+        requests.push({ url: resolved.pathname + resolved.search, origin: resolved.origin, method: init.method, body: init.body });
+        let response = {
+            status: (page != null) ? 200 : 404,
+            statusText: (page != null) ? "OK" : "Not Found",
+            url: resolved.href,
+            headers: {
+                get: function (name) {
+                    let headers = (page != null && page.headers != null) ? page.headers : {};
+                    return (headers[name] != null) ? headers[name] : null;
+                }
+            },
+            text: function () {
+                return Promise.resolve((page != null) ? page.html : "Not Found");
+            }
+        };
+        return (page != null && page.delay != null) ? wait(page.delay).then(function () {
+            return response;
+        }) : Promise.resolve(response);
+    };
+    return requests;
+}
+
+/**
+ * createTabBar():
+ * Fakes a fixture's Screen requests (see fakeRequests()) and creates a TabBar of its two Tabs, each starting at
+ * "start.html", without transitions. Returns a Promise of { tabBar, requests } once the first Screen is shown.
+ *
+ * @param {Window} frame - the fixture's window.
+ * @param {Object} pages - (optional) the pages besides "/start.html" (see fakeRequests()).
+ * @param {Object} options - (optional) more TabBar options, e.g. { history: true }.
+ */
+function createTabBar(frame, pages, options) {
+    let requests = fakeRequests(frame, Object.assign({ "/start.html": "<h1>Start</h1>" }, pages));
+    let tabBar = new frame.TabBar(Object.assign({
+        tabs: [{ id: "tab-one", screens: ["start.html"] }, { id: "tab-two", screens: ["start.html"] }],
+        viewport: "#main",
+        transitionSpeed: 0
+    }, options));
+    return nextEvent(tabBar, "render").then(function () {
+        return { tabBar: tabBar, requests: requests };
+    });
+}
+
+/**
+ * shownText():
+ * Returns the text of the Screen shown in a fixture's viewport.
+ *
+ * @param {Window} frame - the fixture's window.
+ */
+function shownText(frame) {
+    return frame.document.querySelector("#main").textContent.trim();
+}
+
+/**
+ * stackUrls():
+ * Returns the URLs of the Screens in a Tab's Backstack, bottom first, without their folders.
+ *
+ * @param {TabBar} tabBar - the TabBar.
+ * @param {string} tabViewId - (optional) ID of the Tab; the selected Tab by default.
+ */
+function stackUrls(tabBar, tabViewId) {
+    return tabBar.getStack(tabViewId).map(function (screen) {
+        return screen.url.replace(/^.*\//, "");
+    });
+}
+
+/**
+ * memoryStorage():
+ * Returns a storage for TabBar's 'storage' option that keeps what is saved in its 'value'.
+ */
+function memoryStorage() {
+    return {
+        value: null,
+        getItem: function () {
+            return this.value;
+        },
+        setItem: function (key, value) {
+            this.value = value;
+        }
+    };
+}
+
+/**
+ * loadFixture():
+ * Returns a Promise of the window of a fresh copy of fixture.html.
+ */
+function loadFixture() {
+    return new Promise(function (resolve) {
+        let frame = document.createElement("iframe");
+        frame.addEventListener("load", function () {
+            resolve(frame.contentWindow);
+        });
+        frame.src = "fixture.html";
+        document.getElementById("frames").appendChild(frame);
+    });
+}
+
+/**
+ * loadScript():
+ * Returns a Promise of a script having been loaded into a fixture.
+ *
+ * @param {Window} frame - the fixture's window.
+ * @param {string} src - URL of the script, relative to the fixture.
+ */
+function loadScript(frame, src) {
+    return new Promise(function (resolve, reject) {
+        let script = frame.document.createElement("script");
+        script.addEventListener("load", resolve);
+        script.addEventListener("error", function () {
+            reject(new Error("could not load " + src));
+        });
+        script.src = src;
+        frame.document.body.appendChild(script);
+    });
+}
+
+/**
+ * run():
+ * Runs the tests one after another, then shows how many passed.
+ */
+function run() {
+    let results = [];
+    let list = document.getElementById("results");
+    let next = function (index) {
+        if (index >= tests.length) {
+            let failed = results.filter(function (result) {
+                return !result.passed;
+            }).length;
+            document.getElementById("summary").textContent = (results.length - failed) + " passed, " + failed + " failed";
+            window.testResults = results;
+            return;
+        }
+        let current = tests[index];
+        loadFixture().then(function (frame) {
+            return current.callback(frame);
+        }).then(function () {
+            return null;
+        }, function (error) {
+            return error;
+        }).then(function (error) {
+            let item = document.createElement("li");
+            item.className = (error == null) ? "pass" : "fail";
+            item.textContent = current.name + ((error == null) ? "" : " - " + error.message);
+            list.appendChild(item);
+            console.log(((error == null) ? "PASS " : "FAIL ") + item.textContent);
+            results.push({ name: current.name, passed: error == null, error: (error != null) ? error.message : null });
+            document.getElementById("frames").innerHTML = "";
+            next(index + 1);
+        });
+    };
+    next(0);
+}
+
+
+test("saved Backstacks hold no form data, and restoring them never sends a form again", function (frame) {
+    let storage = memoryStorage();
+    let tabBar = null;
+    let requests = null;
+    return createTabBar(frame, { "/account.php": "<p>Saved</p>" }, { storage: storage }).then(function (created) {
+        tabBar = created.tabBar;
+        requests = created.requests;
+        return tabBar.navigate("account.php", { method: "POST", data: [{ name: "password", value: "secret" }] });
+    }).then(function () {
+        assert(storage.value.indexOf("secret") < 0, "the form data was saved");
+        assertEqual(JSON.parse(storage.value).tabs[0].screens[1], { url: "account.php", method: "GET", data: null },
+            "the saved form result");
+
+        /** a state saved by an older version, with the form's method and data **/
+        let state = JSON.parse(storage.value);
+        state.tabs[0].screens[1] = { url: "account.php", method: "POST", data: [{ name: "password", value: "secret" }] };
+        requests.length = 0;
+        frame.backstack.cache.invalidate();
+        let rendered = nextEvent(tabBar, "render");
+        tabBar.restore(state);
+        return rendered;
+    }).then(function () {
+        assert(requests.length > 0, "the restored Screen was not requested");
+        requests.forEach(function (request) {
+            assertEqual([request.method, request.body], ["GET", null], "the request for " + request.url);
+        });
+    });
+});
+
+
+["network-first", "stale-while-revalidate"].forEach(function (policy) {
+    test("going back to a form's result does not send the form again (" + policy + ")", function (frame) {
+        let tabBar = null;
+        let requests = null;
+        return createTabBar(frame, {
+            "/account.php": "<p>Saved</p>",
+            "/next.html": "<p>Next</p>"
+        }, { cachePolicy: policy }).then(function (created) {
+            tabBar = created.tabBar;
+            requests = created.requests;
+            return tabBar.navigate("account.php", { method: "POST", data: [{ name: "name", value: "Ann" }] });
+        }).then(function () {
+            return tabBar.navigate("next.html");
+        }).then(function () {
+            return tabBar.back();
+        }).then(function () {
+            return wait();
+        }).then(function () {
+            let posts = requests.filter(function (request) {
+                return request.method != "GET";
+            });
+            assertEqual(posts.length, 1, "the number of POSTs");
+            assertEqual(shownText(frame), "Saved", "the Screen shown");
+        });
+    });
+});
+
+
+test("an error thrown by a request's onSuccess is reported, not taken for the request failing", function (frame) {
+    fakeRequests(frame, { "/start.html": "<p>Start</p>" });
+    let errors = [];
+    let failures = 0;
+    frame.addEventListener("error", function (event) {
+        errors.push(event.message);
+        event.preventDefault();
+    });
+    new frame.ScreenRequest("start.html", "GET").send(function () {
+        throw new Error("thrown by onSuccess");
+    }, function () {
+        failures++;
+    });
+    return wait().then(function () {
+        assertEqual(failures, 0, "the number of failures");
+        assert(errors.length == 1 && errors[0].indexOf("thrown by onSuccess") >= 0, "the error was not reported");
+    });
+});
+
+
+test("backstack.js leaves the browser's window.Screen alone, and has its classes on 'backstack'", function (frame) {
+    assert(frame.screen instanceof frame.Screen, "window.Screen is not the browser's");
+    assert(frame.eval("Screen") === frame.backstack.Screen, "'Screen' in the page's scripts is not backstack.js's");
+    ["ScreenRequest", "Tab", "TabBar"].forEach(function (name) {
+        assert(frame[name] === frame.backstack[name], "window." + name + " is not backstack." + name);
+    });
+});
+
+
+test("a Screen's title is read from its HTML each time it is shown, or else is the server's", function (frame) {
+    let refresh = "<button class=\"bs-override-refresh\">Refresh</button>";
+    let pages = {
+        "/start.html": {
+            html: "<meta name=\"bs-title\" content=\"From the HTML\">" + refresh,
+            headers: { "X-Backstack-Title": "From the server" }
+        }
+    };
+    let titles = [];
+    let tabBar = null;
+    let refreshed = function () {
+        let rendered = nextEvent(tabBar, "render");
+        frame.document.querySelector("#main .bs-override-refresh").click();
+        return rendered;
+    };
+    return createTabBar(frame, pages).then(function (created) {
+        tabBar = created.tabBar;
+        titles.push(frame.document.title);
+        pages["/start.html"].html = refresh;
+        return refreshed();
+    }).then(function (event) {
+        titles.push(event.title);
+        pages["/start.html"].headers = {};
+        return refreshed();
+    }).then(function (event) {
+        titles.push(event.title);
+        assertEqual(titles, ["From the HTML", "From the server", null], "the titles");
+    });
+});
+
+
+test("override buttons added to a Screen after it is shown are handled, and their clicks go no further", function (frame) {
+    let tabBar = null;
+    let reached = [];
+    frame.document.addEventListener("click", function (e) {
+        reached.push(e.defaultPrevented);
+    });
+    return createTabBar(frame, { "/a.html": "<p>A</p>" }).then(function (created) {
+        tabBar = created.tabBar;
+        let button = frame.document.createElement("a");
+        button.className = "bs-override-go";
+        button.href = "a.html";
+        button.innerHTML = "<span>Go</span>";
+        frame.document.querySelector("#main h1").appendChild(button);
+        let rendered = nextEvent(tabBar, "render");
+        let click = new frame.MouseEvent("click", { bubbles: true, cancelable: true });
+        button.querySelector("span").dispatchEvent(click);
+        assert(click.defaultPrevented, "the link was followed");
+        return rendered;
+    }).then(function () {
+        assertEqual(reached, [], "the clicks that reached the document");
+        assertEqual(stackUrls(tabBar), ["start.html", "a.html"], "the Backstack");
+    });
+});
+
+
+test("a Screen's inline scripts run in order once its HTML is in place, and other scripts do not", function (frame) {
+    frame.scriptLog = [];
+    return createTabBar(frame, {
+        "/a.html": "<p>One</p>" +
+            "<script>scriptLog.push(\"first sees \" + document.querySelectorAll(\"#main p\").length)</script>" +
+            "<script type=\"text/template\">scriptLog.push(\"template\")</script>" +
+            "<p>Two</p>" +
+            "<script>scriptLog.push(\"second\")</script>"
+    }).then(function (created) {
+        return created.tabBar.navigate("a.html");
+    }).then(function () {
+        assertEqual(frame.scriptLog, ["first sees 2", "second"], "what the scripts logged");
+    });
+});
+
+
+test("a lifecycle's listeners outside its Screen are removed when the Screen is destroyed", function (frame) {
+    let tabBar = null;
+    let resized = 0;
+    frame.countResize = function () {
+        resized++;
+    };
+    return createTabBar(frame, {
+        "/a.html": "<p>A</p><script>backstack.onScreen({ create: function (screen) {" +
+            "screen.listen(window, \"resize orientationchange\", countResize); } });</script>"
+    }).then(function (created) {
+        tabBar = created.tabBar;
+        return tabBar.navigate("a.html");
+    }).then(function () {
+        frame.dispatchEvent(new frame.Event("resize"));
+        frame.dispatchEvent(new frame.Event("orientationchange"));
+        return tabBar.back();
+    }).then(function () {
+        frame.dispatchEvent(new frame.Event("resize"));
+        assertEqual(resized, 2, "the events handled");
+    });
+});
+
+
+test("request data is encoded as a query string", function (frame) {
+    let encode = frame.ScreenRequest.encode;
+    assertEqual(encode([{ name: "q", value: "a b&c" }, { name: "q", value: "é" }, { name: "empty", value: null }]),
+        "q=a+b%26c&q=%C3%A9&empty=", "the encoded Array");
+    assertEqual(encode({ id: 5, tags: ["x", "y"] }), "id=5&tags%5B%5D=x&tags%5B%5D=y", "the encoded object");
+});
+
+
+test("backstack-jquery.js requests Screens with jQuery's ajax()", function (frame) {
+    return loadScript(frame, "../lib/jquery/jquery-3.4.1.min.js").then(function () {
+        return loadScript(frame, "../lib/backstackjs/js/backstack-jquery.js");
+    }).then(function () {
+        assert(frame.backstack.request === frame.backstack.jquery.request, "the adapter is not backstack.request");
+        let sent = 0;
+        frame.jQuery(frame.document).on("ajaxSend", function () {
+            sent++;
+        });
+        return new Promise(function (resolve, reject) {
+            new frame.ScreenRequest("fixture.html?jquery", "GET").send(resolve, function (request) {
+                reject(new Error("the request failed: " + request.status + " " + request.statusText));
+            });
+        }).then(function (html) {
+            assertEqual(sent, 1, "the jQuery requests");
+            assert(html.indexOf("backstack.js test fixture") >= 0, "the response was not the fixture");
+        });
+    });
+});
+
+
+test("a deep link restores its Tab and Backstack", function (frame) {
+    frame.history.replaceState(null, "", "#tab-two:start.html,a.html");
+    return createTabBar(frame, { "/a.html": "<p>A</p>" }, { history: true }).then(function (created) {
+        assertEqual(created.tabBar.selectedTabViewId, "tab-two", "the selected Tab");
+        assertEqual(stackUrls(created.tabBar), ["start.html", "a.html"], "the Backstack");
+        assertEqual(shownText(frame), "A", "the Screen shown");
+    });
+});
+
+
+[
+    ["a Screen on another origin", "#tab-two:https://evil.example/x.html"],
+    ["a malformed escape", "#tab-two:%E0%A4"]
+].forEach(function (link) {
+    test("a deep link with " + link[0] + " falls back to the default Tab", function (frame) {
+        frame.history.replaceState(null, "", link[1]);
+        return createTabBar(frame, { "/x.html": "<p>Evil</p>" }, { history: true }).then(function (created) {
+            assertEqual(created.tabBar.selectedTabViewId, "tab-one", "the selected Tab");
+            assertEqual(stackUrls(created.tabBar), ["start.html"], "the Backstack");
+            created.requests.forEach(function (request) {
+                assertEqual(request.origin, frame.location.origin, "the origin of " + request.url);
+            });
+        });
+    });
+});
+
+
+test("Screens on another origin are left out of the page URL", function (frame) {
+    return createTabBar(frame, { "/x.html": "<p>Other</p>" }, { history: true }).then(function (created) {
+        return created.tabBar.navigate("https://other.example/x.html");
+    }).then(function () {
+        assertEqual(frame.location.hash, "#tab-one:start.html", "the page URL's hash");
+    });
+});
+
+
+test("each navigation pushes a history entry, and an in-app Back steps back over it with history.go()", function (frame) {
+    let tabBar = null;
+    let length = 0;
+    let steps = [];
+    let go = frame.history.go;
+    frame.history.go = function (delta) {
+        steps.push(delta);
+        return go.call(frame.history, delta);
+    };
+    return createTabBar(frame, { "/a.html": "<p>A</p>", "/b.html": "<p>B</p>" }, { history: true }).then(function (created) {
+        tabBar = created.tabBar;
+        length = frame.history.length;
+        return tabBar.navigate("a.html");
+    }).then(function () {
+        return tabBar.navigate("b.html");
+    }).then(function () {
+        assertEqual(frame.history.length, length + 2, "the number of history entries");
+        return tabBar.back();
+    }).then(function () {
+        return wait();
+    }).then(function () {
+        assertEqual(steps, [-1], "the history.go() calls");
+        assertEqual(frame.location.hash, "#tab-one:start.html,a.html", "the page URL's hash");
+        assertEqual(frame.history.length, length + 2, "the number of history entries");
+        assertEqual(shownText(frame), "A", "the Screen shown");
+    });
+});
+
+
+test("the browser's Back and Forward buttons pop and push the Backstack", function (frame) {
+    let tabBar = null;
+    return createTabBar(frame, { "/a.html": "<p>A</p>" }, { history: true }).then(function (created) {
+        tabBar = created.tabBar;
+        return tabBar.navigate("a.html");
+    }).then(function () {
+        let rendered = nextEvent(tabBar, "render");
+        frame.history.back();
+        return rendered;
+    }).then(function () {
+        assertEqual(stackUrls(tabBar), ["start.html"], "the Backstack after Back");
+        assertEqual(shownText(frame), "Start", "the Screen shown after Back");
+        let rendered = nextEvent(tabBar, "render");
+        frame.history.forward();
+        return rendered;
+    }).then(function () {
+        assertEqual(stackUrls(tabBar), ["start.html", "a.html"], "the Backstack after Forward");
+        assertEqual(shownText(frame), "A", "the Screen shown after Forward");
+    });
+});
+
+
+test("a navigation whose response has arrived but not been shown yet settles when a newer one aborts it", function (frame) {
+    let tabBar = null;
+    let newer = null;
+    return createTabBar(frame, { "/a.html": "<p>A</p>", "/b.html": "<p>B</p>" }).then(function (created) {
+        tabBar = created.tabBar;
+        let finish = frame.ScreenRequest.prototype.finish;
+        frame.ScreenRequest.prototype.finish = function () {
+            finish.apply(this, arguments);
+            if (this.url == "a.html" && newer == null) {
+                newer = tabBar.navigate("b.html");
+            }
+        };
+        return Promise.race([tabBar.navigate("a.html"), wait(1000).then(function () {
+            throw new Error("the aborted navigation never settled");
+        })]);
+    }).then(function (result) {
+        assertEqual(result, null, "what the aborted navigation resolved with");
+        return newer;
+    }).then(function () {
+        assertEqual(shownText(frame), "B", "the Screen shown");
+    });
+});
+
+
+test("a late response to an older navigation is not shown over a newer one", function (frame) {
+    let tabBar = null;
+    let older = null;
+    return createTabBar(frame, { "/slow.html": { html: "<p>Slow</p>", delay: 100 }, "/fast.html": "<p>Fast</p>" }).then(function (created) {
+        tabBar = created.tabBar;
+        older = tabBar.navigate("slow.html");
+        return tabBar.navigate("fast.html");
+    }).then(function () {
+        return older;
+    }).then(function (result) {
+        assertEqual(result, null, "what the older navigation resolved with");
+        return wait(200);
+    }).then(function () {
+        assertEqual(shownText(frame), "Fast", "the Screen shown");
+    });
+});
+
+
+test("a Screen that does not answer within the timeout fails, and the app view is usable again", function (frame) {
+    let tabBar = null;
+    let errors = [];
+    return createTabBar(frame, { "/hung.html": { html: "<p>Hung</p>", delay: 1000 } }, { timeout: 50, loadingDelay: 0 }).then(function (created) {
+        tabBar = created.tabBar;
+        tabBar.on("error", function (event) {
+            errors.push(event.statusText);
+        });
+        return tabBar.navigate("hung.html").then(function () {
+            throw new Error("the navigation did not fail");
+        }, function (error) {
+            return error;
+        });
+    }).then(function (error) {
+        assertEqual([error.url.replace(/^.*\//, ""), error.status], ["hung.html", 0], "the error's url and status");
+        assertEqual(errors, ["timeout"], "the 'error' events' statusText");
+        let viewport = frame.document.querySelector("#main");
+        assert(!viewport.classList.contains("bs-loading"), "the app view is still loading");
+        assert(viewport.querySelector(".bs-loading-indicator") == null, "the loading indicator is still shown");
+        assert(viewport.style.visibility != "hidden", "the app view is hidden");
+    });
+});
+
+
+/**
+ * screenClasses():
+ * Returns the classes of the Screen elements in a fixture's viewport, first to last, without 'bs-screen'.
+ *
+ * @param {Window} frame - the fixture's window.
+ */
+function screenClasses(frame) {
+    return Array.from(frame.document.querySelectorAll("#main > .bs-screen")).map(function (element) {
+        return element.className.replace(/\bbs-screen\b/, "").trim();
+    });
+}
+
+
+test("a Go slides the new Screen in over the old one, which is removed once the transition ends", function (frame) {
+    let tabBar = null;
+    return createTabBar(frame, { "/a.html": "<p>A</p>" }).then(function (created) {
+        tabBar = created.tabBar;
+        tabBar.transitionSpeed = 100;
+        return tabBar.navigate("a.html");
+    }).then(function () {
+        assertEqual(screenClasses(frame), ["bs-slide-in", "bs-screen-inactive bs-screen-leaving bs-slide-under"],
+            "the Screens during the transition");
+        assertEqual(frame.document.querySelector("#main > .bs-screen").style.animationDuration, "100ms", "the animation's duration");
+        return wait(200);
+    }).then(function () {
+        assertEqual(screenClasses(frame), [""], "the Screens after the transition");
+        assertEqual(shownText(frame), "A", "the Screen shown");
+    });
+});
+
+
+[
+    ["a Back", "slide-back", ["bs-slide-over", "bs-screen-inactive bs-screen-leaving bs-slide-out"], function (tabBar) {
+        return tabBar.back();
+    }],
+    ["a Go + Clear", "fade", ["bs-fade-in", "bs-screen-inactive bs-screen-leaving bs-fade-out"], function (tabBar) {
+        return tabBar.navigate("a.html", { replace: true });
+    }],
+    ["a Tab change", "fade", ["bs-fade-in", "bs-screen-inactive bs-screen-leaving bs-fade-out"], function (tabBar) {
+        return tabBar.selectTab("tab-two");
+    }]
+].forEach(function (navigation) {
+    test(navigation[0] + " uses the '" + navigation[1] + "' transition", function (frame) {
+        let tabBar = null;
+        return createTabBar(frame, { "/a.html": "<p>A</p>" }).then(function (created) {
+            tabBar = created.tabBar;
+            return tabBar.navigate("a.html");
+        }).then(function () {
+            tabBar.transitionSpeed = 100;
+            return navigation[3](tabBar);
+        }).then(function () {
+            assertEqual(screenClasses(frame), navigation[2], "the Screens during the transition");
+        });
+    });
+});
+
+
+test("a transition can be chosen per navigation, per Tab or by default, and custom ones get the Screens' elements", function (frame) {
+    let tabBar = null;
+    let calls = [];
+    let custom = function (name) {
+        return function (incoming, outgoing, speed, onComplete) {
+            calls.push([name, incoming.textContent, outgoing.map(function (element) {
+                return element.textContent;
+            }), speed]);
+            onComplete();
+        };
+    };
+    return createTabBar(frame, { "/a.html": "<p>A</p>", "/b.html": "<p>B</p>", "/c.html": "<p>C</p>" }, { transitionSpeed: "fast" }).then(function (created) {
+        tabBar = created.tabBar;
+        tabBar.setTransition("mine", custom("mine"));
+        tabBar.setDefaultTransitions({ go: "mine" });
+        return tabBar.navigate("a.html");
+    }).then(function () {
+        tabBar.findTab("tab-one").setTransitions({ go: custom("tab") });
+        return tabBar.navigate("b.html");
+    }).then(function () {
+        return tabBar.navigate("c.html", { transition: custom("navigation") });
+    }).then(function () {
+        assertEqual(calls, [["mine", "A", ["Start"], 200], ["tab", "B", ["A"], 200], ["navigation", "C", ["B"], 200]],
+            "the transitions called");
+        assertEqual(screenClasses(frame), [""], "the Screens");
+    });
+});
+
+
+test("a button's transition attribute chooses the transition, and an unknown one falls back to none", function (frame) {
+    let tabBar = null;
+    let calls = 0;
+    return createTabBar(frame, { "/a.html": "<p>A</p>", "/b.html": "<p>B</p>" }).then(function (created) {
+        tabBar = created.tabBar;
+        tabBar.setTransition("counted", function (incoming, outgoing, speed, onComplete) {
+            calls++;
+            onComplete();
+        });
+        frame.document.querySelector("#main h1").innerHTML = "<a class=\"bs-override-go\" href=\"a.html\" data-bs-transition=\"counted\">A</a>";
+        let rendered = nextEvent(tabBar, "render");
+        frame.document.querySelector("#main a").click();
+        return rendered;
+    }).then(function () {
+        assertEqual(calls, 1, "the calls of the button's transition");
+        return tabBar.navigate("b.html", { transition: "missing" });
+    }).then(function () {
+        assertEqual(screenClasses(frame), [""], "the Screens");
+        assertEqual(shownText(frame), "B", "the Screen shown");
+    });
+});
+
+
+test("users who prefer reduced motion get no animation", function (frame) {
+    let tabBar = null;
+    frame.matchMedia = function (query) {
+        return { matches: query == "(prefers-reduced-motion: reduce)" };
+    };
+    return createTabBar(frame, { "/a.html": "<p>A</p>" }, { transitionSpeed: 500 }).then(function (created) {
+        tabBar = created.tabBar;
+        assertEqual(tabBar.getTransitionSpeed(), 0, "the transition speed");
+        return tabBar.navigate("a.html");
+    }).then(function () {
+        assertEqual(screenClasses(frame), [""], "the Screens");
+    });
+});
+
+
+test("a guard that returns false cancels a Go, Go + Clear, Back, Tab change or Refresh, and leaves the Screen as it was", function (frame) {
+    let tabBar = null;
+    let asked = [];
+    return createTabBar(frame, { "/a.html": "<p>A<button class=\"bs-override-refresh\"></button></p>", "/b.html": "<p>B</p>" }).then(function (created) {
+        tabBar = created.tabBar;
+        return tabBar.navigate("a.html");
+    }).then(function () {
+        tabBar.addGuard(function (navigation) {
+            asked.push(navigation.type + ":" + navigation.to.replace(/^.*\//, ""));
+            return false;
+        });
+        let results = [];
+        return [
+            function () {
+                return tabBar.navigate("b.html");
+            },
+            function () {
+                return tabBar.navigate("b.html", { replace: true });
+            },
+            function () {
+                return tabBar.back();
+            },
+            function () {
+                return tabBar.selectTab("tab-two");
+            },
+            function () {
+                frame.document.querySelector("#main .bs-override-refresh").click();
+                return wait();
+            }
+        ].reduce(function (previous, navigation) {
+            return previous.then(navigation).then(function (result) {
+                results.push(result);
+            });
+        }, Promise.resolve()).then(function () {
+            return results;
+        });
+    }).then(function (results) {
+        assertEqual(results, [null, null, null, null, undefined], "what the navigations resolved with");
+        assertEqual(asked, ["go:b.html", "clear:b.html", "back:start.html", "tab:start.html", "refresh:a.html"], "the navigations asked about");
+        assertEqual([tabBar.selectedTabViewId, stackUrls(tabBar), shownText(frame)], ["tab-one", ["start.html", "a.html"], "A"],
+            "the Tab, Backstack and Screen");
+    });
+});
+
+
+test("a guard can redirect a navigation, and the redirect is not guarded again", function (frame) {
+    let tabBar = null;
+    let asked = 0;
+    return createTabBar(frame, { "/account.html": "<p>Account</p>", "/login.html": "<p>Log in</p>" }).then(function (created) {
+        tabBar = created.tabBar;
+        tabBar.addGuard(function (navigation) {
+            asked++;
+            return (navigation.to.indexOf("account.html") >= 0) ? { url: "login.html", tab: "tab-two" } : true;
+        });
+        return tabBar.navigate("account.html");
+    }).then(function (shown) {
+        assertEqual([shown.tabViewId, shown.url.replace(/^.*\//, "")], ["tab-two", "login.html"], "what the navigation resolved with");
+        assertEqual(asked, 1, "the times the guard was asked");
+        assertEqual(stackUrls(tabBar, "tab-one"), ["start.html"], "the first Tab's Backstack");
+        assertEqual(stackUrls(tabBar, "tab-two"), ["start.html", "login.html"], "the second Tab's Backstack");
+    });
+});
+
+
+test("a Screen's beforeLeave handlers are asked before the guards, and can wait for the user", function (frame) {
+    let tabBar = null;
+    let asked = [];
+    let answer = null;
+    return createTabBar(frame, {
+        "/form.html": "<form><input name=\"name\"></form><script>backstack.onScreen({ beforeLeave: function () {" +
+            "return new Promise(function (resolve) { window.confirmLeave = resolve; }); } });</script>",
+        "/next.html": "<p>Next</p>"
+    }).then(function (created) {
+        tabBar = created.tabBar;
+        return tabBar.navigate("form.html");
+    }).then(function () {
+        tabBar.addGuard(function () {
+            asked.push("guard");
+        });
+        answer = tabBar.navigate("next.html");
+        return wait();
+    }).then(function () {
+        assertEqual(asked, [], "the guards asked while the Screen waits");
+        asked.push("beforeLeave");
+        frame.confirmLeave(false);
+        return answer;
+    }).then(function (result) {
+        assertEqual([result, asked], [null, ["beforeLeave"]], "what a refusal resolved with, and the guards asked");
+        answer = tabBar.navigate("next.html");
+        return wait();
+    }).then(function () {
+        frame.confirmLeave(true);
+        return answer;
+    }).then(function () {
+        assertEqual(asked, ["beforeLeave", "guard"], "the guards asked");
+        assertEqual(shownText(frame), "Next", "the Screen shown");
+    });
+});
+
+
+test("only the latest navigation made while the guards are deciding goes ahead", function (frame) {
+    let tabBar = null;
+    return createTabBar(frame, { "/a.html": "<p>A</p>", "/b.html": "<p>B</p>" }).then(function (created) {
+        tabBar = created.tabBar;
+        tabBar.addGuard(function (navigation) {
+            return wait((navigation.to.indexOf("a.html") >= 0) ? 100 : 10);
+        });
+        return Promise.all([tabBar.navigate("a.html"), tabBar.navigate("b.html")]);
+    }).then(function (results) {
+        assertEqual(results[0], null, "what the older navigation resolved with");
+        assertEqual([stackUrls(tabBar), shownText(frame)], [["start.html", "b.html"], "B"], "the Backstack and Screen");
+    });
+});
+
+
+test("a browser Back a guard cancels puts the page URL back", function (frame) {
+    let tabBar = null;
+    let asked = [];
+    return createTabBar(frame, { "/a.html": "<p>A</p>" }, { history: true }).then(function (created) {
+        tabBar = created.tabBar;
+        return tabBar.navigate("a.html");
+    }).then(function () {
+        tabBar.addGuard(function (navigation) {
+            asked.push(navigation.type);
+            return false;
+        });
+        frame.history.back();
+        return wait(200);
+    }).then(function () {
+        assertEqual(asked, ["history"], "the navigations asked about");
+        assertEqual(frame.location.hash, "#tab-one:start.html,a.html", "the page URL's hash");
+        assertEqual([stackUrls(tabBar), shownText(frame)], [["start.html", "a.html"], "A"], "the Backstack and Screen");
+    });
+});
+
+
+test("a Router matches paths relative to the page or the site, and fills in route URLs", function (frame) {
+    let router = new frame.Router({
+        order: { path: "order/:id", url: "orders.php?id=:id" },
+        item: { path: "/shop/:shop/item/:id", url: "item.php" },
+        help: "help.html"
+    });
+    assertEqual(router.match("order/5?from=list"), { name: "order", params: { from: "list", id: "5" } }, "a relative path");
+    assertEqual(router.match("order/a%20b/"), { name: "order", params: { id: "a b" } }, "an encoded parameter");
+    assertEqual(router.match("/shop/s1/item/7"), { name: "item", params: { shop: "s1", id: "7" } }, "a path from the site");
+    assertEqual([router.match("order/5/more"), router.match("other/order/5"), router.match("https://other.example/test/order/5")],
+        [null, null, null], "paths that do not match");
+    assertEqual(router.resolve("order", { id: "a&b", page: 2 }), { name: "order", url: "orders.php?id=a%26b&page=2", tab: null },
+        "a route's URL");
+    assertEqual(router.resolve("help"), { name: "help", url: "help.html", tab: null }, "a route without a path");
+    assertEqual([router.resolve("order"), router.resolve("missing")], [null, null], "routes that cannot be resolved");
+});
+
+
+test("Go elements naming a route or linking to its path show the route's URL in its Tab", function (frame) {
+    let tabBar = null;
+    let routes = { order: { path: "order/:id", url: "orders.php?id=:id", tab: "tab-two" } };
+    let pages = {
+        "/a.html": "<a class=\"bs-override-go\" data-bs-route=\"order\" data-bs-params='{\"id\": 5}'>5</a>"
+            + "<a class=\"bs-override-go\" href=\"order/6\">6</a>",
+        "/orders.php": "<p>Order</p>"
+    };
+    return createTabBar(frame, pages, { routes: routes }).then(function (created) {
+        tabBar = created.tabBar;
+        return tabBar.navigate("a.html");
+    }).then(function () {
+        frame.document.querySelector("#main [data-bs-route]").click();
+        return nextEvent(tabBar, "render");
+    }).then(function () {
+        assertEqual([tabBar.selectedTabViewId, stackUrls(tabBar)], ["tab-two", ["start.html", "orders.php?id=5"]], "the named route");
+        tabBar.selectTab("tab-one");
+        return nextEvent(tabBar, "render");
+    }).then(function () {
+        frame.document.querySelector("#main [href]").click();
+        return nextEvent(tabBar, "render");
+    }).then(function () {
+        assertEqual([tabBar.selectedTabViewId, stackUrls(tabBar)], ["tab-two", ["start.html", "orders.php?id=5", "orders.php?id=6"]],
+            "the route's path");
+    });
+});
+
+
+test("navigateTo() shows the 'notFound' Screen for a route that cannot be resolved, or rejects without one", function (frame) {
+    let tabBar = null;
+    let pages = { "/missing.html": "<p>Not found</p>", "/help.html": "<p>Help</p>" };
+    return createTabBar(frame, pages, { routes: { order: "orders.php?id=:id" }, notFound: "missing.html" }).then(function (created) {
+        tabBar = created.tabBar;
+        assertEqual(tabBar.addRoute("help", "help.html").getRouteUrl("help"), "help.html", "an added route's URL");
+        return tabBar.navigateTo("order");
+    }).then(function () {
+        assertEqual(shownText(frame), "Not found", "the Screen shown");
+        tabBar.options.notFound = null;
+        return tabBar.navigateTo("missing").then(function () {
+            throw new Error("navigateTo() resolved");
+        }, function (error) {
+            assert(error.message.indexOf("could not resolve route 'missing'") >= 0, "unexpected error: " + error.message);
+        });
+    }).then(function () {
+        return tabBar.navigateTo("help");
+    }).then(function () {
+        assertEqual(stackUrls(tabBar), ["start.html", "missing.html", "help.html"], "the Backstack");
+    });
+});
+
+
+/**
+ * modalText():
+ * Returns the text of the Screen shown in a fixture's presented modal, or null if there is none.
+ *
+ * @param {Window} frame - the fixture's window.
+ */
+function modalText(frame) {
+    let viewport = frame.document.querySelector(".bs-modal-viewport");
+    return (viewport != null) ? viewport.textContent.trim() : null;
+}
+
+
+test("a modal shows its Screens over the app view with a Backstack of their own, and Back from its first one dismisses it", function (frame) {
+    let tabBar = null;
+    let events = [];
+    let pages = {
+        "/start.html": "<h1>Start</h1><a class=\"bs-override-sheet\" href=\"m.html\">Open</a>",
+        "/m.html": "<h1>M</h1><a class=\"bs-override-go\" href=\"m2.html\">Next</a>",
+        "/m2.html": "<h1>M2</h1>"
+    };
+    return createTabBar(frame, pages).then(function (created) {
+        tabBar = created.tabBar;
+        ["present", "dismiss"].forEach(function (name) {
+            tabBar.on(name, function (event) {
+                events.push(name + ":" + event.presentation + ":" + event.to.replace(/^.*\//, ""));
+            });
+        });
+        frame.document.querySelector("#main .bs-override-sheet").click();
+        return nextEvent(tabBar, "render");
+    }).then(function () {
+        assert(frame.document.querySelector(".bs-modal").classList.contains("bs-modal-sheet"), "the modal is not a sheet");
+        frame.document.querySelector(".bs-modal .bs-override-go").click();
+        return nextEvent(tabBar, "render");
+    }).then(function () {
+        assertEqual([modalText(frame), tabBar.getActiveTab().getScreenUrls().map(function (url) {
+            return url.replace(/^.*\//, "");
+        })], ["M2", ["m.html", "m2.html"]], "the modal's Screen and Backstack");
+        assertEqual([shownText(frame), stackUrls(tabBar)], ["StartOpen", ["start.html"]], "the app view's Screen and Backstack");
+        return tabBar.back();
+    }).then(function () {
+        assertEqual(modalText(frame), "MNext", "the modal's Screen after Back");
+        return tabBar.back();
+    }).then(function () {
+        assertEqual([tabBar.isModalOpen(), frame.document.querySelector(".bs-modal")], [false, null], "the modal after Back");
+        assertEqual(events, ["present:sheet:m.html", "dismiss:sheet:start.html"], "the events");
+    });
+});
+
+
+test("a modal keeps the focus and makes the page inert, and Escape dismisses it and gives the focus back", function (frame) {
+    let tabBar = null;
+    let opener = null;
+    let pages = {
+        "/start.html": "<h1>Start</h1><a class=\"bs-override-modal\" href=\"m.html\">Open</a>",
+        "/m.html": "<h1>M</h1><button id=\"inside\">Inside</button>"
+    };
+    return createTabBar(frame, pages).then(function (created) {
+        tabBar = created.tabBar;
+        opener = frame.document.querySelector("#main .bs-override-modal");
+        opener.focus();
+        opener.click();
+        return nextEvent(tabBar, "render");
+    }).then(function () {
+        let modal = frame.document.querySelector(".bs-modal");
+        assertEqual([modal.getAttribute("role"), modal.getAttribute("aria-modal")], ["dialog", "true"], "the modal's role");
+        assertEqual(["#main", ".tabs-toolbar", "footer"].map(function (selector) {
+            return frame.document.querySelector(selector).inert;
+        }), [true, true, true], "whether the page is inert");
+        frame.document.querySelector("#tab-one").focus();
+        assertEqual(frame.document.activeElement.id, "inside", "the element focused from outside the modal");
+        frame.document.dispatchEvent(new frame.KeyboardEvent("keydown", { key: "Escape", bubbles: true }));
+        assertEqual(tabBar.isModalOpen(), false, "whether the modal is open after Escape");
+        assertEqual(frame.document.activeElement, opener, "the element focused after the modal");
+        assertEqual(frame.document.querySelector("#main").inert, false, "whether the app view is inert");
+    });
+});
+
+
+test("the backdrop dismisses a modal unless it is not dismissible, and dismissing it steps back over its history entry", function (frame) {
+    let tabBar = null;
+    let length = 0;
+    let pages = { "/m.html": "<h1>M</h1><button class=\"bs-override-dismiss\">Close</button>" };
+    return createTabBar(frame, pages, { history: true }).then(function (created) {
+        tabBar = created.tabBar;
+        length = frame.history.length;
+        return tabBar.presentModal("m.html", { dismissible: false });
+    }).then(function () {
+        assertEqual([frame.history.length, frame.history.state.modal], [length + 1, true], "the modal's history entry");
+        frame.document.querySelector(".bs-modal-backdrop").click();
+        frame.document.dispatchEvent(new frame.KeyboardEvent("keydown", { key: "Escape", bubbles: true }));
+        assertEqual(tabBar.isModalOpen(), true, "whether the modal is open after the backdrop and Escape");
+        frame.document.querySelector(".bs-modal .bs-override-dismiss").click();
+        return wait(200);
+    }).then(function () {
+        assertEqual(tabBar.isModalOpen(), false, "whether the modal is open after its dismiss button");
+        assertEqual([frame.history.state.modal, frame.location.hash], [undefined, "#tab-one:start.html"], "the history entry");
+        return tabBar.presentModal("m.html");
+    }).then(function () {
+        frame.document.querySelector(".bs-modal-backdrop").click();
+        assertEqual(tabBar.isModalOpen(), false, "whether the modal is open after the backdrop");
+    });
+});
+
+
+test("the browser's Back button dismisses a modal and leaves the Backstack underneath alone", function (frame) {
+    let tabBar = null;
+    return createTabBar(frame, { "/a.html": "<p>A</p>", "/m.html": "<h1>M</h1>" }, { history: true }).then(function (created) {
+        tabBar = created.tabBar;
+        return tabBar.navigate("a.html");
+    }).then(function () {
+        return tabBar.presentModal("m.html");
+    }).then(function () {
+        frame.history.back();
+        return wait(200);
+    }).then(function () {
+        assertEqual(tabBar.isModalOpen(), false, "whether the modal is open");
+        assertEqual([stackUrls(tabBar), shownText(frame), frame.location.hash], [["start.html", "a.html"], "A", "#tab-one:start.html,a.html"],
+            "the Backstack, Screen and page URL");
+    });
+});
+
+
+/**
+ * touch():
+ * Dispatches a touch event on the Screen shown in a fixture's viewport, with one touch at the given point (or none, for
+ * touchend). Returns the event.
+ *
+ * @param {Window} frame - the fixture's window.
+ * @param {string} type - "touchstart", "touchmove" or "touchend".
+ * @param {number} x - the touch's clientX.
+ * @param {number} y - the touch's clientY.
+ */
+function touch(frame, type, x, y) {
+    let event = new frame.Event(type, { bubbles: true, cancelable: true });
+    Object.defineProperty(event, "touches", { value: (type == "touchend") ? [] : [{ clientX: x, clientY: y }] });
+    frame.document.querySelector("#main .bs-screen").dispatchEvent(event);
+    return event;
+}
+
+
+test("a swipe from the left edge drags the Screen over a preview of the one below and goes back", function (frame) {
+    let tabBar = null;
+    return createTabBar(frame, { "/a.html": "<p>A</p>" }, { gestures: { swipeBack: true } }).then(function (created) {
+        tabBar = created.tabBar;
+        return tabBar.navigate("a.html");
+    }).then(function () {
+        touch(frame, "touchstart", 100, 100);
+        touch(frame, "touchmove", 200, 100);
+        touch(frame, "touchend");
+        assertEqual(stackUrls(tabBar), ["start.html", "a.html"], "the Backstack after a swipe away from the edge");
+
+        touch(frame, "touchstart", 5, 100);
+        let moved = touch(frame, "touchmove", 60, 105);
+        assert(moved.defaultPrevented, "scrolling was not stopped");
+        assertEqual(frame.document.querySelector("#main .bs-swipe-preview").textContent, "Start", "the preview");
+        let rendered = nextEvent(tabBar, "render");
+        touch(frame, "touchend");
+        return rendered;
+    }).then(function () {
+        return wait();
+    }).then(function () {
+        assertEqual([stackUrls(tabBar), shownText(frame)], [["start.html"], "Start"], "the Backstack and Screen");
+        assertEqual([frame.document.querySelector("#main .bs-swipe-preview"), frame.document.querySelector("#main").classList.contains("bs-swiping")],
+            [null, false], "the preview and swiping class");
+    });
+});
+
+
+test("pulling down far enough from the top loads the Screen again", function (frame) {
+    let requests = null;
+    let pull = function (distance) {
+        touch(frame, "touchstart", 100, 10);
+        touch(frame, "touchmove", 100, 10 + distance);
+        let ready = frame.document.querySelector("#main .bs-pull-indicator.bs-pull-ready") != null;
+        touch(frame, "touchend");
+        return wait().then(function () {
+            return ready;
+        });
+    };
+    return createTabBar(frame, {}, { gestures: { pullToRefresh: true } }).then(function (created) {
+        requests = created.requests;
+        return pull(60);
+    }).then(function (ready) {
+        assertEqual([ready, requests.length], [false, 1], "whether a short pull was ready, and the requests");
+        return pull(200);
+    }).then(function (ready) {
+        assertEqual([ready, requests.length], [true, 2], "whether a long pull was ready, and the requests");
+        assertEqual(frame.document.querySelector("#main .bs-pull-indicator"), null, "the indicator once refreshed");
+    });
+});
+
+
+test("gestures are off unless the 'gestures' option turns them on", function (frame) {
+    return createTabBar(frame).then(function () {
+        assertEqual(frame.document.querySelector("#main").classList.contains("bs-gestures"), false, "whether gestures are on");
+        touch(frame, "touchstart", 100, 10);
+        touch(frame, "touchmove", 100, 210);
+        assertEqual(frame.document.querySelector("#main .bs-pull-indicator"), null, "the pull indicator");
+    });
+});
+
+
+test("a Screen that fails while offline shows the 'offlineScreen', and is loaded again once back online", function (frame) {
+    let tabBar = null;
+    let events = [];
+    Object.defineProperty(frame.navigator, "onLine", { value: false, configurable: true });
+    return createTabBar(frame, { "/offline.html": "<p>Offline</p>", "/a.html": "<p>A</p>" }, { offlineScreen: "offline.html" }).then(function (created) {
+        tabBar = created.tabBar;
+        let request = frame.backstack.request;
+        frame.backstack.request = function (url, init) {
+            return frame.navigator.onLine ? request(url, init) : Promise.reject(new TypeError("Failed to fetch"));
+        };
+        ["online", "offline"].forEach(function (name) {
+            tabBar.on(name, function (event) {
+                events.push(event.type + ":" + event.online);
+            });
+        });
+        return tabBar.navigate("a.html").catch(function () {});
+    }).then(function () {
+        assertEqual(shownText(frame), "Offline", "the Screen shown offline");
+        Object.defineProperty(frame.navigator, "onLine", { value: true, configurable: true });
+        frame.dispatchEvent(new frame.Event("online"));
+        return nextEvent(tabBar, "render");
+    }).then(function () {
+        assertEqual([events, stackUrls(tabBar), shownText(frame)], [["online:true"], ["start.html", "a.html"], "A"],
+            "the events, Backstack and Screen");
+    });
+});
+
+
+test("the service worker is registered, its messages become events, and it is asked to replay, clear or drop the queue", function (frame) {
+    let tabBar = null;
+    let registered = [];
+    let posted = [];
+    let events = [];
+    let worker = new frame.EventTarget();
+    worker.register = function (url) {
+        registered.push(url);
+        return Promise.resolve();
+    };
+    worker.controller = {
+        postMessage: function (message) {
+            posted.push(message.type);
+        }
+    };
+    Object.defineProperty(frame.navigator, "serviceWorker", { value: worker, configurable: true });
+    return createTabBar(frame, {}, { serviceWorker: "sw.js" }).then(function (created) {
+        tabBar = created.tabBar;
+        ["queued", "replay"].forEach(function (name) {
+            tabBar.on(name, function (event) {
+                events.push([event.type, event.url, event.method, event.status, event.ok, event.queued]);
+            });
+        });
+        [
+            { type: "backstack-queued", url: "a.php", method: "POST" },
+            { type: "backstack-replayed", url: "a.php", method: "POST", status: 200 },
+            { type: "backstack-replayed", url: "b.php", method: "POST", status: 503, ok: false, queued: true }
+        ].forEach(function (data) {
+            let message = new frame.Event("message");
+            message.data = data;
+            worker.dispatchEvent(message);
+        });
+        frame.dispatchEvent(new frame.Event("online"));
+        tabBar.clearOfflineCache().clearQueue();
+        assertEqual(registered, ["sw.js"], "the workers registered");
+        assertEqual(events, [
+            ["queued", "a.php", "POST", undefined, undefined, undefined],
+            ["replay", "a.php", "POST", 200, true, false],
+            ["replay", "b.php", "POST", 503, false, true]
+        ].map(function (event) {
+            return JSON.parse(JSON.stringify(event));
+        }), "the events");
+        assertEqual(posted, ["backstack-replay", "backstack-clear-cache", "backstack-clear-queue"], "the messages to the worker");
+    });
+});
+
+
+run();